@@ -0,0 +1,817 @@
+#!/usr/bin/env node
+// =============================================
+// HyperStorage6D - CLI para servidores de ingesta
+// =============================================
+// Usa el mismo núcleo que los workers del navegador, así que los
+// archivos .hs6d generados aquí son idénticos byte a byte.
+
+import fs from 'node:fs';
+import path from 'node:path';
+import {
+    COMPRESSION_LEVELS,
+    DEFAULT_LEVEL,
+    levelOptions,
+    levelName,
+    compressData,
+    compressArchive,
+    planBlocks
+} from '../hs6d-core.js';
+import { open, inspect } from '../hs6d.js';
+import {
+    ChecksumError,
+    PasswordError,
+    flagNames,
+    blockCodec
+} from '../hs6d-format.js';
+import { DEFAULT_WINDOW_SIZE } from '../lz77-engine.js';
+import { encryptContainer } from '../hs6d-crypto.js';
+import { sha256, createSha256, digestRanges, checksumToHex } from '../hs6d-integrity.js';
+import { MAX_RECOVERY_PERCENT, protectContainer } from '../hs6d-recovery.js';
+import { volumeName, isVolumeName, volumeSetName, splitVolumes, joinVolumes } from '../hs6d-volumes.js';
+import { formatSize, formatRatio, getFileExtension, getMimeType } from '../utils.js';
+
+// Códigos de salida
+const EXIT_OK = 0;
+const EXIT_ERROR = 1;
+const EXIT_USAGE = 2;
+const EXIT_CHECKSUM = 3;
+const EXIT_PASSWORD = 4;
+
+const USAGE = `Uso: hs6d <comando> [opciones] [archivos...]
+
+Comandos:
+  compress     Comprime cada archivo en <archivo>.hs6d
+               (con -o y varios archivos, crea un único .hs6d con directorio)
+  decompress   Descomprime archivos .hs6d (o sus volúmenes .001, .002…)
+  test         Verifica la integridad sin escribir nada (CRC32 y SHA-256)
+  info         Muestra cabecera, bloques, entradas, estado del CRC y datos de
+               recuperación, sin descomprimir (falla si el CRC no coincide)
+  compare      Compara el ratio de Huffman y del codificador de rango
+
+Opciones:
+  -o, --output <ruta>     Archivo de salida (o directorio al extraer varias entradas)
+  -c, --stdout            Escribe el resultado en la salida estándar
+  -l, --level <nivel>     Nivel de compresión: fast (rápido), balanced (equilibrado,
+                          por defecto) o max (máximo); las opciones de abajo
+                          tienen prioridad sobre él. Cada nivel da bytes
+                          distintos y la aplicación web elige el suyo según el
+                          dispositivo (rápido en equipos modestos): para obtener
+                          el mismo .hs6d, use el mismo nivel en ambos
+  -b, --block-size <n>    Tamaño de bloque en bytes (por defecto, el del nivel)
+  -w, --window <n>        Ventana LZ77 en bytes, potencia de 2 (por defecto ${DEFAULT_WINDOW_SIZE})
+      --no-lazy           Desactiva la búsqueda perezosa de LZ77 (más rápido)
+  -e, --entropy <tipo>    Codificador de entropía: huffman o range (por defecto, el del nivel)
+      --order <n>         Orden del codificador de rango: 0 o 1 (por defecto 1)
+      --try-all           Prueba todas las estrategias en cada bloque y guarda
+                          la más chica (más lento; el nivel max ya lo hace)
+  -p, --password <clave>  Cifra con AES-GCM al comprimir y descifra al leer
+                          (también desde la variable HS6D_PASSWORD)
+      --comment <texto>   Comentario guardado con los metadatos del archivo
+      --sha256            Guarda también el SHA-256 de los datos originales
+  -r, --recovery <n>      Agrega n % de datos de recuperación (1 a ${MAX_RECOVERY_PERCENT}) para
+                          reparar bytes dañados en la transferencia
+  -s, --split <MB>        Divide la salida en volúmenes <archivo>.hs6d.001, .002…
+                          de a lo sumo <MB> megabytes
+      --bytes <a:b>       Al descomprimir, extrae solo los bytes [a, b)
+      --rows <a:b>        Al descomprimir un CSV, extrae solo las filas [a, b)
+                          (la 0 es el encabezado); a o b vacíos: desde el
+                          principio o hasta el final
+      --header            Con --rows, antepone el encabezado del CSV
+  -f, --force             Sobrescribe archivos existentes
+      --json              Imprime un resumen en JSON
+  -h, --help              Muestra esta ayuda
+
+Sin archivos, o con "-", se lee de la entrada estándar.
+Los patrones con * ? y ** se expanden aunque el shell no lo haga.
+Basta con indicar un volumen: los demás del conjunto se buscan en la misma carpeta.
+
+Códigos de salida: 0 correcto, 1 error, 2 uso incorrecto, 3 checksum no coincide,
+4 falta la contraseña o no es correcta`;
+
+class UsageError extends Error {}
+
+// =============================================
+// Argumentos
+// =============================================
+
+function parseArgs(argv) {
+    const options = {
+        command: null,
+        inputs: [],
+        output: null,
+        stdout: false,
+        level: DEFAULT_LEVEL,
+        blockSize: undefined,
+        lz77: {},
+        entropy: undefined,
+        rangeOrder: undefined,
+        tryAll: undefined,
+        password: process.env.HS6D_PASSWORD || null,
+        comment: null,
+        sha256: false,
+        recovery: 0,
+        volumeSize: 0,
+        range: null,
+        header: false,
+        force: false,
+        json: false,
+        help: false
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const value = () => {
+            if (i + 1 >= argv.length) throw new UsageError(`Falta el valor de ${arg}`);
+            return argv[++i];
+        };
+
+        switch (arg) {
+            case '-o':
+            case '--output':
+                options.output = value();
+                break;
+            case '-c':
+            case '--stdout':
+                options.stdout = true;
+                break;
+            case '-l':
+            case '--level':
+                options.level = value();
+                if (!Object.hasOwn(COMPRESSION_LEVELS, options.level)) {
+                    throw new UsageError(`El nivel debe ser uno de: ${Object.keys(COMPRESSION_LEVELS).join(', ')}`);
+                }
+                break;
+            case '-b':
+            case '--block-size':
+                options.blockSize = Number(value());
+                if (!Number.isInteger(options.blockSize) || options.blockSize <= 0) {
+                    throw new UsageError("El tamaño de bloque debe ser un entero positivo");
+                }
+                break;
+            case '-w':
+            case '--window': {
+                const windowSize = Number(value());
+                if (!Number.isInteger(windowSize) || windowSize < 256 || (windowSize & (windowSize - 1)) !== 0) {
+                    throw new UsageError("La ventana debe ser una potencia de 2 de al menos 256");
+                }
+                options.lz77.windowSize = windowSize;
+                break;
+            }
+            case '--no-lazy':
+                options.lz77.lazy = false;
+                break;
+            case '-e':
+            case '--entropy':
+                options.entropy = value();
+                if (options.entropy !== 'huffman' && options.entropy !== 'range') {
+                    throw new UsageError("El codificador de entropía debe ser huffman o range");
+                }
+                break;
+            case '--order':
+                options.rangeOrder = Number(value());
+                if (options.rangeOrder !== 0 && options.rangeOrder !== 1) {
+                    throw new UsageError("El orden debe ser 0 o 1");
+                }
+                break;
+            case '--try-all':
+                options.tryAll = true;
+                break;
+            case '-p':
+            case '--password':
+                options.password = value();
+                if (options.password === '') {
+                    throw new UsageError("La contraseña no puede estar vacía");
+                }
+                break;
+            case '--comment':
+                options.comment = value();
+                break;
+            case '--sha256':
+                options.sha256 = true;
+                break;
+            case '-r':
+            case '--recovery':
+                options.recovery = Number(value());
+                if (!Number.isInteger(options.recovery) || options.recovery < 1 || options.recovery > MAX_RECOVERY_PERCENT) {
+                    throw new UsageError(`La recuperación debe ser un entero entre 1 y ${MAX_RECOVERY_PERCENT}`);
+                }
+                break;
+            case '-s':
+            case '--split': {
+                const megabytes = Number(value());
+                if (!(megabytes > 0)) {
+                    throw new UsageError("El tamaño de volumen debe ser un número positivo de MB");
+                }
+                options.volumeSize = Math.floor(megabytes * 1024 * 1024);
+                break;
+            }
+            case '--bytes':
+                options.range = { ...parseRange(value(), arg), rows: false };
+                break;
+            case '--rows':
+                options.range = { ...parseRange(value(), arg), rows: true };
+                break;
+            case '--header':
+                options.header = true;
+                break;
+            case '-f':
+            case '--force':
+                options.force = true;
+                break;
+            case '--json':
+                options.json = true;
+                break;
+            case '-h':
+            case '--help':
+                options.help = true;
+                break;
+            default:
+                if (arg.startsWith('-') && arg !== '-') {
+                    throw new UsageError(`Opción desconocida: ${arg}`);
+                }
+                if (options.command === null) {
+                    options.command = arg;
+                } else {
+                    options.inputs.push(arg);
+                }
+        }
+    }
+
+    // Tamaño de bloque y codificadores del nivel, salvo los indicados aparte
+    return { ...options, ...levelOptions(options.level, options) };
+}
+
+// "a:b" → { start, end }; sin a desde 0, sin b hasta el final
+function parseRange(value, arg) {
+    const match = /^(\d*):(\d*)$/.exec(value);
+    const start = match && match[1] !== '' ? Number(match[1]) : 0;
+    const end = match && match[2] !== '' ? Number(match[2]) : Number.MAX_SAFE_INTEGER;
+    if (!match || !Number.isSafeInteger(start) || !Number.isSafeInteger(end) || end < start) {
+        throw new UsageError(`${arg} espera inicio:fin con inicio ≤ fin, p. ej. 100:200`);
+    }
+    return { start, end };
+}
+
+// =============================================
+// Expansión de patrones
+// =============================================
+
+function hasWildcards(segment) {
+    return /[*?]/.test(segment);
+}
+
+function segmentToRegExp(segment) {
+    const source = segment
+        .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+        .replace(/\*/g, '[^/]*')
+        .replace(/\?/g, '[^/]');
+    return new RegExp(`^${source}$`);
+}
+
+function listDirectory(dir) {
+    try {
+        return fs.readdirSync(dir || '.', { withFileTypes: true });
+    } catch {
+        return [];
+    }
+}
+
+function expandSegments(base, segments) {
+    if (segments.length === 0) return [base];
+
+    const [segment, ...rest] = segments;
+    if (segment === '**') {
+        // Cero o más directorios
+        const results = expandSegments(base, rest);
+        for (const entry of listDirectory(base)) {
+            if (entry.isDirectory()) {
+                results.push(...expandSegments(path.join(base, entry.name), segments));
+            }
+        }
+        return results;
+    }
+
+    if (!hasWildcards(segment)) {
+        return expandSegments(path.join(base, segment), rest);
+    }
+
+    const pattern = segmentToRegExp(segment);
+    return listDirectory(base)
+        .filter(entry => pattern.test(entry.name) && !entry.name.startsWith('.'))
+        .flatMap(entry => expandSegments(path.join(base, entry.name), rest));
+}
+
+function expandInputs(inputs) {
+    const files = [];
+
+    for (const input of inputs) {
+        if (input === '-' || !hasWildcards(input)) {
+            files.push(input);
+            continue;
+        }
+
+        const absolute = path.isAbsolute(input);
+        const segments = input.split(/[\\/]+/).filter(Boolean);
+        const matches = expandSegments(absolute ? path.sep : '', segments)
+            .filter(file => fs.statSync(file).isFile())
+            .sort();
+
+        if (matches.length === 0) {
+            throw new UsageError(`Ningún archivo coincide con ${input}`);
+        }
+        files.push(...matches);
+    }
+
+    return files;
+}
+
+// =============================================
+// Volúmenes
+// =============================================
+
+// Nombre del conjunto ("datos.csv.hs6d") → volúmenes que lo forman. Cada
+// conjunto se procesa como una entrada más con ese nombre
+const volumeSets = new Map();
+
+// Volúmenes de la misma carpeta con el mismo nombre de conjunto
+function siblingVolumes(file) {
+    const setName = path.basename(volumeSetName(file));
+    const dir = path.dirname(file);
+    return listDirectory(dir)
+        .filter(entry => entry.isFile() && isVolumeName(entry.name) && volumeSetName(entry.name) === setName)
+        .map(entry => path.join(dir, entry.name));
+}
+
+// Reemplaza los volúmenes de cada conjunto por el nombre del conjunto
+function groupVolumes(inputs) {
+    const grouped = [];
+
+    for (const input of inputs) {
+        if (input === '-' || !isVolumeName(input)) {
+            grouped.push(input);
+            continue;
+        }
+
+        const setName = volumeSetName(path.normalize(input));
+        if (!volumeSets.has(setName)) {
+            volumeSets.set(setName, new Set(siblingVolumes(input)));
+            grouped.push(setName);
+        }
+        volumeSets.get(setName).add(path.normalize(input));
+    }
+
+    return grouped;
+}
+
+// =============================================
+// Entrada / salida
+// =============================================
+
+// La entrada estándar se lee una sola vez, antes de ejecutar el comando
+let stdinData = null;
+
+async function readStdin() {
+    const chunks = [];
+    for await (const chunk of process.stdin) {
+        chunks.push(chunk);
+    }
+    stdinData = Buffer.concat(chunks);
+}
+
+function readInput(file) {
+    if (volumeSets.has(file)) {
+        return joinVolumes([...volumeSets.get(file)].map(readInput));
+    }
+    const buffer = file === '-' ? stdinData : fs.readFileSync(file);
+    return new Uint8Array(buffer.buffer, buffer.byteOffset, buffer.byteLength);
+}
+
+function writeOutput(file, data, options) {
+    if (file === '-') {
+        process.stdout.write(data);
+        return;
+    }
+    if (!options.force && fs.existsSync(file)) {
+        throw new Error(`${file} ya existe (use --force para sobrescribir)`);
+    }
+    fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+    fs.writeFileSync(file, data);
+}
+
+// Con --split, un resultado más grande que el volumen se escribe como
+// output.001, output.002…; devuelve cuántos volúmenes se escribieron (0 si
+// no se dividió)
+function writeCompressed(file, data, options) {
+    if (!options.volumeSize || data.length <= options.volumeSize) {
+        writeOutput(file, data, options);
+        return 0;
+    }
+    if (file === '-') {
+        throw new UsageError("--split no es compatible con la salida estándar");
+    }
+
+    const volumes = splitVolumes(data, { volumeSize: options.volumeSize });
+    volumes.forEach((volume, i) => writeOutput(volumeName(file, i), volume, options));
+    return volumes.length;
+}
+
+function describeVolumes(count) {
+    return count ? `, ${count} volúmenes` : '';
+}
+
+function outputFor(input, suffix, options) {
+    if (options.stdout) return '-';
+    if (options.output) return options.output;
+    return input === '-' ? '-' : suffix(input);
+}
+
+// Nombre, extensión, tipo y fecha del archivo de entrada (writeMetadata()),
+// como getFileMetadata() en el navegador
+function metadataFor(input, options) {
+    const metadata = {};
+    if (input !== '-') {
+        metadata.name = path.basename(input);
+        metadata.extension = getFileExtension(metadata.name);
+        metadata.mimeType = getMimeType(metadata.name);
+        metadata.modified = Math.round(fs.statSync(input).mtimeMs);
+    }
+    if (options.comment) metadata.comment = options.comment;
+    return Object.keys(metadata).length ? metadata : undefined;
+}
+
+// Sin -o se recupera el nombre guardado al comprimir, junto al .hs6d
+function decompressedName(input, metadata) {
+    if (metadata && metadata.name) {
+        return safeEntryPath(path.dirname(input), metadata.name);
+    }
+    return stripExtension(input);
+}
+
+function stripExtension(file) {
+    return file.toLowerCase().endsWith('.hs6d') ? file.slice(0, -5) : `${file}.out`;
+}
+
+// Evita que un nombre de entrada escriba fuera del directorio de destino
+function safeEntryPath(dir, name) {
+    const target = path.resolve(dir, name);
+    if (!target.startsWith(path.resolve(dir) + path.sep)) {
+        throw new Error(`Nombre de entrada no permitido: ${name}`);
+    }
+    return target;
+}
+
+function log(options, message) {
+    if (!options.json) process.stderr.write(`${message}\n`);
+}
+
+// =============================================
+// Comandos
+// =============================================
+
+// Cifrado y, después, datos de recuperación sobre el resultado cifrado
+async function finishOutput(compressed, options) {
+    const encrypted = options.password ? await encryptContainer(compressed, options.password) : compressed;
+    return options.recovery ? protectContainer(encrypted, { percent: options.recovery }) : encrypted;
+}
+
+// " (12 bytes reparados)" si los datos de recuperación corrigieron algo
+function describeRepaired(repaired) {
+    return repaired ? ` (${repaired} bytes reparados)` : '';
+}
+
+// Nivel, tamaño de bloque y codificadores para compressData()/compressArchive()
+function coreOptionsFor({ level, blockSize, lz77, entropy, rangeOrder, storedThreshold, tryAll }) {
+    return { level, blockSize, lz77, entropy, rangeOrder, storedThreshold, tryAll };
+}
+
+// SHA-256 de cada bloque, en el orden en que los guarda compressData(), y
+// el de todos los datos (el mismo que sha256sum)
+async function digestsFor(data, options) {
+    if (!options.sha256) return { digests: [], fileDigest: null };
+    return {
+        digests: await digestRanges(data, planBlocks(data, options.blockSize).ranges),
+        fileDigest: await sha256(data)
+    };
+}
+
+async function runCompress(inputs, options) {
+    const coreOptions = coreOptionsFor(options);
+
+    // Varios archivos con -o: un único .hs6d con directorio
+    if (inputs.length > 1 && options.output && !options.stdout) {
+        const files = inputs.map(input => ({ name: path.basename(input), data: readInput(input) }));
+        const metadata = options.comment ? { comment: options.comment } : undefined;
+        // El SHA-256 del archivo cubre las entradas seguidas
+        const hash = options.sha256 ? createSha256() : null;
+        const digests = [];
+        for (const file of files) {
+            digests.push(...(await digestsFor(file.data, options)).digests);
+            if (hash) hash.update(file.data);
+        }
+        const fileDigest = hash && hash.digest();
+        const compressed = await finishOutput(await compressArchive(files, { ...coreOptions, metadata, digests, fileDigest }), options);
+        const originalSize = files.reduce((sum, file) => sum + file.data.length, 0);
+        const volumes = writeCompressed(options.output, compressed, options);
+        log(options, `${options.output}: ${files.length} archivos, ${formatSize(originalSize)} → ${formatSize(compressed.length)}${describeVolumes(volumes)}`);
+        return [{ input: inputs, output: options.output, originalSize, compressedSize: compressed.length, volumes, ok: true }];
+    }
+
+    const results = [];
+    for (const input of inputs) {
+        const data = readInput(input);
+        const metadata = metadataFor(input, options);
+        const { digests, fileDigest } = await digestsFor(data, options);
+        const compressed = await finishOutput(await compressData(data, { ...coreOptions, metadata, digests, fileDigest }), options);
+        const output = outputFor(input, file => `${file}.hs6d`, options);
+        const volumes = writeCompressed(output, compressed, options);
+        log(options, `${input}: ${formatSize(data.length)} → ${formatSize(compressed.length)} (${formatRatio(data.length / Math.max(1, compressed.length))})${describeVolumes(volumes)}`);
+        results.push({ input, output, originalSize: data.length, compressedSize: compressed.length, volumes, ok: true });
+    }
+    return results;
+}
+
+// open() descifra si hace falta y comprueba CRC y SHA-256 de lo que extrae
+async function runDecompress(inputs, options) {
+    const results = [];
+    for (const input of inputs) {
+        const raw = readInput(input);
+        const handle = await open(raw, { password: options.password || undefined });
+
+        if (options.range) {
+            results.push(await writeRange(input, raw, handle, options));
+            continue;
+        }
+
+        if (handle.entries) {
+            const dir = options.output || (input === '-' ? '.' : path.dirname(input));
+            const entries = [];
+            for (const entry of handle.entries) {
+                const decompressed = await handle.extract(entry.index);
+                writeOutput(safeEntryPath(dir, entry.name), decompressed, options);
+                entries.push({ name: entry.name, originalSize: decompressed.length });
+            }
+            log(options, `${input}: ${entries.length} entradas extraídas en ${dir}${describeRepaired(handle.repaired)}`);
+            results.push({ input, output: dir, originalSize: handle.originalSize, compressedSize: raw.length, entries, repaired: handle.repaired, ok: true });
+            continue;
+        }
+
+        const decompressed = await handle.decompress();
+        const { metadata } = handle;
+        const output = outputFor(input, file => decompressedName(file, metadata), options);
+        writeOutput(output, decompressed, options);
+        if (output !== '-' && metadata && metadata.modified !== undefined) {
+            const modified = new Date(metadata.modified);
+            fs.utimesSync(output, modified, modified);
+        }
+        log(options, `${input}: ${formatSize(decompressed.length)} → ${output === '-' ? 'stdout' : output}${describeRepaired(handle.repaired)}`);
+        results.push({ input, output, originalSize: decompressed.length, compressedSize: raw.length, metadata, repaired: handle.repaired, ok: true });
+    }
+    return results;
+}
+
+// Solo los bloques que cubren --bytes o --rows
+async function writeRange(input, raw, handle, options) {
+    const { start, end, rows } = options.range;
+    const data = await handle.extractRange(start, end, { rows, header: options.header });
+    const output = outputFor(input, file => decompressedName(file, handle.metadata), options);
+    writeOutput(output, data, options);
+
+    const last = Math.min(end, rows ? handle.rows : handle.originalSize);
+    const what = rows ? `filas ${start}–${last}` : `bytes ${start}–${last}`;
+    log(options, `${input}: ${what} (${formatSize(data.length)}) → ${output === '-' ? 'stdout' : output}${describeRepaired(handle.repaired)}`);
+    return { input, output, range: { start, end: last, rows }, originalSize: data.length, compressedSize: raw.length, repaired: handle.repaired, ok: true };
+}
+
+// Descomprime sin escribir y muestra los resúmenes comprobados
+async function runTest(inputs, options) {
+    const results = [];
+    for (const input of inputs) {
+        const raw = readInput(input);
+        const handle = await open(raw, { password: options.password || undefined });
+        const { checksum, sha256, stored, repaired, originalSize } = await handle.verify();
+
+        log(options, `${input}: correcto${describeRepaired(repaired)}`);
+        log(options, `  CRC32:   ${checksum}${stored ? '' : ' (el archivo no lo guarda: formato V3)'}`);
+        if (sha256) log(options, `  SHA-256: ${sha256}`);
+        results.push({ input, originalSize, compressedSize: raw.length, checksum, sha256, stored, repaired, ok: true });
+    }
+    return results;
+}
+
+// "BWT ×3, LZ77 ×1"
+function describeCodecs(blocks) {
+    const counts = new Map();
+    for (const block of blocks) {
+        const codec = blockCodec(block.flags);
+        counts.set(codec, (counts.get(codec) || 0) + 1);
+    }
+    return [...counts].map(([codec, count]) => `${codec} ×${count}`).join(', ');
+}
+
+// "reporte.csv, text/csv, 2024-05-01T12:00:00.000Z, «lote norte»"
+function describeMetadata({ name, mimeType, modified, comment }) {
+    const parts = [];
+    if (name) parts.push(name);
+    if (mimeType) parts.push(mimeType);
+    if (modified !== undefined) parts.push(new Date(modified).toISOString());
+    if (comment) parts.push(`«${comment}»`);
+    return parts.join(', ');
+}
+
+// Como la acción de inspeccionar de la interfaz: no decodifica ni repara.
+// Con el CRC del contenido incorrecto, o secciones ilegibles, muestra lo
+// que pudo leer y falla con ChecksumError
+async function runInfo(inputs, options) {
+    const results = [];
+    for (const input of inputs) {
+        const info = await inspect(readInput(input));
+        const { checksum, recovery } = info;
+
+        log(options, `${input}`);
+        log(options, `  Formato:           V${info.version}`);
+        log(options, `  Tamaño original:   ${formatSize(info.originalSize)}`);
+        log(options, `  Tamaño comprimido: ${formatSize(info.compressedSize)} (${formatRatio(info.originalSize / Math.max(1, info.compressedSize))})`);
+        log(options, `  Flags:             ${flagNames(info.flags).join(', ')}`);
+        log(options, `  CRC del contenido: guardado ${checksum.stored}, calculado ${checksum.computed} (${checksum.ok ? 'correcto' : 'incorrecto'})`);
+        if (info.encrypted) {
+            log(options, '  Contenido cifrado: bloques y entradas no visibles');
+        }
+        const described = info.metadata ? describeMetadata(info.metadata) : '';
+        if (described) {
+            log(options, `  Metadatos:         ${described}`);
+        }
+        if (info.metadata && info.metadata.level) {
+            log(options, `  Nivel:             ${levelName(info.metadata.level)}`);
+        }
+        if (info.integrity) {
+            const digests = info.integrity.digests ? `, SHA-256 por bloques (${info.integrity.digests})` : '';
+            log(options, `  Integridad:        CRC32 ${checksumToHex(info.integrity.checksum)}${digests}`);
+            if (info.integrity.sha256) {
+                log(options, `  SHA-256:           ${info.integrity.sha256}`);
+            }
+        }
+        if (info.blocks) {
+            log(options, `  Bloques:           ${info.blocks.length} (${describeCodecs(info.blocks)})`);
+        }
+        if (info.index) {
+            const rows = info.index.rows !== null ? `, ${info.index.rows} filas` : '';
+            log(options, `  Índice:            ${info.index.blocks} bloques${rows}`);
+        }
+        log(options, `  Recuperación:      ${recovery ? `${recovery.percent} % (${formatSize(recovery.recoverySize)})` : 'no'}`);
+        if (info.problem) {
+            log(options, `  Problema:          ${info.problem}`);
+        }
+        for (const entry of info.entries || []) {
+            log(options, `  - ${entry.name}: ${formatSize(entry.originalSize)} → ${formatSize(entry.compressedSize)}`);
+        }
+
+        if (!checksum.ok) {
+            const hint = recovery ? ': tiene datos de recuperación, descomprímalo para repararlo' : '';
+            throw new ChecksumError(`el contenido no coincide con el CRC de la cabecera${hint}`);
+        }
+        if (info.problem) {
+            throw new ChecksumError(info.problem);
+        }
+        results.push({ input, ...info, ok: true });
+    }
+    return results;
+}
+
+const COMPARE_CODERS = [
+    { name: 'Huffman', entropy: 'huffman' },
+    { name: 'Rango orden 0', entropy: 'range', rangeOrder: 0 },
+    { name: 'Rango orden 1', entropy: 'range', rangeOrder: 1 }
+];
+
+// Informe lado a lado: mismo contenido y bloques, distinto codificador de entropía
+async function runCompare(inputs, options) {
+    const results = [];
+
+    for (const input of inputs) {
+        const data = readInput(input);
+        let baseline = null;
+
+        log(options, `${input} (${formatSize(data.length)})`);
+        log(options, `  ${'Codificador'.padEnd(15)} ${'Tamaño'.padStart(11)} ${'Ratio'.padStart(9)} ${'Tiempo'.padStart(9)} ${'vs Huffman'.padStart(11)}`);
+
+        const coders = [];
+        for (const { name, entropy, rangeOrder } of COMPARE_CODERS) {
+            const start = performance.now();
+            const compressed = await compressData(data, { ...coreOptionsFor(options), entropy, rangeOrder });
+            const time = performance.now() - start;
+            baseline = baseline ?? compressed.length;
+
+            const gain = 1 - compressed.length / baseline;
+            log(options, `  ${name.padEnd(15)} ${formatSize(compressed.length).padStart(11)} ` +
+                `${formatRatio(data.length / Math.max(1, compressed.length)).padStart(9)} ` +
+                `${`${(time / 1000).toFixed(2)} s`.padStart(9)} ` +
+                `${entropy === 'huffman' ? '-'.padStart(11) : `${(gain * 100).toFixed(1)}%`.padStart(11)}`);
+
+            coders.push({ name, entropy, rangeOrder, compressedSize: compressed.length, time, gain });
+        }
+
+        results.push({ input, originalSize: data.length, coders, ok: true });
+    }
+
+    return results;
+}
+
+function exitCodeFor(error) {
+    if (error instanceof ChecksumError) return EXIT_CHECKSUM;
+    if (error instanceof PasswordError) return EXIT_PASSWORD;
+    return EXIT_ERROR;
+}
+
+// Procesa cada archivo por separado para que un fallo no detenga el resto
+async function runEach(inputs, options, run) {
+    const results = [];
+    let exitCode = EXIT_OK;
+
+    for (const input of inputs) {
+        try {
+            results.push(...await run([input]));
+        } catch (error) {
+            if (error instanceof UsageError) throw error;
+            const code = exitCodeFor(error);
+            exitCode = Math.max(exitCode, code);
+            process.stderr.write(`hs6d: ${input}: ${error.message}\n`);
+            results.push({
+                input,
+                ok: false,
+                error: error.message,
+                checksum: code === EXIT_CHECKSUM,
+                password: code === EXIT_PASSWORD
+            });
+        }
+    }
+
+    return { results, exitCode };
+}
+
+async function main(argv) {
+    let options;
+    try {
+        options = parseArgs(argv);
+    } catch (error) {
+        process.stderr.write(`hs6d: ${error.message}\n\n${USAGE}\n`);
+        return EXIT_USAGE;
+    }
+
+    if (options.help || !options.command) {
+        process.stdout.write(`${USAGE}\n`);
+        return options.help ? EXIT_OK : EXIT_USAGE;
+    }
+
+    try {
+        const expanded = expandInputs(options.inputs.length ? options.inputs : ['-']);
+        const inputs = options.command === 'compress' ? expanded : groupVolumes(expanded);
+        if (inputs.includes('-')) {
+            await readStdin();
+        }
+        const writes = options.command === 'compress' || options.command === 'decompress';
+        const toStdout = options.stdout || (inputs.includes('-') && !options.output);
+        let outcome;
+
+        if (writes && toStdout && (inputs.length > 1 || options.json)) {
+            throw new UsageError("La salida estándar solo admite un archivo y no es compatible con --json");
+        }
+
+        switch (options.command) {
+            case 'compress':
+                // Un archivo con varias entradas se escribe de una vez
+                outcome = inputs.length > 1 && options.output
+                    ? { results: await runCompress(inputs, options), exitCode: EXIT_OK }
+                    : await runEach(inputs, options, batch => runCompress(batch, options));
+                break;
+            case 'decompress':
+                outcome = await runEach(inputs, options, batch => runDecompress(batch, options));
+                break;
+            case 'test':
+                outcome = await runEach(inputs, options, batch => runTest(batch, options));
+                break;
+            case 'info':
+                outcome = await runEach(inputs, options, batch => runInfo(batch, options));
+                break;
+            case 'compare':
+                outcome = await runEach(inputs, options, batch => runCompare(batch, options));
+                break;
+            default:
+                throw new UsageError(`Comando desconocido: ${options.command}`);
+        }
+
+        if (options.json) {
+            process.stdout.write(`${JSON.stringify({ command: options.command, results: outcome.results }, null, 2)}\n`);
+        }
+        return outcome.exitCode;
+
+    } catch (error) {
+        if (error instanceof UsageError) {
+            process.stderr.write(`hs6d: ${error.message}\n\n${USAGE}\n`);
+            return EXIT_USAGE;
+        }
+        process.stderr.write(`hs6d: ${error.message}\n`);
+        return exitCodeFor(error);
+    }
+}
+
+process.exitCode = await main(process.argv.slice(2));
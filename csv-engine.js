@@ -0,0 +1,365 @@
+import {
+    createByteWriter,
+    createByteReader,
+    zigzag,
+    unzigzag,
+    bytesToLatin1,
+    latin1ToBytes
+} from './utils.js';
+
+// =============================================
+// Transformación columnar de CSV
+// =============================================
+// Reagrupa un bloque CSV columna por columna: números y fechas como
+// diferencias con el valor anterior, columnas de pocos valores (cultivo,
+// lote, variedad) como diccionario y el resto como texto. Es exactamente
+// reversible: las comillas se conservan tal cual y las filas que no
+// encajan con el número de columnas se guardan sin transformar.
+//
+// Se trabaja en latin1 para que cualquier byte (UTF-8 o Windows-1252)
+// sobreviva la ida y vuelta.
+
+// Forma de cada fila
+const ROW_LF = 0;
+const ROW_CRLF = 1;
+const ROW_EOF = 2;      // última fila, sin salto de línea
+const ROW_RAW_LF = 3;   // fila no conforme, guardada tal cual
+const ROW_RAW_EOF = 4;
+
+// Tipos de columna
+const COLUMN_TEXT = 0;
+const COLUMN_NUMBER = 1;
+const COLUMN_DATE = 2;
+const COLUMN_DICTIONARY = 3;
+
+const MAX_RAW_RATIO = 0.1;
+const MAX_DICTIONARY_SIZE = 255;
+// Diferencias y zigzag siguen siendo enteros exactos por debajo de 2^53
+const MAX_ABS_VALUE = 2 ** 50;
+
+const QUOTE = 34;
+
+function splitFields(line, delimiter) {
+    const fields = [];
+    const delimiterCode = delimiter.charCodeAt(0);
+    let start = 0;
+    let quoted = false;
+
+    for (let i = 0; i < line.length; i++) {
+        const code = line.charCodeAt(i);
+        if (code === QUOTE) {
+            quoted = !quoted;
+        } else if (code === delimiterCode && !quoted) {
+            fields.push(line.slice(start, i));
+            start = i + 1;
+        }
+    }
+    fields.push(line.slice(start));
+
+    return fields;
+}
+
+// =============================================
+// Números y fechas
+// =============================================
+
+function formatNumber(value, scale) {
+    let digits = String(Math.abs(value));
+    if (scale > 0) {
+        digits = digits.padStart(scale + 1, '0');
+        digits = `${digits.slice(0, -scale)}.${digits.slice(-scale)}`;
+    }
+    return value < 0 ? `-${digits}` : digits;
+}
+
+function pad(value, length = 2) {
+    return String(value).padStart(length, '0');
+}
+
+// Cada formato convierte a un entero (días o segundos) y de vuelta
+const DATE_FORMATS = [
+    {
+        pattern: /^(\d{4})-(\d{2})-(\d{2})$/,
+        parse: m => Date.UTC(m[1], m[2] - 1, m[3]) / 86400000,
+        format: (value) => {
+            const d = new Date(value * 86400000);
+            return `${pad(d.getUTCFullYear(), 4)}-${pad(d.getUTCMonth() + 1)}-${pad(d.getUTCDate())}`;
+        }
+    },
+    {
+        pattern: /^(\d{2})\/(\d{2})\/(\d{4})$/,
+        parse: m => Date.UTC(m[3], m[2] - 1, m[1]) / 86400000,
+        format: (value) => {
+            const d = new Date(value * 86400000);
+            return `${pad(d.getUTCDate())}/${pad(d.getUTCMonth() + 1)}/${pad(d.getUTCFullYear(), 4)}`;
+        }
+    },
+    ...[' ', 'T'].map(separator => ({
+        pattern: new RegExp(`^(\\d{4})-(\\d{2})-(\\d{2})${separator}(\\d{2}):(\\d{2}):(\\d{2})$`),
+        parse: m => Date.UTC(m[1], m[2] - 1, m[3], m[4], m[5], m[6]) / 1000,
+        format: (value) => {
+            const d = new Date(value * 1000);
+            return `${pad(d.getUTCFullYear(), 4)}-${pad(d.getUTCMonth() + 1)}-${pad(d.getUTCDate())}` +
+                `${separator}${pad(d.getUTCHours())}:${pad(d.getUTCMinutes())}:${pad(d.getUTCSeconds())}`;
+        }
+    }))
+];
+
+// Convierte una columna a enteros con una función que devuelve null si
+// el valor no es representable; los vacíos se permiten
+function toIntegers(values, parse, format) {
+    const integers = [];
+    let filled = 0;
+
+    for (const value of values) {
+        if (value === '') {
+            integers.push(null);
+            continue;
+        }
+        const integer = parse(value);
+        if (integer === null || !Number.isInteger(integer) || Math.abs(integer) > MAX_ABS_VALUE ||
+            format(integer) !== value) {
+            return null;
+        }
+        integers.push(integer);
+        filled++;
+    }
+
+    return filled > 0 ? integers : null;
+}
+
+function parseNumberColumn(values) {
+    const sample = values.find(value => value !== '') || '';
+    const dot = sample.indexOf('.');
+    const scale = dot === -1 ? 0 : sample.length - dot - 1;
+    if (scale > 8) return null;
+
+    const pattern = new RegExp(scale > 0 ? `^-?\\d+\\.\\d{${scale}}$` : '^-?\\d+$');
+    const integers = toIntegers(
+        values,
+        value => pattern.test(value) ? Number(value.replace('.', '')) : null,
+        integer => formatNumber(integer, scale)
+    );
+
+    return integers && { scale, integers };
+}
+
+function parseDateColumn(values) {
+    const sample = values.find(value => value !== '') || '';
+    const formatIndex = DATE_FORMATS.findIndex(format => format.pattern.test(sample));
+    if (formatIndex === -1) return null;
+
+    const { pattern, parse, format } = DATE_FORMATS[formatIndex];
+    const integers = toIntegers(
+        values,
+        (value) => {
+            const match = pattern.exec(value);
+            return match ? parse(match) : null;
+        },
+        format
+    );
+
+    return integers && { formatIndex, integers };
+}
+
+// Vacío = 0; el resto, diferencia con el último valor no vacío en zigzag + 1
+function writeDeltas(writer, integers) {
+    let previous = 0;
+    for (const integer of integers) {
+        if (integer === null) {
+            writer.varint(0);
+        } else {
+            writer.varint(zigzag(integer - previous) + 1);
+            previous = integer;
+        }
+    }
+}
+
+function readDeltas(reader, count, format) {
+    const values = new Array(count);
+    let previous = 0;
+    for (let i = 0; i < count; i++) {
+        const code = reader.varint();
+        if (code === 0) {
+            values[i] = '';
+        } else {
+            previous += unzigzag(code - 1);
+            values[i] = format(previous);
+        }
+    }
+    return values;
+}
+
+// =============================================
+// Codificación de columnas
+// =============================================
+
+function writeText(writer, values) {
+    const text = values.join('\n');
+    writer.varint(text.length);
+    writer.bytes(latin1ToBytes(text));
+}
+
+function readText(reader, count) {
+    const text = bytesToLatin1(reader.bytes(reader.varint()));
+    const values = count > 0 ? text.split('\n') : [];
+    if (values.length !== count) {
+        throw new Error("Columna de texto CSV inválida");
+    }
+    return values;
+}
+
+// Devuelve { type, stream } con la mejor representación de la columna
+function encodeColumn(values) {
+    const writer = createByteWriter();
+
+    const number = parseNumberColumn(values);
+    if (number) {
+        writer.byte(number.scale);
+        writeDeltas(writer, number.integers);
+        return { type: COLUMN_NUMBER, stream: writer.finish() };
+    }
+
+    const date = parseDateColumn(values);
+    if (date) {
+        writer.byte(date.formatIndex);
+        writeDeltas(writer, date.integers);
+        return { type: COLUMN_DATE, stream: writer.finish() };
+    }
+
+    const dictionary = [...new Set(values)];
+    if (dictionary.length <= MAX_DICTIONARY_SIZE && dictionary.length * 4 <= values.length) {
+        const indexOf = new Map(dictionary.map((value, i) => [value, i]));
+        writeText(writer, dictionary);
+        writer.varint(dictionary.length);
+        for (const value of values) {
+            writer.byte(indexOf.get(value));
+        }
+        return { type: COLUMN_DICTIONARY, stream: writer.finish() };
+    }
+
+    writeText(writer, values);
+    return { type: COLUMN_TEXT, stream: writer.finish() };
+}
+
+function decodeColumn(type, stream, count) {
+    const reader = createByteReader(stream);
+
+    switch (type) {
+        case COLUMN_NUMBER: {
+            const scale = reader.byte();
+            return readDeltas(reader, count, value => formatNumber(value, scale));
+        }
+        case COLUMN_DATE: {
+            const format = DATE_FORMATS[reader.byte()];
+            if (!format) throw new Error("Formato de fecha CSV desconocido");
+            return readDeltas(reader, count, format.format);
+        }
+        case COLUMN_DICTIONARY: {
+            const text = bytesToLatin1(reader.bytes(reader.varint()));
+            const dictionary = text.split('\n').slice(0, reader.varint());
+            return Array.from({ length: count }, () => dictionary[reader.byte()]);
+        }
+        case COLUMN_TEXT:
+            return readText(reader, count);
+        default:
+            throw new Error(`Tipo de columna CSV desconocido: ${type}`);
+    }
+}
+
+// =============================================
+// API del transformador
+// =============================================
+
+export function createCSVTransformer() {
+    return {
+        // Separa el bloque en flujos: [estructura, filas no conformes, columna 1, ...].
+        // Devuelve null si el bloque no encaja con el CSV detectado.
+        // `header` fuerza a guardar la primera fila sin transformar.
+        encode(data, { delimiter, columns, header = false }) {
+            if (data.length === 0 || columns < 2) return null;
+
+            const lines = bytesToLatin1(data).split('\n');
+            const endsWithNewline = lines[lines.length - 1] === '';
+            if (endsWithNewline) lines.pop();
+
+            const shapes = new Uint8Array(lines.length);
+            const rawLines = [];
+            const columnValues = Array.from({ length: columns }, () => []);
+
+            lines.forEach((line, i) => {
+                const last = i === lines.length - 1 && !endsWithNewline;
+                const crlf = !last && line.endsWith('\r');
+                const content = crlf ? line.slice(0, -1) : line;
+                const fields = (header && i === 0) ? null : splitFields(content, delimiter);
+
+                if (!fields || fields.length !== columns) {
+                    shapes[i] = last ? ROW_RAW_EOF : ROW_RAW_LF;
+                    rawLines.push(line);
+                    return;
+                }
+
+                shapes[i] = last ? ROW_EOF : crlf ? ROW_CRLF : ROW_LF;
+                fields.forEach((field, column) => columnValues[column].push(field));
+            });
+
+            if (rawLines.length > Math.max(1, lines.length * MAX_RAW_RATIO)) {
+                return null;
+            }
+
+            const encoded = columnValues.map(encodeColumn);
+
+            const structure = createByteWriter();
+            structure.byte(delimiter.charCodeAt(0));
+            structure.varint(columns);
+            structure.varint(lines.length);
+            structure.bytes(shapes);
+            encoded.forEach(column => structure.byte(column.type));
+
+            const raw = createByteWriter();
+            writeText(raw, rawLines);
+
+            return [structure.finish(), raw.finish(), ...encoded.map(column => column.stream)];
+        },
+
+        decode(streams) {
+            const structure = createByteReader(streams[0]);
+            const delimiter = String.fromCharCode(structure.byte());
+            const columns = structure.varint();
+            const rowCount = structure.varint();
+            const shapes = structure.bytes(rowCount);
+            const types = Array.from({ length: columns }, () => structure.byte());
+
+            if (streams.length !== columns + 2) {
+                throw new Error("Número de columnas CSV inválido");
+            }
+
+            const rawCount = shapes.filter(shape => shape === ROW_RAW_LF || shape === ROW_RAW_EOF).length;
+            const rawLines = readText(createByteReader(streams[1]), rawCount);
+            const columnValues = types.map((type, column) => decodeColumn(type, streams[column + 2], rowCount - rawCount));
+
+            const lines = new Array(rowCount);
+            let raw = 0;
+            let row = 0;
+
+            for (let i = 0; i < rowCount; i++) {
+                switch (shapes[i]) {
+                    case ROW_RAW_LF:
+                        lines[i] = `${rawLines[raw++]}\n`;
+                        break;
+                    case ROW_RAW_EOF:
+                        lines[i] = rawLines[raw++];
+                        break;
+                    default: {
+                        const fields = columnValues.map(values => values[row]);
+                        row++;
+                        const ending = shapes[i] === ROW_CRLF ? '\r\n' : shapes[i] === ROW_LF ? '\n' : '';
+                        lines[i] = fields.join(delimiter) + ending;
+                    }
+                }
+            }
+
+            return latin1ToBytes(lines.join(''));
+        }
+    };
+}
@@ -0,0 +1,573 @@
+import { levelOptions, planBlocks, countRows } from './hs6d-core.js';
+import { compressBlob, decompressBlob, extractBlobRange, analyzeBlob } from './hs6d-stream.js';
+import {
+    MAX_HEADER_SIZE,
+    RECOVERY_TRAILER_SIZE,
+    FLAG_ENCRYPTED,
+    PasswordError,
+    readHeader,
+    readRecoveryTrailer
+} from './hs6d-format.js';
+import { createIntegrityCheck, sha256 as sha256Digest } from './hs6d-integrity.js';
+import { crc32Combine, getWorkerPoolSize, getFileMetadata } from './utils.js';
+
+// =============================================
+// Cliente de workers HS6D
+// =============================================
+// La misma API de promesas que hs6d.js, ejecutada en los workers para no
+// bloquear la interfaz. Los buffers se transfieren: no reutilizar `data`
+// después de llamar a compress()/decompress().
+//
+// Los archivos de varios bloques se reparten entre un grupo de workers
+// (uno por núcleo según getWorkerPoolSize()) y se reúnen en orden.
+// compressFile()/decompressFile() leen un File por partes y devuelven un
+// Blob, sin tener nunca el archivo completo en memoria.
+//
+// Con `password` el resultado se cifra; al descomprimir un archivo cifrado
+// sin ella, o con otra, la promesa se rechaza con un error de nombre
+// 'PasswordError' (required indica que faltaba).
+//
+// Cada worker calcula el CRC (y con `sha256`, el SHA-256) de los bloques
+// originales que codifica o decodifica; el cliente los combina y los
+// compara con los guardados. El SHA-256 de todos los datos lo calcula el
+// cliente, con los bloques en orden. Una diferencia rechaza con
+// 'ChecksumError'.
+//
+// Con `recovery` se agregan datos de recuperación al final; al abrir un
+// archivo que los tenga se reparan primero los bytes dañados y el
+// resultado indica cuántos en `repaired`.
+//
+// splitVolumes()/joinVolumes() dividen un resultado en volúmenes y los
+// vuelven a unir (ver hs6d-volumes.js), también en los workers.
+//
+// extractRange() decodifica solo los bloques de un rango de bytes o de
+// filas de CSV, con el índice de bloques del archivo.
+//
+// inspectFile() describe un archivo sin decodificar su contenido.
+//
+// analyzeFile() compara las estrategias de codificación (y deflate de la
+// plataforma) en bloques de un archivo, sin comprimirlo.
+//
+// gzipFile()/zipFiles() crean un .gz o .zip estándar y gunzipFile()/
+// unzipFile() los abren (ver hs6d-interop.js), también en los workers.
+//
+// Con `control` (ver createJobControl() de hs6d-queue.js) un trabajo se
+// pausa o se cancela entre etapas y bloques: la promesa se rechaza en el
+// acto con un error de nombre 'AbortError' y los workers reciben un mensaje
+// 'abort'. Entre bloques ceden el hilo para leerlo, así dejan el trabajo
+// antes del bloque siguiente (uno que ya empezó a codificarse termina).
+
+// Grupo de workers creados a medida que hacen falta. Cada trabajo va a un
+// worker libre, o al menos ocupado, salvo que se pida uno concreto
+function createWorkerPool(url, size) {
+    const workers = [];
+    const pending = new Map();
+    let nextId = 0;
+
+    function finish(id, job) {
+        pending.delete(id);
+        job.slot.active--;
+    }
+
+    function handleMessage(e) {
+        const job = pending.get(e.data.id);
+        if (!job) return;
+
+        if (e.data.error) {
+            finish(e.data.id, job);
+            const error = new Error(e.data.error);
+            if (e.data.errorName) error.name = e.data.errorName;
+            if (e.data.missing) error.missing = e.data.missing;
+            job.reject(error);
+            return;
+        }
+
+        switch (e.data.type) {
+            case 'progress':
+                job.onProgress(e.data.progress, e.data.stage);
+                break;
+            case 'entry':
+                job.onEntry(e.data);
+                break;
+            default:
+                finish(e.data.id, job);
+                job.resolve(e.data);
+        }
+    }
+
+    // Un error no capturado en el worker invalida todos sus trabajos
+    function handleError(slot) {
+        return (e) => {
+            for (const [id, job] of pending) {
+                if (job.slot === slot) {
+                    finish(id, job);
+                    job.reject(new Error(e.message || 'Error en el worker'));
+                }
+            }
+        };
+    }
+
+    function getSlot(index) {
+        if (!workers[index]) {
+            const slot = { worker: new Worker(url, { type: 'module' }), active: 0 };
+            slot.worker.onmessage = handleMessage;
+            slot.worker.onerror = handleError(slot);
+            workers[index] = slot;
+        }
+        return workers[index];
+    }
+
+    function pickWorker() {
+        const idle = workers.findIndex(slot => slot && slot.active === 0);
+        if (idle !== -1) return idle;
+        if (workers.length < size) return workers.length;
+
+        let best = 0;
+        workers.forEach((slot, i) => {
+            if (slot.active < workers[best].active) best = i;
+        });
+        return best;
+    }
+
+    return {
+        size,
+
+        // worker: índice fijo, para trabajos que dependen del estado de ese
+        // worker. signal: AbortSignal que rechaza el trabajo y avisa al worker
+        run(message, transfer, { onProgress = () => {}, onEntry = () => {}, worker = pickWorker(), signal } = {}) {
+            return new Promise((resolve, reject) => {
+                if (signal && signal.aborted) {
+                    reject(signal.reason);
+                    return;
+                }
+
+                const id = ++nextId;
+                const slot = getSlot(worker);
+                const job = { slot, resolve, reject, onProgress, onEntry };
+                slot.active++;
+                pending.set(id, job);
+                slot.worker.postMessage({ ...message, id }, transfer);
+
+                if (signal) {
+                    signal.addEventListener('abort', () => {
+                        if (!pending.has(id)) return;
+                        finish(id, job);
+                        slot.worker.postMessage({ type: 'abort', id });
+                        reject(signal.reason);
+                    }, { once: true });
+                }
+            });
+        },
+
+        terminate() {
+            workers.forEach(slot => slot && slot.worker.terminate());
+            workers.length = 0;
+            for (const job of pending.values()) {
+                job.reject(new Error('Cliente finalizado'));
+            }
+            pending.clear();
+        }
+    };
+}
+
+// Ejecuta task(i) para i = 0..count-1 con a lo sumo `limit` en curso, para
+// no copiar todos los bloques a la vez
+async function runLimited(count, limit, task) {
+    let next = 0;
+    const lanes = Array.from({ length: Math.min(limit, count) }, async () => {
+        while (next < count) {
+            await task(next++);
+        }
+    });
+    await Promise.all(lanes);
+}
+
+// Sin `control`, nada que esperar ni cancelar
+const NO_CONTROL = { signal: undefined, checkpoint: async () => {} };
+
+export function createHS6DClient({ poolSize = getWorkerPoolSize() } = {}) {
+    const compressPool = createWorkerPool(new URL('./workers/compress-worker.js', import.meta.url), poolSize);
+    const decompressPool = createWorkerPool(new URL('./workers/decompress-worker.js', import.meta.url), poolSize);
+
+    // Un bloque suelto en el worker más libre:
+    // { part, checksum, originalChecksum, digest }
+    function encodeBlock(block, analysis, first, { level, entropy, tryAll }, digest, signal) {
+        return compressPool.run({
+            type: 'block',
+            data: block,
+            analysis,
+            options: { first, level, entropy, tryAll },
+            digest
+        }, [block.buffer], { signal });
+    }
+
+    // Cada estrategia en un bloque: [{ strategy, codec, size, time, reference }]
+    async function analyzeBlock(block, analysis, first, { level, entropy }, signal) {
+        const { results } = await compressPool.run({
+            type: 'analyze',
+            data: block,
+            analysis,
+            options: { first, level, entropy }
+        }, [block.buffer], { signal });
+        return results;
+    }
+
+    // { decoded, checksum, digest }
+    function decodeBlock(block, signal) {
+        return decompressPool.run({ type: 'block', block }, [block.data.buffer], { signal });
+    }
+
+    // Cada bloque en un worker; el progreso combinado se pondera por tamaño
+    async function compressParallel(data, { analysis, ranges }, { fileName, codecs, password, metadata, sha256, recovery, control, onProgress = () => {} }) {
+        const parts = new Array(ranges.length);
+        const checksums = new Array(ranges.length);
+        const digests = new Array(ranges.length);
+        const rows = analysis.csv ? ranges.map(([start, end]) => countRows(data.subarray(start, end), end === data.length)) : null;
+        let done = 0;
+
+        onProgress(0.05, 'Analizando datos');
+        // Antes de repartir: los bloques son copias, `data` queda entero
+        const fileDigest = sha256 ? await sha256Digest(data) : null;
+        await runLimited(ranges.length, compressPool.size, async (index) => {
+            await control.checkpoint();
+            const [start, end] = ranges[index];
+            const block = data.slice(start, end);
+            const result = await encodeBlock(block, analysis, index === 0, codecs, sha256, control.signal);
+
+            parts[index] = result.part;
+            checksums[index] = result.originalChecksum;
+            digests[index] = result.digest;
+            done += end - start;
+            onProgress(0.05 + 0.8 * done / data.length, `Bloque ${index + 1} de ${ranges.length}`);
+        });
+
+        await control.checkpoint();
+        onProgress(0.85, 'Empaquetando resultado');
+        const checksum = ranges.reduce((crc, [start, end], index) => crc32Combine(crc, checksums[index], end - start), 0);
+        const result = await compressPool.run({
+            type: 'assemble',
+            parts,
+            originalSize: data.length,
+            fileName,
+            password,
+            metadata: { ...metadata, level: codecs.level },
+            integrity: { checksum, digests: sha256 ? digests : [], sha256: fileDigest },
+            rows,
+            recovery
+        }, parts.map(part => part.buffer), { signal: control.signal });
+        onProgress(1.0, 'Finalizado');
+        return result;
+    }
+
+    async function decompressParallel({ blocks, version, metadata, integrity, repaired, originalSize, compressedSize, fileName }, onProgress = () => {}, control = NO_CONTROL) {
+        const output = new Uint8Array(originalSize);
+        const offsets = [];
+        let offset = 0;
+        for (const block of blocks) {
+            offsets.push(offset);
+            offset += block.originalSize;
+        }
+        if (offset !== originalSize) {
+            throw new Error(`Faltan datos: ${offset} de ${originalSize} bytes`);
+        }
+
+        const check = integrity ? createIntegrityCheck(integrity) : null;
+        let done = 0;
+        await runLimited(blocks.length, decompressPool.size, async (index) => {
+            await control.checkpoint();
+            const block = { ...blocks[index], digest: check !== null && check.needsDigest };
+            const { decoded, checksum, digest } = await decodeBlock(block, control.signal);
+            if (check) check.add(index, { checksum, length: decoded.length, digest, data: decoded });
+
+            output.set(decoded, offsets[index]);
+            done += decoded.length;
+            onProgress(0.2 + 0.75 * done / Math.max(1, originalSize), `Bloque ${index + 1} de ${blocks.length}`);
+        });
+        if (check) await check.finish();
+
+        onProgress(1.0, 'Descompresión completada');
+        return { type: 'complete', decompressed: output, version, metadata, repaired, compressedSize, originalSize, fileName };
+    }
+
+    // El archivo listo para decompressBlob(), reparado y descifrado en
+    // workers si hace falta: { source, repaired }
+    async function plainSource(file, password, onProgress, { signal, checkpoint }) {
+        let source = file;
+        let repaired = 0;
+        const tail = new Uint8Array(await file.slice(-2 * RECOVERY_TRAILER_SIZE).arrayBuffer());
+        if (readRecoveryTrailer(tail)) {
+            ({ blob: source, repaired } = await decompressPool.run({ type: 'repair', blob: file }, [], { onProgress, signal }));
+            await checkpoint();
+        }
+
+        const header = readHeader(new Uint8Array(await source.slice(0, MAX_HEADER_SIZE).arrayBuffer()));
+        if (!(header.flags & FLAG_ENCRYPTED)) return { source, repaired };
+        if (!password) {
+            throw new PasswordError("El archivo está cifrado: se necesita la contraseña", { required: true });
+        }
+        const { blob } = await decompressPool.run({ type: 'decrypt', blob: source, password }, [], { onProgress, signal });
+        await checkpoint();
+        return { source: blob, repaired };
+    }
+
+    return {
+        // Resuelve con { blob, originalSize, compressedSize }. Sin `metadata`
+        // se guardan el nombre, tipo y fecha del File. level: uno de
+        // COMPRESSION_LEVELS de hs6d-core.js; blockSize, entropy y tryAll
+        // (probar todas las estrategias en cada bloque), si se indican,
+        // tienen prioridad sobre él. sha256: guardar también el SHA-256 de
+        // los datos originales; recovery: porcentaje de datos de
+        // recuperación
+        async compressFile(file, { fileName, level, blockSize, entropy, tryAll, password, metadata, sha256 = false, recovery = 0, control = NO_CONTROL, onProgress } = {}) {
+            const { signal, checkpoint } = control;
+            const codecs = levelOptions(level, { blockSize, entropy, tryAll });
+            const result = await compressBlob(file, {
+                blockSize: codecs.blockSize,
+                metadata: { ...(metadata || (file.name !== undefined ? getFileMetadata(file) : undefined)), level: codecs.level },
+                sha256,
+                concurrency: compressPool.size,
+                encode: (block, analysis, first) => encodeBlock(block, analysis, first, codecs, sha256, signal),
+                checkpoint,
+                onProgress
+            });
+            let { blob } = result;
+            if (password) {
+                await checkpoint();
+                ({ blob } = await compressPool.run({ type: 'encrypt', blob, password }, [], { signal }));
+            }
+            if (recovery) {
+                await checkpoint();
+                ({ blob } = await compressPool.run({ type: 'protect', blob, recovery }, [], { signal }));
+            }
+            return { type: 'complete', ...result, blob, compressedSize: blob.size, fileName };
+        },
+
+        // Resuelve como decompress(), con `blob` en lugar de `decompressed`
+        // y los metadatos guardados (o null) en `metadata`.
+        // Los archivos con varias entradas o sin bloques se leen completos.
+        // Un archivo cifrado se descifra antes en un worker, también por partes
+        async decompressFile(file, { fileName, password, control = NO_CONTROL, onProgress } = {}) {
+            const { source, repaired } = await plainSource(file, password, onProgress, control);
+            const result = await decompressBlob(source, {
+                concurrency: decompressPool.size,
+                decode: block => decodeBlock(block, control.signal),
+                checkpoint: control.checkpoint,
+                onProgress
+            });
+            if (result) return { type: 'complete', ...result, repaired, compressedSize: file.size, fileName };
+
+            const data = new Uint8Array(await source.arrayBuffer());
+            const complete = await this.decompress(data, { fileName, control, onProgress });
+            return { ...complete, repaired, compressedSize: file.size };
+        },
+
+        // Descomprime sin producir nada y comprueba CRC y SHA-256 de los datos
+        // originales. Resuelve con { checksum, sha256, stored, repaired,
+        // originalSize, version, metadata } (hexadecimal; sha256 null si no
+        // se guardó; stored false en archivos V3, sin CRC de los datos
+        // originales)
+        async verifyFile(file, { fileName, password, control = NO_CONTROL, onProgress } = {}) {
+            const { source, repaired } = await plainSource(file, password, onProgress, control);
+            const result = await decompressBlob(source, {
+                concurrency: decompressPool.size,
+                keep: false,
+                decode: block => decodeBlock(block, control.signal),
+                checkpoint: control.checkpoint,
+                onProgress
+            });
+            if (result) {
+                const { integrity, version, metadata, originalSize } = result;
+                return {
+                    type: 'verified',
+                    checksum: integrity ? integrity.checksum : null,
+                    sha256: integrity ? integrity.sha256 : null,
+                    stored: integrity !== null,
+                    repaired,
+                    version,
+                    metadata,
+                    originalSize,
+                    compressedSize: file.size,
+                    fileName
+                };
+            }
+
+            const data = new Uint8Array(await source.arrayBuffer());
+            const verified = await decompressPool.run({
+                type: 'verify',
+                fileName,
+                data
+            }, [data.buffer], { onProgress, signal: control.signal });
+            return { ...verified, repaired, compressedSize: file.size };
+        },
+
+        // Cabecera, secciones, estado del CRC y bloques del archivo sin
+        // decodificarlo ni repararlo: lo que devuelve inspect() de hs6d.js
+        inspectFile(file, { fileName, control = NO_CONTROL, onProgress } = {}) {
+            return decompressPool.run({ type: 'inspect', blob: file, fileName }, [], { onProgress, signal: control.signal });
+        },
+
+        // Resuelve con { compressed, originalSize, compressedSize }.
+        // level, entropy ('huffman' o 'range') y tryAll: como en compressFile()
+        compress(data, { fileName, level, blockSize, entropy, tryAll, password, metadata, sha256 = false, recovery = 0, control = NO_CONTROL, onProgress } = {}) {
+            if (compressPool.size > 1) {
+                const codecs = levelOptions(level, { blockSize, entropy, tryAll });
+                const plan = planBlocks(data, codecs.blockSize);
+                if (plan.ranges.length > 1) {
+                    return compressParallel(data, plan, { fileName, codecs, password, metadata, sha256, recovery, control, onProgress });
+                }
+            }
+
+            return compressPool.run({
+                type: 'start',
+                fileName,
+                fileSize: data.length,
+                level,
+                tryAll,
+                chunkSize: blockSize,
+                entropy,
+                password,
+                metadata,
+                sha256,
+                recovery,
+                data
+            }, [data.buffer], { onProgress, signal: control.signal });
+        },
+
+        // files: [{ name, data }]
+        compressFiles(files, { fileName, level, blockSize, entropy, tryAll, password, metadata, sha256 = false, recovery = 0, control = NO_CONTROL, onProgress } = {}) {
+            return compressPool.run({
+                type: 'start',
+                fileName,
+                fileSize: files.reduce((sum, file) => sum + file.data.length, 0),
+                level,
+                tryAll,
+                chunkSize: blockSize,
+                entropy,
+                password,
+                metadata,
+                sha256,
+                recovery,
+                files
+            }, files.map(file => file.data.buffer), { onProgress, signal: control.signal });
+        },
+
+        // Compara las estrategias de codificación en bloques del archivo sin
+        // comprimirlo (ver analyzeBlob() de hs6d-stream.js), con el tamaño de
+        // bloque y los codificadores de `level`. whole: todos los bloques en
+        // lugar de una muestra
+        analyzeFile(file, { level, entropy, whole = false, control = NO_CONTROL, onProgress } = {}) {
+            const codecs = levelOptions(level, { entropy });
+            return analyzeBlob(file, {
+                blockSize: codecs.blockSize,
+                whole,
+                concurrency: compressPool.size,
+                analyze: (block, analysis, first) => analyzeBlock(block, analysis, first, codecs, control.signal),
+                checkpoint: control.checkpoint,
+                onProgress
+            });
+        },
+
+        // Resuelve con { type: 'complete', decompressed, ... } o, si el archivo
+        // tiene varias entradas, con { type: 'archive', archive, entries, ... }.
+        // El primer worker abre el archivo y lo conserva para extract() con
+        // `archive` hasta closeArchive()
+        async decompress(data, { fileName, password, control = NO_CONTROL, onProgress } = {}) {
+            const result = await decompressPool.run({
+                type: 'start',
+                fileName,
+                fileSize: data.length,
+                split: decompressPool.size > 1,
+                password,
+                data
+            }, [data.buffer], { onProgress, worker: 0, signal: control.signal });
+
+            return result.type === 'blocks' ? decompressParallel(result, onProgress, control) : result;
+        },
+
+        // Bytes [start, end) de los datos originales, o con `rows` filas del
+        // CSV (la 0 es el encabezado; header la antepone), decodificando en
+        // los workers solo los bloques que los cubren. Resuelve con { blob,
+        // start, end, rows, originalSize, metadata, repaired } (start y end
+        // en bytes; rows las filas del archivo, o null sin índice de filas)
+        async extractRange(file, { start, end, rows = false, header = false, fileName, password, control = NO_CONTROL, onProgress } = {}) {
+            const { source, repaired } = await plainSource(file, password, onProgress, control);
+            const result = await extractBlobRange(source, start, end, {
+                rows,
+                header,
+                decode: block => decodeBlock(block, control.signal),
+                checkpoint: control.checkpoint,
+                onProgress
+            });
+            if (!result) {
+                throw new Error("El archivo no admite extracción parcial: descomprímalo completo");
+            }
+            return { type: 'range', ...result, repaired, compressedSize: file.size, fileName };
+        },
+
+        // Volúmenes (Blob) de a lo sumo volumeSize bytes, en orden
+        async splitVolumes(blob, { volumeSize, control = NO_CONTROL, onProgress } = {}) {
+            const { volumes } = await compressPool.run({ type: 'split', blob, volumeSize }, [], { onProgress, signal: control.signal });
+            return volumes;
+        },
+
+        // El .hs6d original como Blob, a partir de sus volúmenes en cualquier
+        // orden. Si faltan rechaza con un error de nombre 'VolumeError' y
+        // `missing` (números desde 1)
+        async joinVolumes(volumes, { control = NO_CONTROL, onProgress } = {}) {
+            const { blob } = await decompressPool.run({ type: 'join', volumes }, [], { onProgress, signal: control.signal });
+            return blob;
+        },
+
+        // Un archivo como .gz estándar
+        async gzipFile(file, { fileName, control = NO_CONTROL, onProgress } = {}) {
+            const { blob } = await compressPool.run({ type: 'gzip', blob: file }, [], { onProgress, signal: control.signal });
+            return { type: 'complete', blob, originalSize: file.size, compressedSize: blob.size, fileName };
+        },
+
+        // Varios archivos en un .zip estándar, con su fecha de modificación
+        async zipFiles(files, { fileName, control = NO_CONTROL, onProgress } = {}) {
+            const entries = files.map(file => ({ name: file.name, blob: file, modified: file.lastModified }));
+            const { blob } = await compressPool.run({ type: 'zip', entries }, [], { onProgress, signal: control.signal });
+            const originalSize = files.reduce((sum, file) => sum + file.size, 0);
+            return { type: 'complete', blob, originalSize, compressedSize: blob.size, fileName };
+        },
+
+        // El contenido de un .gz; metadata.name es el nombre guardado en él,
+        // si lo tiene
+        async gunzipFile(file, { fileName, control = NO_CONTROL, onProgress } = {}) {
+            const { blob, name } = await decompressPool.run({ type: 'gunzip', blob: file }, [], { onProgress, signal: control.signal });
+            return {
+                type: 'complete',
+                blob,
+                metadata: name ? { name } : null,
+                originalSize: blob.size,
+                compressedSize: file.size,
+                fileName
+            };
+        },
+
+        // Las entradas de un .zip: { type: 'zip', entries: [{ name, blob,
+        // originalSize, compressedSize }] }. Una entrada dañada rechaza con
+        // un error de nombre 'ChecksumError'
+        async unzipFile(file, { fileName, control = NO_CONTROL, onProgress } = {}) {
+            const { entries, originalSize } = await decompressPool.run({ type: 'unzip', blob: file }, [], { onProgress, signal: control.signal });
+            return { type: 'zip', entries, originalSize, compressedSize: file.size, fileName };
+        },
+
+        // Extrae entradas del archivo `archive` que devolvió decompress();
+        // onEntry recibe { index, name, decompressed }
+        extract(archive, indices, { onProgress, onEntry } = {}) {
+            return decompressPool.run({ type: 'extract', archive, indices }, [], { onProgress, onEntry, worker: 0 });
+        },
+
+        // Libera un archivo abierto por decompress() cuando ya no se extrae de él
+        async closeArchive(archive) {
+            await decompressPool.run({ type: 'close', archive }, [], { worker: 0 });
+        },
+
+        terminate() {
+            compressPool.terminate();
+            decompressPool.terminate();
+        }
+    };
+}
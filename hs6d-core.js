@@ -0,0 +1,938 @@
+import { createBWTProcessor } from './bwt-engine.js';
+import { createHuffmanEncoder } from './huffman-engine.js';
+import { createCSVTransformer } from './csv-engine.js';
+import { createLogTransformer } from './log-engine.js';
+import { createLZ77Encoder, decodeLZ77 } from './lz77-engine.js';
+import { createRangeCoder } from './range-engine.js';
+import { createMTFEncoder } from './mtf-engine.js';
+import { toHex } from './hs6d-integrity.js';
+import {
+    crc32,
+    crc32Combine,
+    isStructuredText,
+    detectStructuredData,
+    createByteWriter,
+    createByteReader
+} from './utils.js';
+import {
+    FLAG_BWT,
+    FLAG_SPECIAL,
+    FLAG_STORED,
+    FLAG_BLOCKS,
+    FLAG_ARCHIVE,
+    FLAG_ENCRYPTED,
+    FLAG_METADATA,
+    FLAG_INTEGRITY,
+    FLAG_INDEX,
+    BLOCK_HEADER_SIZE,
+    BLOCK_FLAG_CSV,
+    BLOCK_FLAG_LOG,
+    BLOCK_FLAG_LZ77,
+    BLOCK_FLAG_RANGE,
+    BLOCK_FLAG_MTF,
+    ChecksumError,
+    PasswordError,
+    writeHeader,
+    readHeader,
+    writeBlockCount,
+    writeBlockHeader,
+    readBlockHeader,
+    readBlocks,
+    writeDirectory,
+    readDirectory,
+    writeMetadata,
+    readMetadata,
+    writeIntegrity,
+    readIntegrity,
+    writeBlockIndex,
+    readBlockIndex,
+    blockCodec
+} from './hs6d-format.js';
+
+// Núcleo de compresión HS6D sin dependencias del DOM: lo usan los
+// workers del navegador y la CLI de Node
+
+const bwtProcessor = createBWTProcessor();
+const huffmanEncoder = createHuffmanEncoder();
+const csvTransformer = createCSVTransformer();
+const logTransformer = createLogTransformer();
+const mtfEncoder = createMTFEncoder();
+// El orden se lee de los datos: una instancia basta para decodificar
+const rangeDecoder = createRangeCoder();
+
+// Igual que getOptimalChunkSize() en escritorio, para que la CLI
+// produzca los mismos bytes que el navegador
+export const DEFAULT_BLOCK_SIZE = 1048576;
+
+function noProgress() {}
+
+// checkpoint() se espera antes de cada bloque: quien la pasa puede pausar
+// o cancelar ahí (en un worker, además, deja llegar el mensaje 'abort')
+const noCheckpoint = async () => {};
+
+const ENTROPY_CODERS = ['huffman', 'range'];
+
+// =============================================
+// Niveles de compresión
+// =============================================
+// Cada nivel fija el tamaño de bloque (lo que ordena BWT de una vez), el
+// codificador de entropía, el esfuerzo de LZ77, desde qué proporción un
+// bloque se guarda sin comprimir y si se prueban todas las estrategias en
+// cada bloque (tryAll). 'balanced' son los valores de siempre: sin nivel,
+// los archivos salen igual que antes
+export const COMPRESSION_LEVELS = {
+    fast: {
+        name: 'rápido',
+        blockSize: 262144,
+        entropy: 'huffman',
+        lz77: { lazy: false, maxChain: 8 },
+        // Descomprimir un bloque guardado es inmediato: solo se comprime
+        // si ahorra al menos un 10 %
+        storedThreshold: 0.9,
+        tryAll: false
+    },
+    balanced: {
+        name: 'equilibrado',
+        blockSize: DEFAULT_BLOCK_SIZE,
+        entropy: 'huffman',
+        lz77: { lazy: true, maxChain: 64 },
+        storedThreshold: 0.95,
+        tryAll: false
+    },
+    max: {
+        name: 'máximo',
+        blockSize: 4194304,
+        entropy: 'range',
+        lz77: { lazy: true, maxChain: 512 },
+        storedThreshold: 0.99,
+        tryAll: true
+    }
+};
+
+export const DEFAULT_LEVEL = 'balanced';
+
+// Opciones de codificadores de un nivel con las indicadas encima: las
+// undefined no cuentan y lz77 se combina campo a campo
+export function levelOptions(level = DEFAULT_LEVEL, { blockSize, lz77, entropy, rangeOrder, storedThreshold, tryAll } = {}) {
+    const preset = COMPRESSION_LEVELS[level];
+    if (!preset) {
+        throw new RangeError(`Nivel de compresión desconocido: ${level}`);
+    }
+
+    return {
+        level,
+        blockSize: blockSize ?? preset.blockSize,
+        lz77: { ...preset.lz77, ...lz77 },
+        entropy: entropy ?? preset.entropy,
+        rangeOrder: rangeOrder ?? 1,
+        storedThreshold: storedThreshold ?? preset.storedThreshold,
+        tryAll: tryAll ?? preset.tryAll
+    };
+}
+
+// Nombre para mostrar de un nivel guardado en los metadatos
+export function levelName(level) {
+    return COMPRESSION_LEVELS[level] ? COMPRESSION_LEVELS[level].name : level;
+}
+
+// Codificadores configurables de una compresión, compartidos por todos sus bloques.
+// lz77: { windowSize, lazy, maxChain }; entropy: 'huffman' o 'range' (orden rangeOrder);
+// storedThreshold: proporción comprimido/original desde la que un bloque
+// se guarda sin comprimir; tryAll: probar todas las estrategias en cada
+// bloque en lugar de elegir por heurística (ver encodeBlock())
+function createCodecs({ lz77, entropy = 'huffman', rangeOrder = 1, storedThreshold = 0.95, tryAll = false }) {
+    if (!ENTROPY_CODERS.includes(entropy)) {
+        throw new RangeError(`Codificador de entropía desconocido: ${entropy}`);
+    }
+
+    const range = entropy === 'range';
+    return {
+        lz77Encoder: createLZ77Encoder(lz77),
+        entropy: {
+            range,
+            coder: range ? createRangeCoder({ order: rangeOrder }) : huffmanEncoder
+        },
+        storedThreshold,
+        tryAll
+    };
+}
+
+// =============================================
+// Flujos con codificación propia
+// =============================================
+// Las transformaciones (CSV columnar, plantillas de log) separan un bloque en varios
+// flujos; cada uno se codifica por separado con lo que le resulte mejor.
+
+const STREAM_STORED = 0;
+const STREAM_HUFFMAN = 1;
+const STREAM_BWT_HUFFMAN = 2;
+const STREAM_RANGE = 3;
+const STREAM_BWT_RANGE = 4;
+const STREAM_BWT_MTF = 5;
+
+// Flujos más cortos no compensan el coste de BWT
+const MIN_BWT_STREAM = 64;
+
+function encodeStream(stream, entropy, bwt) {
+    let best = { mode: STREAM_STORED, data: stream };
+    if (stream.length === 0) return best;
+
+    const [mode, bwtMode] = entropy.range
+        ? [STREAM_RANGE, STREAM_BWT_RANGE]
+        : [STREAM_HUFFMAN, STREAM_BWT_HUFFMAN];
+    const candidates = [() => ({ mode, data: entropy.coder.encode(stream) })];
+    if (bwt && stream.length >= MIN_BWT_STREAM) {
+        const bwtData = bwtProcessor.process(stream);
+        candidates.push(
+            () => ({ mode: bwtMode, data: entropy.coder.encode(bwtData) }),
+            () => ({ mode: STREAM_BWT_MTF, data: mtfEncoder.encode(bwtData) })
+        );
+    }
+
+    for (const candidate of candidates) {
+        const result = candidate();
+        if (result.data.length < best.data.length) best = result;
+    }
+    return best;
+}
+
+function decodeStream(mode, data) {
+    switch (mode) {
+        case STREAM_STORED:
+            return data;
+        case STREAM_HUFFMAN:
+            return huffmanEncoder.decode(data);
+        case STREAM_BWT_HUFFMAN:
+            return bwtProcessor.inverse(huffmanEncoder.decode(data));
+        case STREAM_RANGE:
+            return rangeDecoder.decode(data);
+        case STREAM_BWT_RANGE:
+            return bwtProcessor.inverse(rangeDecoder.decode(data));
+        case STREAM_BWT_MTF:
+            return bwtProcessor.inverse(mtfEncoder.decode(data));
+        default:
+            throw new Error(`Codificación de flujo desconocida: ${mode}`);
+    }
+}
+
+// Cantidad(varint) + por flujo: modo(1) + tamaño original(varint) + tamaño(varint) + datos
+function packStreams(streams, entropy, { bwt = true } = {}) {
+    const writer = createByteWriter();
+    writer.varint(streams.length);
+
+    for (const stream of streams) {
+        const { mode, data } = encodeStream(stream, entropy, bwt);
+        writer.byte(mode);
+        writer.varint(stream.length);
+        writer.varint(data.length);
+        writer.bytes(data);
+    }
+
+    return writer.finish();
+}
+
+function unpackStreams(data) {
+    const reader = createByteReader(data);
+    const count = reader.varint();
+    const streams = [];
+
+    for (let i = 0; i < count; i++) {
+        const mode = reader.byte();
+        const originalSize = reader.varint();
+        const stream = decodeStream(mode, reader.bytes(reader.varint()));
+        if (stream.length !== originalSize) {
+            throw new ChecksumError(`Tamaño incorrecto en el flujo ${i + 1}`);
+        }
+        streams.push(stream);
+    }
+
+    return streams;
+}
+
+// =============================================
+// Compresión
+// =============================================
+
+// Función mejorada para detectar datos estructurados
+function shouldUseBWT(data) {
+    // Priorizar detección de texto estructurado (CSV, logs, etc.)
+    if (isStructuredText(data)) {
+        return true;
+    }
+
+    // Detección de binario simplificada
+    const sampleSize = Math.min(data.length, 10000);
+    let textChars = 0;
+
+    for (let i = 0; i < sampleSize; i++) {
+        const byte = data[i];
+        // Caracteres de texto: ASCII imprimible + saltos de línea
+        if ((byte >= 32 && byte <= 126) || byte === 9 || byte === 10 || byte === 13) {
+            textChars++;
+        }
+    }
+
+    const textRatio = textChars / sampleSize;
+    return textRatio > 0.85; // 85% de caracteres de texto
+}
+
+function isAllSame(data) {
+    if (data.length < 100) return false;
+    const first = data[0];
+    for (let i = 1; i < data.length; i++) {
+        if (data[i] !== first) return false;
+    }
+    return true;
+}
+
+// Perfil de los datos que guía la codificación de todos sus bloques
+export function analyzeData(data) {
+    const { csv, log } = detectStructuredData(data);
+    return { csv, log: !csv && Boolean(log) };
+}
+
+// =============================================
+// Estrategias de codificación de un bloque
+// =============================================
+// Cada estrategia codifica el bloque entero de una sola forma y devuelve
+// { flags, payload }, o null si no se aplica a estos datos. La BWT se
+// calcula una vez por bloque aunque la usen varias
+
+function blockInput(data, profile, first) {
+    let transformed = null;
+    return {
+        data,
+        profile,
+        first,
+        bwt: () => (transformed ??= bwtProcessor.process(data))
+    };
+}
+
+const BLOCK_STRATEGIES = {
+    // CSV columnar: cada columna como flujo independiente
+    csv({ data, profile, first }) {
+        if (!profile.csv) return null;
+        const streams = csvTransformer.encode(data, { ...profile.csv, header: first });
+        return streams && { flags: BLOCK_FLAG_CSV, payload: packStreams(streams, profile.entropy) };
+    },
+
+    // Logs: plantillas, marcas de tiempo y números en flujos separados
+    log({ data, profile }) {
+        if (!profile.log) return null;
+        const streams = logTransformer.encode(data);
+        return streams && { flags: BLOCK_FLAG_LOG, payload: packStreams(streams, profile.entropy) };
+    },
+
+    // Solo el codificador de entropía, que queda en los flags del bloque
+    entropy({ data, profile: { entropy } }) {
+        const flags = (entropy.range ? BLOCK_FLAG_RANGE : 0) | (isAllSame(data) ? FLAG_SPECIAL : 0);
+        return { flags, payload: entropy.coder.encode(data) };
+    },
+
+    bwt({ bwt, profile: { entropy } }) {
+        return { flags: FLAG_BWT | (entropy.range ? BLOCK_FLAG_RANGE : 0), payload: entropy.coder.encode(bwt()) };
+    },
+
+    // Move-to-front + tramos de ceros + varias tablas Huffman (bzip2)
+    mtf({ bwt }) {
+        return { flags: FLAG_BWT | BLOCK_FLAG_MTF, payload: mtfEncoder.encode(bwt()) };
+    },
+
+    // LZ77: repeticiones que un codificador de entropía no aprovecha;
+    // cada flujo registra su propio codificador
+    lz77({ data, profile }) {
+        return { flags: BLOCK_FLAG_LZ77, payload: packStreams(profile.lz77Encoder.encode(data), profile.entropy, { bwt: false }) };
+    },
+
+    stored({ data }) {
+        return { flags: FLAG_STORED, payload: data };
+    }
+};
+
+// Las que prueba el modo tryAll, en orden de preferencia ante un empate
+const TRY_ALL_STRATEGIES = ['csv', 'log', 'bwt', 'mtf', 'entropy', 'lz77'];
+
+// La de menor tamaño; ante un empate, la primera
+function smallest(results) {
+    return results.reduce((best, result) => (
+        result && (!best || result.payload.length < best.payload.length) ? result : best
+    ), null);
+}
+
+// Comprime un bloque de forma independiente y devuelve sus flags. Sin
+// tryAll, CSV y logs se quedan con su transformación si comprime lo
+// suficiente y el resto elige entre BWT o no según shouldUseBWT(); con
+// tryAll gana la estrategia más chica. Lo que no baja de storedThreshold
+// se guarda sin comprimir
+function encodeBlock(data, profile, first = false) {
+    const input = blockInput(data, profile, first);
+    const encode = strategy => BLOCK_STRATEGIES[strategy](input);
+    const compresses = result => result.payload.length / data.length <= profile.storedThreshold;
+    let strategies;
+
+    if (profile.tryAll) {
+        strategies = TRY_ALL_STRATEGIES;
+    } else {
+        for (const strategy of ['csv', 'log']) {
+            const result = encode(strategy);
+            if (result && compresses(result)) return result;
+        }
+        if (shouldUseBWT(data)) {
+            strategies = ['bwt', 'mtf'];
+        } else {
+            // Bytes repetidos: el codificador de entropía ya es óptimo
+            strategies = isAllSame(data) ? ['entropy'] : ['entropy', 'lz77'];
+        }
+    }
+
+    const best = smallest(strategies.map(encode));
+    return compresses(best) ? best : BLOCK_STRATEGIES.stored(input);
+}
+
+// Cabecera de bloque + datos en un único buffer
+function encodeBlockPart(block, profile, first) {
+    const { flags, payload } = encodeBlock(block, profile, first);
+    const blockHeader = writeBlockHeader(flags, block.length, payload.length, crc32(payload));
+
+    const part = new Uint8Array(blockHeader.length + payload.length);
+    part.set(blockHeader);
+    part.set(payload, blockHeader.length);
+    return part;
+}
+
+// Bytes de `chunk` que forman el bloque: en CSV y logs los bloques
+// terminan en fin de línea para no partir filas
+export function alignBlock(chunk, analysis, last) {
+    if ((analysis.csv || analysis.log) && !last) {
+        const newline = chunk.lastIndexOf(10);
+        if (newline !== -1) return newline + 1;
+    }
+    return chunk.length;
+}
+
+// Analiza los datos y los divide en bloques [inicio, fin)
+export function planBlocks(data, blockSize = DEFAULT_BLOCK_SIZE) {
+    const analysis = analyzeData(data);
+    const ranges = [];
+    let start = 0;
+
+    while (start < data.length) {
+        const end = Math.min(start + blockSize, data.length);
+        ranges.push([start, start + alignBlock(data.subarray(start, end), analysis, end === data.length)]);
+        start = ranges[ranges.length - 1][1];
+    }
+
+    return { analysis, ranges };
+}
+
+// Filas de CSV que terminan en el bloque, para el índice: sus saltos de
+// línea y, si es el último y no termina en salto, la fila final
+export function countRows(block, last) {
+    let rows = 0;
+    for (let i = 0; i < block.length; i++) {
+        if (block[i] === 10) rows++;
+    }
+    if (last && block.length > 0 && block[block.length - 1] !== 10) rows++;
+    return rows;
+}
+
+// Índice para writeBlockIndex() a partir de cada bloque ya codificado:
+// { size (con su cabecera), originalSize, rows (de countRows(), o null
+// si no es CSV) }
+export function indexBlocks(blocks) {
+    const withRows = blocks.length > 0 && blocks.every(block => Number.isInteger(block.rows));
+    let offset = 4;
+    let originalOffset = 0;
+    let row = 0;
+
+    const entries = blocks.map(({ size, originalSize, rows }) => {
+        const entry = { offset, originalOffset, row: withRows ? row : null };
+        offset += size;
+        originalOffset += originalSize;
+        if (withRows) row += rows;
+        return entry;
+    });
+
+    return { blocks: entries, rows: withRows ? row : null };
+}
+
+// Codifica datos como contenedor de bloques independientes: la memoria de
+// trabajo de BWT/Huffman queda acotada por el tamaño de bloque
+async function encodeBlocks(data, blockSize, codecs, onBlock, checkpoint) {
+    const { analysis, ranges } = planBlocks(data, blockSize);
+    const profile = { ...codecs, ...analysis };
+    const parts = [];
+    const blocks = [];
+    let size = 0;
+
+    for (const [start, end] of ranges) {
+        await checkpoint();
+        const block = data.subarray(start, end);
+        const part = encodeBlockPart(block, profile, start === 0);
+        parts.push(part);
+        blocks.push({
+            size: part.length,
+            originalSize: block.length,
+            rows: analysis.csv ? countRows(block, end === data.length) : null
+        });
+        size += part.length;
+        onBlock(end - start);
+    }
+
+    const blockCount = writeBlockCount(parts.length);
+    return { parts: [blockCount, ...parts], size: size + blockCount.length, index: indexBlocks(blocks) };
+}
+
+// Un bloque de planBlocks() codificado por separado, p. ej. en otro worker.
+// Las opciones de codificadores y el nivel son los de compressData()
+export function compressBlock(block, analysis, { first = false, level, ...options } = {}) {
+    return encodeBlockPart(block, { ...createCodecs(levelOptions(level, options)), ...analysis }, first);
+}
+
+// Modo de análisis: codifica un bloque de planBlocks() con cada estrategia
+// que se le aplica, sin la elección automática ni el umbral de
+// storedThreshold. → [{ strategy, codec, size, time }]: size sin la
+// cabecera de bloque, tiempo en ms.
+// Cada una calcula su propia BWT, para que los tiempos sean comparables
+export function compareStrategies(block, analysis, { first = false, level, ...options } = {}) {
+    const profile = { ...createCodecs(levelOptions(level, options)), ...analysis };
+    const results = [];
+
+    for (const strategy of [...TRY_ALL_STRATEGIES, 'stored']) {
+        const start = performance.now();
+        const result = BLOCK_STRATEGIES[strategy](blockInput(block, profile, first));
+        const time = performance.now() - start;
+        if (result) {
+            results.push({ strategy, codec: blockCodec(result.flags), size: result.payload.length, time });
+        }
+    }
+
+    return results;
+}
+
+// Une en orden los bloques de compressBlock() en un archivo .hs6d.
+// integrity: { checksum, digests, sha256 } de los datos originales (ver writeIntegrity());
+// rows: filas de cada bloque (ver countRows()) si son CSV
+export function assembleBlocks(parts, originalSize, { metadata, integrity, rows = null }) {
+    const index = indexBlocks(parts.map((part, i) => ({
+        size: part.length,
+        originalSize: readBlockHeader(part).originalSize,
+        rows: rows && rows[i]
+    })));
+    return assemble([writeBlockCount(parts.length), ...parts], originalSize, FLAG_BLOCKS, { metadata, integrity, index });
+}
+
+// Cabecera + metadatos + integridad + índice + contenido en un único buffer
+function assemble(contentParts, originalSize, contentFlags, { metadata, integrity, index }) {
+    const sections = [];
+    let flags = contentFlags | FLAG_INTEGRITY;
+    if (metadata) {
+        sections.push(writeMetadata(metadata));
+        flags |= FLAG_METADATA;
+    }
+    sections.push(writeIntegrity(integrity));
+    if (index) {
+        sections.push(writeBlockIndex(index));
+        flags |= FLAG_INDEX;
+    }
+
+    const parts = [...sections, ...contentParts];
+    const checksum = parts.reduce((crc, part) => crc32(part, crc), 0);
+    const header = writeHeader(originalSize, flags, checksum);
+    const payloadSize = parts.reduce((sum, part) => sum + part.length, 0);
+
+    const output = new Uint8Array(header.length + payloadSize);
+    output.set(header);
+    let offset = header.length;
+    for (const part of parts) {
+        output.set(part, offset);
+        offset += part.length;
+    }
+
+    return output;
+}
+
+// level: uno de COMPRESSION_LEVELS; el tamaño de bloque y las opciones de
+// codificadores (ver createCodecs()) indicados tienen prioridad sobre él.
+// metadata: ver writeMetadata(); el nivel se agrega para diagnóstico.
+// digests: SHA-256 de cada bloque de planBlocks(), y fileDigest, el de
+// todos los datos, calculados antes con WebCrypto (ver hs6d-integrity.js)
+export async function compressData(data, {
+    level,
+    metadata,
+    digests = [],
+    fileDigest = null,
+    onProgress = noProgress,
+    checkpoint = noCheckpoint,
+    ...options
+} = {}) {
+    onProgress(0.05, 'Analizando datos');
+
+    const settings = levelOptions(level, options);
+    const codecs = createCodecs(settings);
+    let done = 0;
+    const { parts, index } = await encodeBlocks(data, settings.blockSize, codecs, (length) => {
+        done += length;
+        onProgress(0.05 + 0.8 * done / data.length, 'Comprimiendo bloques');
+    }, checkpoint);
+
+    onProgress(0.85, 'Empaquetando resultado');
+    const output = assemble(parts, data.length, FLAG_BLOCKS, {
+        metadata: { ...metadata, level: settings.level },
+        integrity: { checksum: crc32(data), digests, sha256: fileDigest },
+        index
+    });
+    onProgress(1.0, 'Finalizado');
+
+    return output;
+}
+
+// Varias entradas { name, data }, cada una como contenedor de bloques,
+// y el directorio al final. digests: los de los bloques de cada entrada,
+// seguidos; fileDigest: el de los datos de todas las entradas seguidos
+export async function compressArchive(files, {
+    level,
+    metadata,
+    digests = [],
+    fileDigest = null,
+    onProgress = noProgress,
+    checkpoint = noCheckpoint,
+    ...options
+} = {}) {
+    onProgress(0.05, 'Analizando datos');
+
+    const settings = levelOptions(level, options);
+    const codecs = createCodecs(settings);
+    const totalSize = files.reduce((sum, file) => sum + file.data.length, 0);
+    const parts = [];
+    const entries = [];
+    let offset = 0;
+    let done = 0;
+    let checksum = 0;
+
+    for (const file of files) {
+        const { parts: entryParts, size } = await encodeBlocks(file.data, settings.blockSize, codecs, (length) => {
+            done += length;
+            onProgress(0.05 + 0.8 * done / Math.max(1, totalSize), `Comprimiendo ${file.name}`);
+        }, checkpoint);
+
+        const entryChecksum = crc32(file.data);
+        checksum = crc32Combine(checksum, entryChecksum, file.data.length);
+        entries.push({
+            name: file.name,
+            originalSize: file.data.length,
+            compressedSize: size,
+            offset,
+            flags: FLAG_BLOCKS,
+            checksum: entryChecksum
+        });
+        parts.push(...entryParts);
+        offset += size;
+    }
+
+    parts.push(writeDirectory(entries, offset));
+
+    onProgress(0.85, 'Empaquetando resultado');
+    const output = assemble(parts, totalSize, FLAG_ARCHIVE, { metadata: { ...metadata, level: settings.level }, integrity: { checksum, digests, sha256: fileDigest } });
+    onProgress(1.0, 'Finalizado');
+
+    return output;
+}
+
+// =============================================
+// Descompresión
+// =============================================
+
+function entropyDecoderFor(flags) {
+    if (flags & BLOCK_FLAG_MTF) return mtfEncoder;
+    return (flags & BLOCK_FLAG_RANGE) ? rangeDecoder : huffmanEncoder;
+}
+
+// Decodifica un bloque (o el contenido completo de archivos sin bloques)
+function decodeBlock(flags, compressedData, originalSize) {
+    let originalData;
+
+    if (flags & BLOCK_FLAG_CSV) {
+        originalData = csvTransformer.decode(unpackStreams(compressedData));
+    } else if (flags & BLOCK_FLAG_LOG) {
+        originalData = logTransformer.decode(unpackStreams(compressedData));
+    } else if (flags & BLOCK_FLAG_LZ77) {
+        originalData = decodeLZ77(unpackStreams(compressedData));
+    } else if (flags & FLAG_STORED) {
+        originalData = compressedData;
+    } else {
+        const entropyData = entropyDecoderFor(flags).decode(compressedData);
+        originalData = (flags & FLAG_BWT) ? bwtProcessor.inverse(entropyData) : entropyData;
+    }
+
+    // Manejar caso especial (bytes repetidos)
+    if ((flags & FLAG_SPECIAL) && originalData.length === 1 && originalSize > 1) {
+        const repeated = new Uint8Array(originalSize);
+        repeated.fill(originalData[0]);
+        originalData = repeated;
+    }
+
+    return originalData;
+}
+
+// Verifica y decodifica un bloque de readBlocks() o splitBlocks()
+export function decompressBlock(block) {
+    if (crc32(block.data) !== block.checksum) {
+        throw new ChecksumError(`Checksum no coincide en el bloque ${block.index + 1} - archivo corrupto`);
+    }
+
+    const decoded = decodeBlock(block.flags, block.data, block.originalSize);
+    if (decoded.length !== block.originalSize) {
+        throw new ChecksumError(`Tamaño incorrecto en el bloque ${block.index + 1}`);
+    }
+    return decoded;
+}
+
+// Bloques de un contenedor abierto, copiados para poder transferirlos a
+// otros workers; null si el archivo no tiene bloques
+export function splitBlocks(container) {
+    if (container.entries || !(container.flags & FLAG_BLOCKS)) return null;
+
+    return Array.from(readBlocks(container.payload), block => ({ ...block, data: block.data.slice() }));
+}
+
+// Decodifica los bloques uno tras otro sobre un único buffer de salida
+async function decodeBlocks(payload, originalSize, onProgress, checkpoint) {
+    const output = new Uint8Array(originalSize);
+    let offset = 0;
+
+    for (const block of readBlocks(payload)) {
+        await checkpoint();
+        const decoded = decompressBlock(block);
+        if (offset + decoded.length > originalSize) {
+            throw new ChecksumError(`Tamaño incorrecto en el bloque ${block.index + 1}`);
+        }
+
+        output.set(decoded, offset);
+        offset += decoded.length;
+
+        onProgress(0.2 + 0.75 * (block.index + 1) / block.count, `Bloque ${block.index + 1} de ${block.count}`);
+    }
+
+    if (offset !== originalSize) {
+        throw new ChecksumError(`Faltan datos: ${offset} de ${originalSize} bytes`);
+    }
+
+    return output;
+}
+
+// Valida cabecera y checksum; en archivos con varias entradas también lee el directorio
+export function openContainer(data, { onProgress = noProgress } = {}) {
+    onProgress(0.05, 'Validando archivo');
+
+    const { version, headerSize, originalSize, flags, checksum } = readHeader(data);
+    if (flags & FLAG_ENCRYPTED) {
+        // Hay que descifrarlo antes con decryptContainer() de hs6d-crypto.js
+        throw new PasswordError("El archivo está cifrado: se necesita la contraseña", { required: true });
+    }
+
+    onProgress(0.1, 'Verificando integridad');
+
+    // Extraer datos y verificar checksum
+    let payload = data.subarray(headerSize);
+    if (crc32(payload) !== checksum) {
+        throw new ChecksumError("Checksum no coincide - archivo corrupto");
+    }
+
+    let metadata = null;
+    if (flags & FLAG_METADATA) {
+        const section = readMetadata(payload);
+        metadata = section.metadata;
+        payload = payload.subarray(section.size);
+    }
+
+    // Archivos V3: sin CRC de los datos originales
+    let integrity = null;
+    if (flags & FLAG_INTEGRITY) {
+        const section = readIntegrity(payload);
+        integrity = section.integrity;
+        payload = payload.subarray(section.size);
+    }
+
+    let index = null;
+    if (flags & FLAG_INDEX) {
+        const section = readBlockIndex(payload);
+        index = section.index;
+        payload = payload.subarray(section.size);
+    }
+
+    const entries = (flags & FLAG_ARCHIVE) ? readDirectory(payload, { version }) : null;
+    return { version, originalSize, flags, metadata, integrity, index, payload, entries };
+}
+
+// Descomprime un contenedor de una sola entrada abierto con openContainer()
+export async function decodeContainer(container, { onProgress = noProgress, checkpoint = noCheckpoint } = {}) {
+    const { originalSize, flags, payload } = container;
+    if (flags & FLAG_ARCHIVE) {
+        throw new Error("El archivo contiene varias entradas; use extractEntry()");
+    }
+
+    let originalData;
+
+    if (flags & FLAG_BLOCKS) {
+        onProgress(0.2, 'Descomprimiendo bloques');
+        originalData = await decodeBlocks(payload, originalSize, onProgress, checkpoint);
+    } else {
+        onProgress(0.4, 'Descomprimiendo');
+        originalData = decodeBlock(flags, payload, originalSize);
+
+        if (originalData.length !== originalSize) {
+            throw new ChecksumError(`Tamaño descomprimido (${originalData.length}) distinto del original (${originalSize})`);
+        }
+    }
+
+    if (container.integrity && crc32(originalData) !== container.integrity.checksum) {
+        throw new ChecksumError("Los datos descomprimidos no coinciden con el original (CRC)");
+    }
+
+    // Copia propia: el resultado no debe compartir buffer con la entrada
+    if (originalData.buffer === payload.buffer) {
+        originalData = originalData.slice();
+    }
+
+    onProgress(1.0, 'Descompresión completada');
+    return originalData;
+}
+
+export async function decompressData(data, options = {}) {
+    return decodeContainer(openContainer(data, options), options);
+}
+
+export async function extractEntry(container, entry, { onProgress = noProgress, checkpoint = noCheckpoint } = {}) {
+    const entryData = container.payload.subarray(entry.offset, entry.offset + entry.compressedSize);
+    const decompressed = (entry.flags & FLAG_BLOCKS)
+        ? await decodeBlocks(entryData, entry.originalSize, onProgress, checkpoint)
+        : decodeBlock(entry.flags, entryData, entry.originalSize).slice();
+
+    if (crc32(decompressed) !== entry.checksum) {
+        throw new ChecksumError(`Checksum no coincide en "${entry.name}" - archivo corrupto`);
+    }
+
+    return decompressed;
+}
+
+// Tamaño original de cada bloque, en orden, del archivo o de una entrada:
+// ubica los SHA-256 de la sección de integridad
+export function blockSizes(container, entry = null) {
+    const flags = entry ? entry.flags : container.flags;
+    if (!(flags & FLAG_BLOCKS)) {
+        return [entry ? entry.originalSize : container.originalSize];
+    }
+
+    const payload = entry
+        ? container.payload.subarray(entry.offset, entry.offset + entry.compressedSize)
+        : container.payload;
+    return Array.from(readBlocks(payload), block => block.originalSize);
+}
+
+// Bloques de un contenedor de una sola entrada, sin decodificar, con su
+// posición en los datos originales: { blocks, rows } con los bloques de
+// readBlocks() más originalOffset y row (la primera fila, o null), y rows
+// las filas del archivo (null si el índice no las guarda). Sin índice se
+// recorren las cabeceras de bloque; null si el archivo no tiene bloques
+export function blockMap(container) {
+    const { flags, payload, index } = container;
+    if (container.entries || !(flags & FLAG_BLOCKS)) return null;
+
+    if (!index) {
+        let originalOffset = 0;
+        const blocks = Array.from(readBlocks(payload), block => {
+            const located = { ...block, originalOffset, row: null };
+            originalOffset += block.originalSize;
+            return located;
+        });
+        return { blocks, rows: null };
+    }
+
+    const count = index.blocks.length;
+    const blocks = index.blocks.map(({ offset, originalOffset, row }, i) => {
+        const header = readBlockHeader(payload, offset);
+        const start = offset + BLOCK_HEADER_SIZE;
+        if (start + header.compressedSize > payload.length) {
+            throw new ChecksumError(`Bloque ${i + 1} truncado`);
+        }
+        return {
+            index: i,
+            count,
+            flags: header.flags,
+            originalSize: header.originalSize,
+            checksum: header.checksum,
+            data: payload.subarray(start, start + header.compressedSize),
+            originalOffset,
+            row
+        };
+    });
+    return { blocks, rows: index.rows };
+}
+
+// =============================================
+// Información sin descomprimir
+// =============================================
+
+export function describeContainer(data) {
+    const { version, headerSize, originalSize, flags } = readHeader(data);
+    let payload = data.subarray(headerSize);
+    const describeBlocks = (blocks) => Array.from(readBlocks(blocks), ({ flags, originalSize, data }) => ({
+        flags,
+        originalSize,
+        compressedSize: data.length
+    }));
+
+    const info = {
+        version,
+        originalSize,
+        compressedSize: data.length,
+        flags,
+        encrypted: (flags & FLAG_ENCRYPTED) !== 0,
+        metadata: null,
+        integrity: null,
+        index: null,
+        blocks: null,
+        entries: null
+    };
+
+    // Sin la contraseña solo se ve la cabecera
+    if (info.encrypted) return info;
+
+    if (flags & FLAG_METADATA) {
+        const section = readMetadata(payload);
+        info.metadata = section.metadata;
+        payload = payload.subarray(section.size);
+    }
+    if (flags & FLAG_INTEGRITY) {
+        const { integrity, size } = readIntegrity(payload);
+        info.integrity = {
+            checksum: integrity.checksum,
+            algorithm: integrity.algorithm,
+            digests: integrity.digests.length,
+            // El de todos los datos, en hexadecimal, o null
+            sha256: integrity.sha256 && toHex(integrity.sha256)
+        };
+        payload = payload.subarray(size);
+    }
+    if (flags & FLAG_INDEX) {
+        const { index, size } = readBlockIndex(payload);
+        info.index = { blocks: index.blocks.length, rows: index.rows };
+        payload = payload.subarray(size);
+    }
+
+    if (flags & FLAG_ARCHIVE) {
+        info.entries = readDirectory(payload, { version }).map(entry => ({
+            name: entry.name,
+            originalSize: entry.originalSize,
+            compressedSize: entry.compressedSize,
+            blocks: (entry.flags & FLAG_BLOCKS)
+                ? describeBlocks(payload.subarray(entry.offset, entry.offset + entry.compressedSize))
+                : null
+        }));
+    } else if (flags & FLAG_BLOCKS) {
+        info.blocks = describeBlocks(payload);
+    }
+
+    return info;
+}
@@ -0,0 +1,253 @@
+import { crc32 } from './utils.js';
+import {
+    MAX_HEADER_SIZE,
+    FLAG_ENCRYPTED,
+    ENCRYPTION_HEADER_SIZE,
+    KDF_PBKDF2_SHA256,
+    SALT_SIZE,
+    NONCE_SIZE,
+    ChecksumError,
+    PasswordError,
+    writeHeader,
+    readHeader,
+    headerWithoutChecksum,
+    writeEncryptionHeader,
+    readEncryptionHeader
+} from './hs6d-format.js';
+
+// =============================================
+// Cifrado con contraseña
+// =============================================
+// La clave sale de la contraseña con PBKDF2-SHA-256 y el contenido (todo
+// lo que sigue a la cabecera) se cifra con AES-GCM de 256 bits en
+// segmentos, para poder cifrar y descifrar un Blob por partes. Cada
+// segmento usa el nonce base con su índice mezclado en los últimos 4
+// bytes y autentica como datos adicionales la cabecera sin el CRC (V3 o
+// V4, la que tenga el archivo), la cabecera de cifrado, su índice y si es
+// el último: reordenar, recortar o cambiar los flags hace fallar el
+// descifrado.
+//
+// El CRC de la cabecera cubre el contenido cifrado, así un archivo dañado
+// se distingue de una contraseña incorrecta.
+//
+// Usa WebCrypto (crypto.subtle): navegador, workers y Node.
+
+export const DEFAULT_KDF_ITERATIONS = 600000;
+const MAX_KDF_ITERATIONS = 10000000;
+
+const SEGMENT_SIZE = 1 << 20;
+const MAX_SEGMENT_SIZE = 1 << 26;
+const TAG_SIZE = 16;
+
+function bytesSource(data) {
+    return {
+        size: data.length,
+        read: async (start, end) => data.subarray(start, end)
+    };
+}
+
+function blobSource(blob, offset) {
+    return {
+        size: blob.size - offset,
+        read: async (start, end) => new Uint8Array(await blob.slice(offset + start, offset + end).arrayBuffer())
+    };
+}
+
+async function deriveKey(password, salt, iterations) {
+    const material = await crypto.subtle.importKey(
+        'raw',
+        new TextEncoder().encode(password),
+        'PBKDF2',
+        false,
+        ['deriveKey']
+    );
+
+    return crypto.subtle.deriveKey(
+        { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+        material,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+    );
+}
+
+// prefix: cabecera autenticada + cabecera de cifrado
+function segmentParams(prefix, nonce, index, last) {
+    const iv = nonce.slice();
+    const ivView = new DataView(iv.buffer);
+    ivView.setUint32(NONCE_SIZE - 4, ivView.getUint32(NONCE_SIZE - 4) ^ index);
+
+    const additionalData = new Uint8Array(prefix.length + 5);
+    additionalData.set(prefix);
+    new DataView(additionalData.buffer).setUint32(prefix.length, index);
+    additionalData[prefix.length + 4] = last ? 1 : 0;
+
+    return { name: 'AES-GCM', iv, additionalData };
+}
+
+function authenticatedPrefix(header, encryptionHeader) {
+    const authenticated = headerWithoutChecksum(header);
+    const prefix = new Uint8Array(authenticated.length + ENCRYPTION_HEADER_SIZE);
+    prefix.set(authenticated);
+    prefix.set(encryptionHeader, authenticated.length);
+    return prefix;
+}
+
+// → { header, parts }: cabecera con FLAG_ENCRYPTED, de la misma versión,
+// y el contenido cifrado
+async function encryptSource(source, { version, originalSize, flags }, password, iterations) {
+    if (!Number.isInteger(iterations) || iterations < 1 || iterations > MAX_KDF_ITERATIONS) {
+        throw new RangeError(`Las iteraciones deben estar entre 1 y ${MAX_KDF_ITERATIONS}`);
+    }
+
+    const salt = crypto.getRandomValues(new Uint8Array(SALT_SIZE));
+    const nonce = crypto.getRandomValues(new Uint8Array(NONCE_SIZE));
+    const encryptionHeader = writeEncryptionHeader({
+        kdf: KDF_PBKDF2_SHA256,
+        iterations,
+        salt,
+        nonce,
+        segmentSize: SEGMENT_SIZE
+    });
+    const encryptedFlags = flags | FLAG_ENCRYPTED;
+    const prefix = authenticatedPrefix(writeHeader(originalSize, encryptedFlags, 0, { version }), encryptionHeader);
+    const key = await deriveKey(password, salt, iterations);
+
+    // Siempre al menos un segmento, aunque el contenido esté vacío
+    const count = Math.max(1, Math.ceil(source.size / SEGMENT_SIZE));
+    const parts = [encryptionHeader];
+    let checksum = crc32(encryptionHeader);
+
+    for (let index = 0; index < count; index++) {
+        const start = index * SEGMENT_SIZE;
+        const plain = await source.read(start, Math.min(start + SEGMENT_SIZE, source.size));
+        const params = segmentParams(prefix, nonce, index, index === count - 1);
+        const sealed = new Uint8Array(await crypto.subtle.encrypt(params, key, plain));
+
+        checksum = crc32(sealed, checksum);
+        parts.push(sealed);
+    }
+
+    return { header: writeHeader(originalSize, encryptedFlags, checksum, { version }), parts };
+}
+
+async function verifyChecksum(source, checksum) {
+    let crc = 0;
+    for (let start = 0; start < source.size; start += SEGMENT_SIZE) {
+        crc = crc32(await source.read(start, Math.min(start + SEGMENT_SIZE, source.size)), crc);
+    }
+    if (crc !== checksum) {
+        throw new ChecksumError("Checksum no coincide - archivo corrupto");
+    }
+}
+
+// → { header, parts }: cabecera sin FLAG_ENCRYPTED y el contenido descifrado
+async function decryptSource(source, headerField, password) {
+    const header = readHeader(headerField);
+    if (!password) {
+        throw new PasswordError("El archivo está cifrado: se necesita la contraseña", { required: true });
+    }
+
+    const encryptionHeader = await source.read(0, ENCRYPTION_HEADER_SIZE);
+    const { kdf, iterations, salt, nonce, segmentSize } = readEncryptionHeader(encryptionHeader);
+    if (kdf !== KDF_PBKDF2_SHA256) {
+        throw new Error(`Derivación de clave desconocida: ${kdf}`);
+    }
+    if (iterations < 1 || iterations > MAX_KDF_ITERATIONS || segmentSize < 1 || segmentSize > MAX_SEGMENT_SIZE) {
+        throw new Error("Parámetros de cifrado inválidos");
+    }
+
+    const prefix = authenticatedPrefix(headerField, encryptionHeader);
+    const key = await deriveKey(password, salt, iterations);
+    const sealedSize = segmentSize + TAG_SIZE;
+    const count = Math.max(1, Math.ceil((source.size - ENCRYPTION_HEADER_SIZE) / sealedSize));
+    const parts = [];
+    let checksum = crc32(encryptionHeader);
+    let plainChecksum = 0;
+
+    for (let index = 0; index < count; index++) {
+        const start = ENCRYPTION_HEADER_SIZE + index * sealedSize;
+        const sealed = await source.read(start, Math.min(start + sealedSize, source.size));
+        const params = segmentParams(prefix, nonce, index, index === count - 1);
+        let plain;
+        try {
+            plain = new Uint8Array(await crypto.subtle.decrypt(params, key, sealed));
+        } catch {
+            // Con el CRC intacto los datos llegaron bien: falla la clave
+            await verifyChecksum(source, header.checksum);
+            throw new PasswordError("Contraseña incorrecta o datos alterados");
+        }
+
+        checksum = crc32(sealed, checksum);
+        plainChecksum = crc32(plain, plainChecksum);
+        parts.push(plain);
+    }
+
+    if (checksum !== header.checksum) {
+        throw new ChecksumError("Checksum no coincide - archivo corrupto");
+    }
+
+    return {
+        header: writeHeader(header.originalSize, header.flags & ~FLAG_ENCRYPTED, plainChecksum, { version: header.version }),
+        parts
+    };
+}
+
+function joinParts(header, parts) {
+    const output = new Uint8Array(parts.reduce((sum, part) => sum + part.length, header.length));
+    let offset = header.length;
+    output.set(header);
+    for (const part of parts) {
+        output.set(part, offset);
+        offset += part.length;
+    }
+    return output;
+}
+
+export function isEncrypted(data) {
+    return (readHeader(data).flags & FLAG_ENCRYPTED) !== 0;
+}
+
+// Cifra un .hs6d completo; devuelve otro .hs6d con FLAG_ENCRYPTED
+export async function encryptContainer(data, password, { iterations = DEFAULT_KDF_ITERATIONS } = {}) {
+    const header = readHeader(data);
+    const { header: encryptedHeader, parts } = await encryptSource(
+        bytesSource(data.subarray(header.headerSize)),
+        header,
+        password,
+        iterations
+    );
+    return joinParts(encryptedHeader, parts);
+}
+
+// Devuelve el .hs6d sin cifrar. Lanza PasswordError (required) si falta la
+// contraseña, PasswordError si no es la correcta y ChecksumError si el
+// archivo está dañado
+export async function decryptContainer(data, password) {
+    const { headerSize } = readHeader(data);
+    const { header, parts } = await decryptSource(
+        bytesSource(data.subarray(headerSize)),
+        data.subarray(0, headerSize),
+        password
+    );
+    return joinParts(header, parts);
+}
+
+// Como encryptContainer(), leyendo y devolviendo un Blob por segmentos
+export async function encryptBlob(blob, password, { iterations = DEFAULT_KDF_ITERATIONS } = {}) {
+    const header = readHeader(new Uint8Array(await blob.slice(0, MAX_HEADER_SIZE).arrayBuffer()));
+    const { header: encryptedHeader, parts } = await encryptSource(
+        blobSource(blob, header.headerSize),
+        header,
+        password,
+        iterations
+    );
+    return new Blob([encryptedHeader, ...parts], { type: 'application/hs6d' });
+}
+
+export async function decryptBlob(blob, password) {
+    const prefix = new Uint8Array(await blob.slice(0, MAX_HEADER_SIZE).arrayBuffer());
+    const { headerSize } = readHeader(prefix);
+    const { header, parts } = await decryptSource(blobSource(blob, headerSize), prefix.subarray(0, headerSize), password);
+    return new Blob([header, ...parts], { type: 'application/hs6d' });
+}
@@ -0,0 +1,791 @@
+import { crc32 } from './utils.js';
+
+// =============================================
+// Formato de archivo HS6D
+// =============================================
+
+// Cabecera V4: magic(4) + versión(1) + largo de la cabecera(2) + flags(4)
+// + flags reservados(4) + tamaño original(8) + CRC del contenido(4).
+// Un lector salta lo que siga al CRC hasta el largo indicado, así una
+// versión posterior puede añadir campos sin cambiar la versión. Los flags
+// reservados son para cambios que un lector V4 no sabría interpretar:
+// deben ser 0
+export const HS6D_MAGIC_V4 = 0x48533656; // 'HS6V'
+export const FORMAT_VERSION = 4;
+export const HEADER_SIZE = 27;
+
+// Cabecera V3, la de los archivos anteriores: magic(4) + tamaño original(4)
+// + flags(1) + CRC del contenido(4). Se documentaba como de 12 bytes, pero
+// el CRC en el byte 9 ocupa hasta el 13
+export const HS6D_MAGIC = 0x48533644; // 'HS6D'
+export const LEGACY_VERSION = 3;
+export const LEGACY_HEADER_SIZE = 13;
+
+// Bytes a leer del comienzo de un Blob para tener cualquier cabecera admitida
+export const MAX_HEADER_SIZE = 256;
+
+// Flags de la cabecera y de cada bloque
+export const FLAG_BWT = 1;
+export const FLAG_SPECIAL = 2;
+export const FLAG_STORED = 4;
+
+// Flag solo de cabecera: el contenido es una secuencia de bloques
+export const FLAG_BLOCKS = 8;
+
+// Flag solo de cabecera: el contenido está cifrado (ver hs6d-crypto.js)
+export const FLAG_ENCRYPTED = 32;
+
+// Flags solo de bloque (comparten valores con los flags solo de cabecera)
+export const BLOCK_FLAG_CSV = 8;
+export const BLOCK_FLAG_LOG = 16;
+export const BLOCK_FLAG_LZ77 = 32;
+export const BLOCK_FLAG_RANGE = 64;
+export const BLOCK_FLAG_MTF = 128;
+
+// Cabecera de bloque: flags(1) + tamaño original(4) + tamaño comprimido(4) + CRC(4)
+export const BLOCK_HEADER_SIZE = 13;
+
+// Datos dañados: la CLI la distingue de los demás errores por su código de salida
+export class ChecksumError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ChecksumError';
+    }
+}
+
+// Archivo cifrado sin contraseña (required) o con una que no lo abre
+export class PasswordError extends Error {
+    constructor(message, { required = false } = {}) {
+        super(message);
+        this.name = 'PasswordError';
+        this.required = required;
+    }
+}
+
+// Conjunto de volúmenes incompleto o mezclado; missing: números de los
+// volúmenes que faltan (desde 1)
+export class VolumeError extends Error {
+    constructor(message, { missing = [] } = {}) {
+        super(message);
+        this.name = 'VolumeError';
+        this.missing = missing;
+    }
+}
+
+// Enteros de 64 bits como Number: valen hasta 2^53 - 1
+function setUint64(view, offset, value) {
+    if (!Number.isSafeInteger(value) || value < 0) {
+        throw new RangeError(`Tamaño fuera de rango: ${value}`);
+    }
+    view.setUint32(offset, Math.floor(value / 0x100000000));
+    view.setUint32(offset + 4, value >>> 0);
+}
+
+function getUint64(view, offset) {
+    const value = view.getUint32(offset) * 0x100000000 + view.getUint32(offset + 4);
+    if (!Number.isSafeInteger(value)) {
+        throw new RangeError("Tamaño fuera de rango");
+    }
+    return value;
+}
+
+// version: LEGACY_VERSION solo para reescribir un archivo V3 sin cambiar
+// su formato (p. ej. al descifrarlo)
+export function writeHeader(originalSize, flags, checksum, { version = FORMAT_VERSION } = {}) {
+    if (version === LEGACY_VERSION) {
+        if (originalSize > 0xFFFFFFFF || flags > 0xFF) {
+            throw new RangeError("La cabecera V3 admite hasta 4 GB y flags de 8 bits");
+        }
+        const header = new Uint8Array(LEGACY_HEADER_SIZE);
+        const view = new DataView(header.buffer);
+
+        view.setUint32(0, HS6D_MAGIC);
+        view.setUint32(4, originalSize);
+        view.setUint8(8, flags);
+        view.setUint32(9, checksum);
+
+        return header;
+    }
+
+    const header = new Uint8Array(HEADER_SIZE);
+    const view = new DataView(header.buffer);
+
+    view.setUint32(0, HS6D_MAGIC_V4);
+    view.setUint8(4, FORMAT_VERSION);
+    view.setUint16(5, HEADER_SIZE);
+    view.setUint32(7, flags);
+    view.setUint32(11, 0);
+    setUint64(view, 15, originalSize);
+    view.setUint32(23, checksum);
+
+    return header;
+}
+
+// → { version, headerSize, originalSize, flags, checksum, checksumOffset }.
+// El contenido empieza en headerSize
+export function readHeader(data) {
+    if (data.length < LEGACY_HEADER_SIZE) {
+        throw new Error(`Archivo inválido: tamaño mínimo ${LEGACY_HEADER_SIZE} bytes`);
+    }
+
+    const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+    const magic = view.getUint32(0);
+
+    if (magic === HS6D_MAGIC) {
+        return {
+            version: LEGACY_VERSION,
+            headerSize: LEGACY_HEADER_SIZE,
+            originalSize: view.getUint32(4),
+            flags: view.getUint8(8),
+            checksum: view.getUint32(9),
+            checksumOffset: 9
+        };
+    }
+    if (magic !== HS6D_MAGIC_V4) {
+        throw new Error("Formato de archivo inválido");
+    }
+
+    const version = view.getUint8(4);
+    if (version !== FORMAT_VERSION) {
+        throw new Error(`Versión de formato ${version} no admitida`);
+    }
+    const headerSize = view.getUint16(5);
+    if (headerSize < HEADER_SIZE || headerSize > MAX_HEADER_SIZE) {
+        throw new Error(`Largo de cabecera inválido: ${headerSize}`);
+    }
+    if (data.length < headerSize) {
+        throw new Error(`Archivo inválido: tamaño mínimo ${headerSize} bytes`);
+    }
+    if (view.getUint32(11) !== 0) {
+        throw new Error("El archivo usa funciones de una versión más nueva del formato");
+    }
+
+    return {
+        version,
+        headerSize,
+        originalSize: getUint64(view, 15),
+        flags: view.getUint32(7),
+        checksum: view.getUint32(23),
+        checksumOffset: 23
+    };
+}
+
+// La cabecera sin el campo CRC, que depende del contenido: es lo que
+// autentica el cifrado
+export function headerWithoutChecksum(data) {
+    const { headerSize, checksumOffset } = readHeader(data);
+    const field = new Uint8Array(headerSize - 4);
+    field.set(data.subarray(0, checksumOffset));
+    field.set(data.subarray(checksumOffset + 4, headerSize), checksumOffset);
+    return field;
+}
+
+// =============================================
+// Cabecera de cifrado
+// =============================================
+// Sigue a la cabecera cuando está FLAG_ENCRYPTED: KDF(1) + iteraciones(4)
+// + sal(16) + nonce(12) + tamaño de segmento(4)
+export const ENCRYPTION_HEADER_SIZE = 37;
+
+export const KDF_PBKDF2_SHA256 = 1;
+export const SALT_SIZE = 16;
+export const NONCE_SIZE = 12;
+
+export function writeEncryptionHeader({ kdf, iterations, salt, nonce, segmentSize }) {
+    const header = new Uint8Array(ENCRYPTION_HEADER_SIZE);
+    const view = new DataView(header.buffer);
+
+    view.setUint8(0, kdf);
+    view.setUint32(1, iterations);
+    header.set(salt, 5);
+    header.set(nonce, 5 + SALT_SIZE);
+    view.setUint32(5 + SALT_SIZE + NONCE_SIZE, segmentSize);
+
+    return header;
+}
+
+export function readEncryptionHeader(data) {
+    if (data.length < ENCRYPTION_HEADER_SIZE) {
+        throw new Error("Cabecera de cifrado truncada");
+    }
+
+    const view = new DataView(data.buffer, data.byteOffset, ENCRYPTION_HEADER_SIZE);
+    return {
+        kdf: view.getUint8(0),
+        iterations: view.getUint32(1),
+        salt: data.slice(5, 5 + SALT_SIZE),
+        nonce: data.slice(5 + SALT_SIZE, 5 + SALT_SIZE + NONCE_SIZE),
+        segmentSize: view.getUint32(5 + SALT_SIZE + NONCE_SIZE)
+    };
+}
+
+// =============================================
+// Metadatos del archivo original
+// =============================================
+
+// Flag solo de cabecera: el contenido empieza con una sección de metadatos
+export const FLAG_METADATA = 64;
+
+// Sección: largo(4) + registros tipo(1) + largo(2) + valor. Un lector salta
+// los tipos que no conoce, así se pueden añadir campos sin romper el formato
+export const META_NAME = 1;
+export const META_EXTENSION = 2;
+export const META_MIME_TYPE = 3;
+export const META_MODIFIED = 4;
+export const META_COMMENT = 5;
+// Nivel de compresión usado (ver COMPRESSION_LEVELS de hs6d-core.js), solo
+// para diagnóstico: descomprimir no lo necesita
+export const META_LEVEL = 6;
+
+const META_TEXT_FIELDS = [
+    [META_NAME, 'name'],
+    [META_EXTENSION, 'extension'],
+    [META_MIME_TYPE, 'mimeType'],
+    [META_COMMENT, 'comment'],
+    [META_LEVEL, 'level']
+];
+
+const MAX_META_VALUE = 0xFFFF;
+
+// metadata: { name, extension, mimeType, modified (ms desde 1970), comment,
+// level }, todos opcionales
+export function writeMetadata(metadata) {
+    const encoder = new TextEncoder();
+    const records = [];
+
+    for (const [type, key] of META_TEXT_FIELDS) {
+        if (metadata[key] === undefined || metadata[key] === null || metadata[key] === '') continue;
+        records.push([type, encoder.encode(String(metadata[key]))]);
+    }
+    if (metadata.modified !== undefined && metadata.modified !== null) {
+        if (!Number.isSafeInteger(metadata.modified) || metadata.modified < 0) {
+            throw new RangeError("La fecha de modificación debe ser un entero positivo de milisegundos");
+        }
+        const value = new Uint8Array(8);
+        const view = new DataView(value.buffer);
+        view.setUint32(0, Math.floor(metadata.modified / 0x100000000));
+        view.setUint32(4, metadata.modified >>> 0);
+        records.push([META_MODIFIED, value]);
+    }
+
+    const size = records.reduce((sum, [, value]) => sum + 3 + value.length, 4);
+    const section = new Uint8Array(size);
+    const view = new DataView(section.buffer);
+    let offset = 4;
+
+    view.setUint32(0, size - 4);
+    for (const [type, value] of records) {
+        if (value.length > MAX_META_VALUE) {
+            throw new RangeError(`Metadato demasiado largo (tipo ${type}): máximo ${MAX_META_VALUE} bytes`);
+        }
+        view.setUint8(offset, type);
+        view.setUint16(offset + 1, value.length);
+        section.set(value, offset + 3);
+        offset += 3 + value.length;
+    }
+
+    return section;
+}
+
+// Largo total de una sección (metadatos o integridad) a partir de sus 4
+// primeros bytes
+export function readSectionSize(data, offset = 0) {
+    if (offset + 4 > data.length) {
+        throw new Error("Sección truncada");
+    }
+    return 4 + new DataView(data.buffer, data.byteOffset + offset, 4).getUint32(0);
+}
+
+// → { metadata, size }
+export function readMetadata(data, offset = 0) {
+    const size = readSectionSize(data, offset);
+    if (offset + size > data.length) {
+        throw new Error("Sección de metadatos truncada");
+    }
+
+    const decoder = new TextDecoder();
+    const view = new DataView(data.buffer, data.byteOffset + offset, size);
+    const metadata = {};
+    let position = 4;
+
+    while (position < size) {
+        if (position + 3 > size) {
+            throw new Error("Registro de metadatos truncado");
+        }
+        const type = view.getUint8(position);
+        const length = view.getUint16(position + 1);
+        const start = offset + position + 3;
+        if (position + 3 + length > size) {
+            throw new Error("Registro de metadatos truncado");
+        }
+
+        const field = META_TEXT_FIELDS.find(([fieldType]) => fieldType === type);
+        if (field) {
+            metadata[field[1]] = decoder.decode(data.subarray(start, start + length));
+        } else if (type === META_MODIFIED && length === 8) {
+            metadata.modified = view.getUint32(position + 3) * 0x100000000 + view.getUint32(position + 7);
+        }
+        position += 3 + length;
+    }
+
+    return { metadata, size };
+}
+
+// =============================================
+// Integridad de los datos originales
+// =============================================
+
+// Flag solo de cabecera: tras los metadatos va la sección de integridad
+export const FLAG_INTEGRITY = 128;
+
+// Sección: largo(4) + CRC de los datos originales(4) + algoritmo(1)
+// + cantidad de resúmenes(4) + resúmenes [+ resumen de todo]. Con SHA-256
+// hay uno por bloque, en orden (en archivos con varias entradas, los de
+// cada entrada seguidos), para poder calcularlos y verificarlos por
+// partes, y al final el de todos los datos originales seguidos. Los
+// archivos anteriores no lo tienen: el largo de la sección lo dice
+export const DIGEST_NONE = 0;
+export const DIGEST_SHA256 = 1;
+export const DIGEST_SIZE = 32;
+
+// integrity: { checksum, digests, sha256 } con digests = [Uint8Array(32)]
+// o vacío; sha256, el de todos los datos, solo se guarda junto a digests
+export function writeIntegrity({ checksum, digests = [], sha256 = null }) {
+    const fileDigest = digests.length && sha256 ? sha256 : null;
+    const size = 13 + (digests.length + (fileDigest ? 1 : 0)) * DIGEST_SIZE;
+    const section = new Uint8Array(size);
+    const view = new DataView(section.buffer);
+
+    view.setUint32(0, size - 4);
+    view.setUint32(4, checksum);
+    view.setUint8(8, digests.length ? DIGEST_SHA256 : DIGEST_NONE);
+    view.setUint32(9, digests.length);
+    digests.forEach((digest, i) => section.set(digest, 13 + i * DIGEST_SIZE));
+    if (fileDigest) section.set(fileDigest, 13 + digests.length * DIGEST_SIZE);
+
+    return section;
+}
+
+// → { integrity: { checksum, algorithm, digests, sha256 }, size }; sha256
+// es null si la sección no lo tiene
+export function readIntegrity(data, offset = 0) {
+    if (offset + 13 > data.length) {
+        throw new Error("Sección de integridad truncada");
+    }
+
+    const view = new DataView(data.buffer, data.byteOffset + offset, 13);
+    const size = 4 + view.getUint32(0);
+    const algorithm = view.getUint8(8);
+    const count = view.getUint32(9);
+    if (algorithm !== DIGEST_NONE && algorithm !== DIGEST_SHA256) {
+        throw new Error(`Algoritmo de resumen desconocido: ${algorithm}`);
+    }
+    if (size < 13 + count * DIGEST_SIZE || offset + size > data.length) {
+        throw new Error("Sección de integridad truncada");
+    }
+
+    const digests = [];
+    for (let i = 0; i < count; i++) {
+        const start = offset + 13 + i * DIGEST_SIZE;
+        digests.push(data.slice(start, start + DIGEST_SIZE));
+    }
+    const fileStart = offset + 13 + count * DIGEST_SIZE;
+    const sha256 = count && size >= 13 + (count + 1) * DIGEST_SIZE
+        ? data.slice(fileStart, fileStart + DIGEST_SIZE)
+        : null;
+
+    return { integrity: { checksum: view.getUint32(4), algorithm, digests, sha256 }, size };
+}
+
+// =============================================
+// Índice de bloques
+// =============================================
+
+// Flag solo de cabecera: tras la integridad va el índice de bloques
+export const FLAG_INDEX = 256;
+
+// Sección: largo(4) + cantidad de bloques(4) + con filas(1) + filas(8, solo
+// con filas) + por bloque: posición en el contenedor de bloques(8) +
+// posición en los datos originales(8) + primera fila(8, solo con filas).
+// La posición en el contenedor cuenta desde su campo de cantidad, así que
+// la del primer bloque es 4. Las filas (de CSV) terminan en salto de línea,
+// salvo la última; la primera fila de un bloque es la cantidad de filas
+// terminadas antes
+const INDEX_FIXED_SIZE = 9;
+
+// index: { blocks: [{ offset, originalOffset, row }], rows } con rows null
+// si no se guardan filas
+export function writeBlockIndex({ blocks, rows = null }) {
+    const withRows = rows !== null;
+    const entrySize = withRows ? 24 : 16;
+    const fixedSize = INDEX_FIXED_SIZE + (withRows ? 8 : 0);
+    const section = new Uint8Array(fixedSize + blocks.length * entrySize);
+    const view = new DataView(section.buffer);
+
+    view.setUint32(0, section.length - 4);
+    view.setUint32(4, blocks.length);
+    view.setUint8(8, withRows ? 1 : 0);
+    if (withRows) setUint64(view, 9, rows);
+
+    blocks.forEach(({ offset, originalOffset, row }, i) => {
+        const position = fixedSize + i * entrySize;
+        setUint64(view, position, offset);
+        setUint64(view, position + 8, originalOffset);
+        if (withRows) setUint64(view, position + 16, row);
+    });
+
+    return section;
+}
+
+// → { index: { blocks, rows }, size }
+export function readBlockIndex(data, offset = 0) {
+    if (offset + INDEX_FIXED_SIZE > data.length) {
+        throw new Error("Índice de bloques truncado");
+    }
+
+    const view = new DataView(data.buffer, data.byteOffset + offset, data.length - offset);
+    const size = 4 + view.getUint32(0);
+    const count = view.getUint32(4);
+    const withRows = view.getUint8(8) === 1;
+    const entrySize = withRows ? 24 : 16;
+    const fixedSize = INDEX_FIXED_SIZE + (withRows ? 8 : 0);
+    if (size < fixedSize + count * entrySize || offset + size > data.length) {
+        throw new Error("Índice de bloques truncado");
+    }
+
+    const blocks = [];
+    for (let i = 0; i < count; i++) {
+        const position = fixedSize + i * entrySize;
+        blocks.push({
+            offset: getUint64(view, position),
+            originalOffset: getUint64(view, position + 8),
+            row: withRows ? getUint64(view, position + 16) : null
+        });
+    }
+
+    return { index: { blocks, rows: withRows ? getUint64(view, 9) : null }, size };
+}
+
+// =============================================
+// Nombres para mostrar
+// =============================================
+
+// Flags de la cabecera; sin ninguno el contenido es un único flujo Huffman
+export function flagNames(flags) {
+    const names = [];
+    if (flags & FLAG_BWT) names.push('BWT');
+    if (flags & FLAG_SPECIAL) names.push('caso especial');
+    if (flags & FLAG_STORED) names.push('sin comprimir');
+    if (flags & FLAG_BLOCKS) names.push('bloques');
+    if (flags & FLAG_ARCHIVE) names.push('varias entradas');
+    if (flags & FLAG_ENCRYPTED) names.push('cifrado');
+    if (flags & FLAG_METADATA) names.push('metadatos');
+    if (flags & FLAG_INTEGRITY) names.push('integridad');
+    if (flags & FLAG_INDEX) names.push('índice');
+    return names.length ? names : ['Huffman'];
+}
+
+// Codificación de un bloque según sus flags
+export function blockCodec(flags) {
+    if (flags & BLOCK_FLAG_CSV) return 'CSV';
+    if (flags & BLOCK_FLAG_LOG) return 'log';
+    if (flags & BLOCK_FLAG_LZ77) return 'LZ77';
+    if (flags & FLAG_STORED) return 'sin comprimir';
+    if (flags & BLOCK_FLAG_MTF) return 'BWT+MTF';
+    const entropy = (flags & BLOCK_FLAG_RANGE) ? 'rango' : 'Huffman';
+    return flags & FLAG_BWT ? `BWT+${entropy}` : entropy;
+}
+
+// =============================================
+// Contenedor de bloques
+// =============================================
+
+export function writeBlockCount(count) {
+    const field = new Uint8Array(4);
+    new DataView(field.buffer).setUint32(0, count);
+    return field;
+}
+
+export function writeBlockHeader(flags, originalSize, compressedSize, checksum) {
+    const header = new Uint8Array(BLOCK_HEADER_SIZE);
+    const view = new DataView(header.buffer);
+
+    view.setUint8(0, flags);
+    view.setUint32(1, originalSize);
+    view.setUint32(5, compressedSize);
+    view.setUint32(9, checksum);
+
+    return header;
+}
+
+export function readBlockCount(data) {
+    if (data.length < 4) {
+        throw new Error("Contenedor de bloques truncado");
+    }
+    return new DataView(data.buffer, data.byteOffset, 4).getUint32(0);
+}
+
+export function readBlockHeader(data, offset = 0) {
+    if (offset + BLOCK_HEADER_SIZE > data.length) {
+        throw new Error("Cabecera de bloque truncada");
+    }
+
+    const view = new DataView(data.buffer, data.byteOffset + offset, BLOCK_HEADER_SIZE);
+    return {
+        flags: view.getUint8(0),
+        originalSize: view.getUint32(1),
+        compressedSize: view.getUint32(5),
+        checksum: view.getUint32(9)
+    };
+}
+
+// Recorre los bloques de un contenedor sin decodificarlos
+export function* readBlocks(payload) {
+    const count = readBlockCount(payload);
+    let offset = 4;
+
+    for (let index = 0; index < count; index++) {
+        if (offset + BLOCK_HEADER_SIZE > payload.length) {
+            throw new Error(`Bloque ${index + 1} truncado`);
+        }
+
+        const { flags, originalSize, compressedSize, checksum } = readBlockHeader(payload, offset);
+        offset += BLOCK_HEADER_SIZE;
+
+        if (offset + compressedSize > payload.length) {
+            throw new Error(`Bloque ${index + 1} truncado`);
+        }
+
+        yield {
+            index,
+            count,
+            flags,
+            originalSize,
+            checksum,
+            data: payload.subarray(offset, offset + compressedSize)
+        };
+        offset += compressedSize;
+    }
+}
+
+// =============================================
+// Directorio central (archivo con varias entradas)
+// =============================================
+
+// Flag solo de cabecera: el contenido son varias entradas + directorio
+export const FLAG_ARCHIVE = 16;
+
+// Entrada del directorio: largo del nombre(2) + nombre UTF-8 + tamaño original
+// + tamaño comprimido + offset + flags(1) + CRC de los datos originales(4).
+// Tamaños y offset de 8 bytes en V4 y de 4 en V3
+const ENTRY_FIXED_SIZE = 31;
+const LEGACY_ENTRY_FIXED_SIZE = 19;
+
+function directoryLayout(version) {
+    return version === LEGACY_VERSION
+        ? { fieldSize: 4, entrySize: LEGACY_ENTRY_FIXED_SIZE }
+        : { fieldSize: 8, entrySize: ENTRY_FIXED_SIZE };
+}
+
+function setField(view, offset, value, fieldSize) {
+    if (fieldSize === 8) {
+        setUint64(view, offset, value);
+    } else {
+        view.setUint32(offset, value);
+    }
+}
+
+function getField(view, offset, fieldSize) {
+    return fieldSize === 8 ? getUint64(view, offset) : view.getUint32(offset);
+}
+
+// El directorio va al final del contenido, seguido de su offset (del
+// tamaño de campo de la versión)
+export function writeDirectory(entries, directoryOffset, { version = FORMAT_VERSION } = {}) {
+    const { fieldSize, entrySize } = directoryLayout(version);
+    const encoder = new TextEncoder();
+    const names = entries.map(entry => encoder.encode(entry.name));
+    const size = 4 + names.reduce((sum, name) => sum + entrySize + name.length, 0) + fieldSize;
+
+    const directory = new Uint8Array(size);
+    const view = new DataView(directory.buffer);
+    view.setUint32(0, entries.length);
+    let offset = 4;
+
+    entries.forEach((entry, i) => {
+        view.setUint16(offset, names[i].length);
+        directory.set(names[i], offset + 2);
+        offset += 2 + names[i].length;
+
+        setField(view, offset, entry.originalSize, fieldSize);
+        setField(view, offset + fieldSize, entry.compressedSize, fieldSize);
+        setField(view, offset + 2 * fieldSize, entry.offset, fieldSize);
+        view.setUint8(offset + 3 * fieldSize, entry.flags);
+        view.setUint32(offset + 3 * fieldSize + 1, entry.checksum);
+        offset += entrySize - 2;
+    });
+
+    setField(view, offset, directoryOffset, fieldSize);
+    return directory;
+}
+
+// version: la de la cabecera del archivo
+export function readDirectory(payload, { version = FORMAT_VERSION } = {}) {
+    const { fieldSize, entrySize } = directoryLayout(version);
+    if (payload.length < 4 + fieldSize) {
+        throw new Error("Directorio de archivo truncado");
+    }
+
+    const decoder = new TextDecoder();
+    const view = new DataView(payload.buffer, payload.byteOffset, payload.byteLength);
+    let offset = getField(view, payload.length - fieldSize, fieldSize);
+    if (offset + 4 > payload.length - fieldSize) {
+        throw new Error("Directorio de archivo inválido");
+    }
+
+    const count = view.getUint32(offset);
+    offset += 4;
+    const entries = [];
+
+    for (let index = 0; index < count; index++) {
+        if (offset + 2 > payload.length) {
+            throw new Error(`Entrada ${index + 1} del directorio truncada`);
+        }
+        const nameLength = view.getUint16(offset);
+        if (offset + entrySize + nameLength > payload.length) {
+            throw new Error(`Entrada ${index + 1} del directorio truncada`);
+        }
+        const name = decoder.decode(payload.subarray(offset + 2, offset + 2 + nameLength));
+        offset += 2 + nameLength;
+
+        const entry = {
+            index,
+            name,
+            originalSize: getField(view, offset, fieldSize),
+            compressedSize: getField(view, offset + fieldSize, fieldSize),
+            offset: getField(view, offset + 2 * fieldSize, fieldSize),
+            flags: view.getUint8(offset + 3 * fieldSize),
+            checksum: view.getUint32(offset + 3 * fieldSize + 1)
+        };
+        offset += entrySize - 2;
+
+        if (entry.offset + entry.compressedSize > payload.length) {
+            throw new Error(`Entrada "${name}" fuera de los límites del archivo`);
+        }
+        entries.push(entry);
+    }
+
+    return entries;
+}
+
+// =============================================
+// Datos de recuperación
+// =============================================
+// Van después del archivo completo (cifrado o no), fuera de la cabecera:
+// paridad Reed-Solomon de cada segmento de `segmentSize` bytes y, al
+// final, dos copias del cierre: magic(4) + versión(1) + paridad por
+// palabra(1) + tamaño de segmento(4) + tamaño protegido(8) + CRC del
+// cierre(4). Con una copia dañada se usa la otra (ver hs6d-recovery.js)
+export const RECOVERY_MAGIC = 0x48533652; // 'HS6R'
+export const RECOVERY_VERSION = 1;
+export const RECOVERY_TRAILER_SIZE = 22;
+
+export function writeRecoveryTrailer({ paritySize, segmentSize, protectedSize }) {
+    const trailer = new Uint8Array(RECOVERY_TRAILER_SIZE);
+    const view = new DataView(trailer.buffer);
+
+    view.setUint32(0, RECOVERY_MAGIC);
+    view.setUint8(4, RECOVERY_VERSION);
+    view.setUint8(5, paritySize);
+    view.setUint32(6, segmentSize);
+    setUint64(view, 10, protectedSize);
+    view.setUint32(18, crc32(trailer.subarray(0, 18)));
+
+    return trailer;
+}
+
+// Busca el cierre al final de `data` (el archivo o sus últimos bytes);
+// null si no tiene datos de recuperación o ambas copias están dañadas
+export function readRecoveryTrailer(data) {
+    for (let copy = 1; copy <= 2; copy++) {
+        const start = data.length - copy * RECOVERY_TRAILER_SIZE;
+        if (start < 0) break;
+
+        const trailer = data.subarray(start, start + RECOVERY_TRAILER_SIZE);
+        const view = new DataView(trailer.buffer, trailer.byteOffset, RECOVERY_TRAILER_SIZE);
+        if (view.getUint32(0) !== RECOVERY_MAGIC || view.getUint32(18) !== crc32(trailer.subarray(0, 18))) {
+            continue;
+        }
+        if (view.getUint8(4) !== RECOVERY_VERSION) {
+            throw new Error(`Versión de datos de recuperación no admitida: ${view.getUint8(4)}`);
+        }
+
+        return {
+            paritySize: view.getUint8(5),
+            segmentSize: view.getUint32(6),
+            protectedSize: getUint64(view, 10)
+        };
+    }
+    return null;
+}
+
+// =============================================
+// Volúmenes
+// =============================================
+// Un archivo dividido en partes (nombre.hs6d.001, .002, …) para canales
+// con límite de tamaño. Cada volumen lleva su cabecera y un tramo del
+// archivo completo: magic(4) + versión(1) + conjunto(8) + número(4, desde
+// 0) + cantidad(4) + tamaño total(8) + posición del tramo(8) + CRC del
+// tramo(4) + CRC de la cabecera(4)
+export const VOLUME_MAGIC = 0x48533653; // 'HS6S'
+export const VOLUME_VERSION = 1;
+export const VOLUME_HEADER_SIZE = 45;
+export const VOLUME_SET_ID_SIZE = 8;
+
+export function writeVolumeHeader({ setId, index, count, totalSize, offset, checksum }) {
+    const header = new Uint8Array(VOLUME_HEADER_SIZE);
+    const view = new DataView(header.buffer);
+
+    view.setUint32(0, VOLUME_MAGIC);
+    view.setUint8(4, VOLUME_VERSION);
+    header.set(setId, 5);
+    view.setUint32(13, index);
+    view.setUint32(17, count);
+    setUint64(view, 21, totalSize);
+    setUint64(view, 29, offset);
+    view.setUint32(37, checksum);
+    view.setUint32(41, crc32(header.subarray(0, 41)));
+
+    return header;
+}
+
+export function isVolume(data) {
+    return data.length >= 4 && new DataView(data.buffer, data.byteOffset, 4).getUint32(0) === VOLUME_MAGIC;
+}
+
+// → { setId (hexadecimal), index, count, totalSize, offset, checksum }
+export function readVolumeHeader(data) {
+    if (!isVolume(data)) {
+        throw new Error("No es un volumen HS6D");
+    }
+    if (data.length < VOLUME_HEADER_SIZE) {
+        throw new Error("Volumen truncado");
+    }
+
+    const view = new DataView(data.buffer, data.byteOffset, VOLUME_HEADER_SIZE);
+    if (view.getUint8(4) !== VOLUME_VERSION) {
+        throw new Error(`Versión de volumen no admitida: ${view.getUint8(4)}`);
+    }
+    if (view.getUint32(41) !== crc32(data.subarray(0, 41))) {
+        throw new ChecksumError("Cabecera de volumen dañada");
+    }
+
+    return {
+        setId: Array.from(data.subarray(5, 5 + VOLUME_SET_ID_SIZE), byte => byte.toString(16).padStart(2, '0')).join(''),
+        index: view.getUint32(13),
+        count: view.getUint32(17),
+        totalSize: getUint64(view, 21),
+        offset: getUint64(view, 29),
+        checksum: view.getUint32(37)
+    };
+}
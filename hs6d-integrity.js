@@ -0,0 +1,228 @@
+import { crc32Combine } from './utils.js';
+import { ChecksumError } from './hs6d-format.js';
+
+// =============================================
+// Verificación de los datos originales
+// =============================================
+// El CRC de los datos originales se combina bloque a bloque con
+// crc32Combine(). Con SHA-256 se guardan dos cosas: el de cada bloque,
+// calculado con WebCrypto en el worker que lo codifica o decodifica, para
+// detectar qué bloque está mal, y el de todos los datos originales, el
+// mismo que da sha256sum. WebCrypto no calcula un resumen por partes, así
+// que el del archivo, cuando no está entero en memoria, lo calcula
+// createSha256() a medida que pasan los bloques, en orden.
+
+export async function sha256(data) {
+    return new Uint8Array(await crypto.subtle.digest('SHA-256', data));
+}
+
+// Constantes de SHA-256 (FIPS 180-4)
+const SHA256_K = new Uint32Array([
+    0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+    0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+    0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+    0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+    0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+    0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+    0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+    0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+]);
+
+// SHA-256 por partes: update(datos) las veces que haga falta, en orden, y
+// digest() al final → Uint8Array(32)
+export function createSha256() {
+    const state = new Uint32Array([
+        0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19
+    ]);
+    const words = new Uint32Array(64);
+    const buffer = new Uint8Array(64);
+    let buffered = 0;
+    let length = 0;
+
+    // Procesa los 64 bytes de `bytes` desde `offset`
+    function compress(bytes, offset) {
+        for (let i = 0; i < 16; i++) {
+            const j = offset + i * 4;
+            words[i] = (bytes[j] << 24) | (bytes[j + 1] << 16) | (bytes[j + 2] << 8) | bytes[j + 3];
+        }
+        for (let i = 16; i < 64; i++) {
+            const w15 = words[i - 15];
+            const w2 = words[i - 2];
+            const s0 = ((w15 >>> 7) | (w15 << 25)) ^ ((w15 >>> 18) | (w15 << 14)) ^ (w15 >>> 3);
+            const s1 = ((w2 >>> 17) | (w2 << 15)) ^ ((w2 >>> 19) | (w2 << 13)) ^ (w2 >>> 10);
+            words[i] = words[i - 16] + s0 + words[i - 7] + s1;
+        }
+
+        let a = state[0], b = state[1], c = state[2], d = state[3];
+        let e = state[4], f = state[5], g = state[6], h = state[7];
+        for (let i = 0; i < 64; i++) {
+            const s1 = ((e >>> 6) | (e << 26)) ^ ((e >>> 11) | (e << 21)) ^ ((e >>> 25) | (e << 7));
+            const t1 = (h + s1 + ((e & f) ^ (~e & g)) + SHA256_K[i] + words[i]) | 0;
+            const s0 = ((a >>> 2) | (a << 30)) ^ ((a >>> 13) | (a << 19)) ^ ((a >>> 22) | (a << 10));
+            const t2 = (s0 + ((a & b) ^ (a & c) ^ (b & c))) | 0;
+            h = g;
+            g = f;
+            f = e;
+            e = (d + t1) | 0;
+            d = c;
+            c = b;
+            b = a;
+            a = (t1 + t2) | 0;
+        }
+
+        state[0] += a;
+        state[1] += b;
+        state[2] += c;
+        state[3] += d;
+        state[4] += e;
+        state[5] += f;
+        state[6] += g;
+        state[7] += h;
+    }
+
+    return {
+        update(data) {
+            length += data.length;
+            let offset = 0;
+
+            if (buffered > 0) {
+                offset = Math.min(64 - buffered, data.length);
+                buffer.set(data.subarray(0, offset), buffered);
+                buffered += offset;
+                if (buffered < 64) return;
+                compress(buffer, 0);
+                buffered = 0;
+            }
+            for (; offset + 64 <= data.length; offset += 64) {
+                compress(data, offset);
+            }
+            buffer.set(data.subarray(offset));
+            buffered = data.length - offset;
+        },
+
+        digest() {
+            // Relleno: 0x80, ceros y el largo en bits (64 bits)
+            const tail = new Uint8Array(buffered < 56 ? 64 : 128);
+            tail.set(buffer.subarray(0, buffered));
+            tail[buffered] = 0x80;
+            const bits = length * 8;
+            const view = new DataView(tail.buffer);
+            view.setUint32(tail.length - 8, Math.floor(bits / 0x100000000));
+            view.setUint32(tail.length - 4, bits >>> 0);
+            for (let offset = 0; offset < tail.length; offset += 64) {
+                compress(tail, offset);
+            }
+
+            const digest = new Uint8Array(32);
+            const output = new DataView(digest.buffer);
+            state.forEach((word, i) => output.setUint32(i * 4, word));
+            return digest;
+        }
+    };
+}
+
+// Un resumen por rango [inicio, fin) de `data`
+export async function digestRanges(data, ranges) {
+    const digests = [];
+    for (const [start, end] of ranges) {
+        digests.push(await sha256(data.subarray(start, end)));
+    }
+    return digests;
+}
+
+export function toHex(bytes) {
+    return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+export function checksumToHex(checksum) {
+    return (checksum >>> 0).toString(16).padStart(8, '0');
+}
+
+function sameDigest(a, b) {
+    return a.length === b.length && a.every((byte, i) => byte === b[i]);
+}
+
+// El SHA-256 de todos los datos originales frente al guardado; sin uno
+// guardado (archivos anteriores) no hay nada que comparar
+export function checkFileDigest(digest, expected) {
+    if (expected && !sameDigest(digest, expected)) {
+        throw new ChecksumError("El SHA-256 de los datos descomprimidos no coincide con el del original");
+    }
+}
+
+// Compara los SHA-256 de bloques consecutivos de `data` (tamaños `sizes`)
+// con los esperados a partir de la posición `first`
+export async function verifyDigests(data, sizes, expected, first = 0) {
+    let offset = 0;
+    for (let i = 0; i < sizes.length; i++) {
+        const digest = await sha256(data.subarray(offset, offset + sizes[i]));
+        checkDigest(first + i, digest, expected[first + i]);
+        offset += sizes[i];
+    }
+}
+
+// El SHA-256 de un bloque suelto (digest, el de sus datos originales)
+// frente al guardado en la posición `index`; sin uno guardado no compara
+export function checkDigest(index, digest, expected) {
+    if (expected && !(digest && sameDigest(digest, expected))) {
+        throw new ChecksumError(`SHA-256 no coincide en el bloque ${index + 1} - datos alterados o mal decodificados`);
+    }
+}
+
+// Comprueba bloques decodificados, en cualquier orden, contra la sección
+// de integridad { checksum, digests, sha256 } de hs6d-format.js. add()
+// falla al momento si un SHA-256 de bloque no coincide; finish() compara el
+// CRC combinado y el SHA-256 de todos los datos, y resuelve con
+// { checksum, sha256 } en hexadecimal (sha256 null si el archivo no guarda
+// SHA-256). Los bloques que llegan antes de su turno esperan para el
+// SHA-256, que se calcula en orden
+export function createIntegrityCheck(integrity) {
+    const blocks = [];
+    const hash = integrity.digests.length > 0 ? createSha256() : null;
+    const waiting = new Map();
+    let next = 0;
+
+    return {
+        needsDigest: integrity.digests.length > 0,
+
+        // index: posición del bloque en todo el archivo; checksum y digest
+        // son los de sus datos originales, `data`
+        add(index, { checksum, length, digest, data }) {
+            checkDigest(index, digest, integrity.digests[index]);
+            blocks[index] = { checksum, length };
+
+            if (!hash) return;
+            waiting.set(index, data);
+            while (waiting.has(next)) {
+                hash.update(waiting.get(next));
+                waiting.delete(next);
+                next++;
+            }
+        },
+
+        async finish() {
+            if (integrity.digests.length && blocks.length !== integrity.digests.length) {
+                throw new ChecksumError(`Se esperaban ${integrity.digests.length} bloques y hay ${blocks.length}`);
+            }
+
+            let checksum = 0;
+            for (let i = 0; i < blocks.length; i++) {
+                if (!blocks[i]) {
+                    throw new ChecksumError(`Falta el bloque ${i + 1}`);
+                }
+                checksum = crc32Combine(checksum, blocks[i].checksum, blocks[i].length);
+            }
+            if (checksum !== integrity.checksum) {
+                throw new ChecksumError("Los datos descomprimidos no coinciden con el original (CRC)");
+            }
+
+            const digest = hash ? hash.digest() : null;
+            if (digest) checkFileDigest(digest, integrity.sha256);
+
+            return {
+                checksum: checksumToHex(checksum),
+                sha256: digest && toHex(digest)
+            };
+        }
+    };
+}
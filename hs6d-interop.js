@@ -0,0 +1,382 @@
+import { crc32 } from './utils.js';
+import { ChecksumError } from './hs6d-format.js';
+
+// =============================================
+// Formatos estándar: .gz y .zip
+// =============================================
+// Para enviar a quien no tiene HyperStorage6D y abrir lo que llega de
+// otras herramientas. La compresión es la de la plataforma
+// (CompressionStream y DecompressionStream, deflate) y se hace por partes
+// desde el Blob, así la memoria no depende del tamaño del archivo.
+//
+// zipBlobs() escribe cada entrada con deflate y un descriptor de datos
+// después (el CRC y los tamaños se conocen al terminar de comprimirla);
+// unzipBlob() lee entradas guardadas o con deflate y comprueba su CRC.
+// Sin ZIP64: hasta 4 GB por entrada y por archivo, y 65535 entradas.
+//
+// deflateReference() mide deflate de la plataforma en un bloque para el
+// modo de análisis.
+
+const LOCAL_HEADER_SIGNATURE = 0x04034b50;
+const DATA_DESCRIPTOR_SIGNATURE = 0x08074b50;
+const CENTRAL_HEADER_SIGNATURE = 0x02014b50;
+const END_SIGNATURE = 0x06054b50;
+
+const LOCAL_HEADER_SIZE = 30;
+const DATA_DESCRIPTOR_SIZE = 16;
+const CENTRAL_HEADER_SIZE = 46;
+const END_SIZE = 22;
+const MAX_COMMENT_SIZE = 0xFFFF;
+
+// Versión 2.0: deflate y descriptor de datos
+const ZIP_VERSION = 20;
+// Bit 3: CRC y tamaños en el descriptor; bit 11: nombres en UTF-8
+const FLAG_DESCRIPTOR = 0x0008;
+const FLAG_UTF8 = 0x0800;
+const FLAG_ENCRYPTED = 0x0001;
+
+const METHOD_STORED = 0;
+const METHOD_DEFLATE = 8;
+
+const MAX_ZIP_SIZE = 0xFFFFFFFF;
+const MAX_ZIP_ENTRIES = 0xFFFF;
+
+// gzip: magic(2) + método(1) + flags(1) + fecha(4) + extra(1) + SO(1)
+const GZIP_HEADER_SIZE = 10;
+const GZIP_FEXTRA = 0x04;
+const GZIP_FNAME = 0x08;
+
+// 'gzip', 'zip' o null según la extensión
+export function standardFormat(fileName) {
+    const name = fileName.toLowerCase();
+    if (name.endsWith('.gz')) return 'gzip';
+    if (name.endsWith('.zip')) return 'zip';
+    return null;
+}
+
+function requireStreams() {
+    if (typeof CompressionStream === 'undefined' || typeof DecompressionStream === 'undefined') {
+        throw new Error("Este navegador no puede crear ni abrir archivos .gz/.zip: actualícelo");
+    }
+}
+
+// Pasa los datos sin cambios y llama a onChunk(chunk) con cada parte
+function createMeter(onChunk) {
+    return new TransformStream({
+        transform(chunk, controller) {
+            onChunk(chunk);
+            controller.enqueue(chunk);
+        }
+    });
+}
+
+function streamToBlob(stream, type) {
+    return new Response(stream, { headers: { 'Content-Type': type } }).blob();
+}
+
+// =============================================
+// gzip
+// =============================================
+
+// onProgress(progreso de 0 a 1, etapa)
+export async function gzipBlob(blob, { onProgress = () => {} } = {}) {
+    requireStreams();
+    let done = 0;
+    const stream = blob.stream()
+        .pipeThrough(createMeter((chunk) => {
+            done += chunk.length;
+            onProgress(done / Math.max(1, blob.size), 'Comprimiendo (gzip)');
+        }))
+        .pipeThrough(new CompressionStream('gzip'));
+    return streamToBlob(stream, 'application/gzip');
+}
+
+// Nombre original guardado en la cabecera gzip (FNAME, en Latin-1), o null
+function gzipName(header) {
+    if (header.length < GZIP_HEADER_SIZE || header[0] !== 0x1f || header[1] !== 0x8b) {
+        throw new Error("No es un archivo gzip válido");
+    }
+    const flags = header[3];
+    if (!(flags & GZIP_FNAME)) return null;
+
+    let offset = GZIP_HEADER_SIZE;
+    if (flags & GZIP_FEXTRA) {
+        offset += 2 + (header[offset] | (header[offset + 1] << 8));
+    }
+    const end = header.indexOf(0, offset);
+    if (end === -1) return null;
+    return String.fromCharCode(...header.subarray(offset, end)) || null;
+}
+
+// → { blob, name } con name el nombre guardado en el .gz, o null. El CRC
+// y el tamaño del final los comprueba DecompressionStream
+export async function gunzipBlob(blob, { onProgress = () => {} } = {}) {
+    requireStreams();
+    const name = gzipName(new Uint8Array(await blob.slice(0, 1024).arrayBuffer()));
+    let done = 0;
+    const stream = blob.stream()
+        .pipeThrough(createMeter((chunk) => {
+            done += chunk.length;
+            onProgress(done / Math.max(1, blob.size), 'Descomprimiendo (gzip)');
+        }))
+        .pipeThrough(new DecompressionStream('gzip'));
+    return { blob: await streamToBlob(stream, 'application/octet-stream'), name };
+}
+
+// =============================================
+// ZIP
+// =============================================
+
+// Fecha y hora de MS-DOS (hora local, de a 2 segundos, desde 1980)
+function dosDateTime(modified) {
+    const date = new Date(Math.max(modified ?? Date.now(), new Date(1980, 0, 1).getTime()));
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+        date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+function writeLocalHeader(name, { time, date }) {
+    const header = new Uint8Array(LOCAL_HEADER_SIZE + name.length);
+    const view = new DataView(header.buffer);
+
+    view.setUint32(0, LOCAL_HEADER_SIGNATURE, true);
+    view.setUint16(4, ZIP_VERSION, true);
+    view.setUint16(6, FLAG_DESCRIPTOR | FLAG_UTF8, true);
+    view.setUint16(8, METHOD_DEFLATE, true);
+    view.setUint16(10, time, true);
+    view.setUint16(12, date, true);
+    // CRC y tamaños en 0: van en el descriptor
+    view.setUint16(26, name.length, true);
+    header.set(name, LOCAL_HEADER_SIZE);
+
+    return header;
+}
+
+function writeDataDescriptor({ checksum, compressedSize, size }) {
+    const descriptor = new Uint8Array(DATA_DESCRIPTOR_SIZE);
+    const view = new DataView(descriptor.buffer);
+
+    view.setUint32(0, DATA_DESCRIPTOR_SIGNATURE, true);
+    view.setUint32(4, checksum, true);
+    view.setUint32(8, compressedSize, true);
+    view.setUint32(12, size, true);
+
+    return descriptor;
+}
+
+function writeCentralHeader({ name, time, date, checksum, compressedSize, size, offset }) {
+    const header = new Uint8Array(CENTRAL_HEADER_SIZE + name.length);
+    const view = new DataView(header.buffer);
+
+    view.setUint32(0, CENTRAL_HEADER_SIGNATURE, true);
+    view.setUint16(4, ZIP_VERSION, true);
+    view.setUint16(6, ZIP_VERSION, true);
+    view.setUint16(8, FLAG_DESCRIPTOR | FLAG_UTF8, true);
+    view.setUint16(10, METHOD_DEFLATE, true);
+    view.setUint16(12, time, true);
+    view.setUint16(14, date, true);
+    view.setUint32(16, checksum, true);
+    view.setUint32(20, compressedSize, true);
+    view.setUint32(24, size, true);
+    view.setUint16(28, name.length, true);
+    view.setUint32(42, offset, true);
+    header.set(name, CENTRAL_HEADER_SIZE);
+
+    return header;
+}
+
+function writeEnd(count, directorySize, directoryOffset) {
+    const end = new Uint8Array(END_SIZE);
+    const view = new DataView(end.buffer);
+
+    view.setUint32(0, END_SIGNATURE, true);
+    view.setUint16(8, count, true);
+    view.setUint16(10, count, true);
+    view.setUint32(12, directorySize, true);
+    view.setUint32(16, directoryOffset, true);
+
+    return end;
+}
+
+// files: [{ name, blob, modified (ms desde 1970, opcional) }]
+export async function zipBlobs(files, { onProgress = () => {} } = {}) {
+    requireStreams();
+    if (files.length > MAX_ZIP_ENTRIES) {
+        throw new RangeError(`Un .zip admite hasta ${MAX_ZIP_ENTRIES} archivos`);
+    }
+
+    const encoder = new TextEncoder();
+    const totalSize = files.reduce((sum, file) => sum + file.blob.size, 0);
+    const parts = [];
+    const entries = [];
+    let offset = 0;
+    let done = 0;
+
+    for (const file of files) {
+        const name = encoder.encode(file.name);
+        const stamp = dosDateTime(file.modified);
+        let checksum = 0;
+        let size = 0;
+
+        const stream = file.blob.stream()
+            .pipeThrough(createMeter((chunk) => {
+                checksum = crc32(chunk, checksum);
+                size += chunk.length;
+                done += chunk.length;
+                onProgress(done / Math.max(1, totalSize), `Comprimiendo ${file.name} (zip)`);
+            }))
+            .pipeThrough(new CompressionStream('deflate-raw'));
+        const compressed = await streamToBlob(stream, 'application/octet-stream');
+
+        const entry = { name, ...stamp, checksum, compressedSize: compressed.size, size, offset };
+        const localHeader = writeLocalHeader(name, stamp);
+        parts.push(localHeader, compressed, writeDataDescriptor(entry));
+        entries.push(entry);
+        offset += localHeader.length + compressed.size + DATA_DESCRIPTOR_SIZE;
+
+        if (size > MAX_ZIP_SIZE || offset > MAX_ZIP_SIZE) {
+            throw new RangeError("El .zip superaría 4 GB: use el formato .hs6d");
+        }
+    }
+
+    const directory = entries.map(writeCentralHeader);
+    const directorySize = directory.reduce((sum, header) => sum + header.length, 0);
+    if (offset + directorySize > MAX_ZIP_SIZE) {
+        throw new RangeError("El .zip superaría 4 GB: use el formato .hs6d");
+    }
+
+    return new Blob([...parts, ...directory, writeEnd(entries.length, directorySize, offset)], { type: 'application/zip' });
+}
+
+// Busca el final del directorio en los últimos bytes del archivo
+async function readEnd(blob) {
+    const start = Math.max(0, blob.size - END_SIZE - MAX_COMMENT_SIZE);
+    const tail = new Uint8Array(await blob.slice(start).arrayBuffer());
+    const view = new DataView(tail.buffer);
+
+    for (let i = tail.length - END_SIZE; i >= 0; i--) {
+        if (view.getUint32(i, true) !== END_SIGNATURE) continue;
+
+        const count = view.getUint16(i + 10, true);
+        const directorySize = view.getUint32(i + 12, true);
+        const directoryOffset = view.getUint32(i + 16, true);
+        if (count === 0xFFFF || directoryOffset === MAX_ZIP_SIZE) {
+            throw new Error("Archivo .zip de más de 4 GB (ZIP64): no admitido");
+        }
+        if (directoryOffset + directorySize > blob.size) {
+            throw new Error("Directorio del .zip fuera de los límites del archivo");
+        }
+        return { count, directorySize, directoryOffset };
+    }
+
+    throw new Error("No es un archivo .zip válido");
+}
+
+// Entradas del directorio central; las carpetas se omiten. Los nombres
+// sin el bit UTF-8 se leen igual como UTF-8 (en ASCII coinciden)
+function readDirectory(directory, count) {
+    const decoder = new TextDecoder();
+    const view = new DataView(directory.buffer, directory.byteOffset, directory.byteLength);
+    const entries = [];
+    let offset = 0;
+
+    for (let i = 0; i < count; i++) {
+        if (offset + CENTRAL_HEADER_SIZE > directory.length || view.getUint32(offset, true) !== CENTRAL_HEADER_SIGNATURE) {
+            throw new Error(`Entrada ${i + 1} del directorio del .zip inválida`);
+        }
+        const nameLength = view.getUint16(offset + 28, true);
+        const size = CENTRAL_HEADER_SIZE + nameLength + view.getUint16(offset + 30, true) + view.getUint16(offset + 32, true);
+        const name = decoder.decode(directory.subarray(offset + CENTRAL_HEADER_SIZE, offset + CENTRAL_HEADER_SIZE + nameLength));
+
+        if (!name.endsWith('/')) {
+            entries.push({
+                name,
+                flags: view.getUint16(offset + 8, true),
+                method: view.getUint16(offset + 10, true),
+                checksum: view.getUint32(offset + 16, true),
+                compressedSize: view.getUint32(offset + 20, true),
+                originalSize: view.getUint32(offset + 24, true),
+                offset: view.getUint32(offset + 42, true)
+            });
+        }
+        offset += size;
+    }
+
+    return entries;
+}
+
+// Los datos de una entrada, sin descomprimir: la cabecera local puede
+// tener otro largo de extra que el directorio
+async function entryData(blob, entry) {
+    const header = new DataView(await blob.slice(entry.offset, entry.offset + LOCAL_HEADER_SIZE).arrayBuffer());
+    if (header.byteLength < LOCAL_HEADER_SIZE || header.getUint32(0, true) !== LOCAL_HEADER_SIGNATURE) {
+        throw new Error(`${entry.name}: cabecera local del .zip inválida`);
+    }
+    const start = entry.offset + LOCAL_HEADER_SIZE + header.getUint16(26, true) + header.getUint16(28, true);
+    if (start + entry.compressedSize > blob.size) {
+        throw new Error(`${entry.name}: fuera de los límites del archivo`);
+    }
+    return blob.slice(start, start + entry.compressedSize);
+}
+
+// → { entries: [{ name, blob, originalSize, compressedSize }], originalSize }.
+// Una entrada que no coincide con su CRC o su tamaño falla con ChecksumError
+export async function unzipBlob(blob, { onProgress = () => {} } = {}) {
+    requireStreams();
+    const { count, directorySize, directoryOffset } = await readEnd(blob);
+    const directory = new Uint8Array(await blob.slice(directoryOffset, directoryOffset + directorySize).arrayBuffer());
+    const entries = readDirectory(directory, count);
+    const totalSize = entries.reduce((sum, entry) => sum + entry.compressedSize, 0);
+    const output = [];
+    let done = 0;
+
+    for (const entry of entries) {
+        if (entry.flags & FLAG_ENCRYPTED) {
+            throw new Error(`${entry.name}: las entradas cifradas de .zip no se admiten`);
+        }
+        if (entry.method !== METHOD_STORED && entry.method !== METHOD_DEFLATE) {
+            throw new Error(`${entry.name}: método de compresión ${entry.method} no admitido`);
+        }
+
+        const data = await entryData(blob, entry);
+        let stream = data.stream().pipeThrough(createMeter((chunk) => {
+            done += chunk.length;
+            onProgress(done / Math.max(1, totalSize), `Extrayendo ${entry.name}`);
+        }));
+        if (entry.method === METHOD_DEFLATE) {
+            stream = stream.pipeThrough(new DecompressionStream('deflate-raw'));
+        }
+
+        let checksum = 0;
+        let size = 0;
+        stream = stream.pipeThrough(createMeter((chunk) => {
+            checksum = crc32(chunk, checksum);
+            size += chunk.length;
+        }));
+        const extracted = await streamToBlob(stream, 'application/octet-stream');
+
+        if (checksum !== entry.checksum || size !== entry.originalSize) {
+            throw new ChecksumError(`${entry.name}: los datos no coinciden con el CRC del .zip`);
+        }
+        output.push({ name: entry.name, blob: extracted, originalSize: size, compressedSize: entry.compressedSize });
+    }
+
+    return { entries: output, originalSize: output.reduce((sum, entry) => sum + entry.originalSize, 0) };
+}
+
+// =============================================
+// Referencia del modo de análisis
+// =============================================
+
+// Deflate de la plataforma en un bloque, con la forma de los resultados de
+// compareStrategies() de hs6d-core.js y `reference`: un .hs6d no puede
+// guardar bloques así, solo sirve para comparar. null si no hay
+// CompressionStream
+export async function deflateReference(data) {
+    if (typeof CompressionStream === 'undefined') return null;
+    const start = performance.now();
+    const stream = new Blob([data]).stream().pipeThrough(new CompressionStream('deflate'));
+    const size = (await new Response(stream).arrayBuffer()).byteLength;
+    return { strategy: 'deflate', codec: 'Deflate (plataforma)', size, time: performance.now() - start, reference: true };
+}
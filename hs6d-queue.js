@@ -0,0 +1,183 @@
+// =============================================
+// Cola de trabajos de la interfaz
+// =============================================
+// Cada trabajo guarda su propio estado (archivos, opciones elegidas al
+// agregarlo, progreso, resultado o error), así los trabajos de un panel no
+// pisan los del otro. Se ejecutan en orden de llegada, hasta `concurrency`
+// a la vez; uno fallido o cancelado queda en la lista y se puede
+// reintentar.
+//
+// run(job, onProgress, control) hace el trabajo y resuelve con su
+// resultado, que queda en job.result. Con `control` (ver
+// createJobControl()) el trabajo en curso se cancela o se pausa entre
+// etapas o bloques. onChange(job) se llama con cada cambio de estado o de
+// progreso. No usa el DOM.
+
+export const JOB_PENDING = 'pending';
+export const JOB_RUNNING = 'running';
+export const JOB_DONE = 'done';
+export const JOB_FAILED = 'failed';
+export const JOB_CANCELLED = 'cancelled';
+
+// Control de un trabajo en curso. Quien lo ejecuta espera checkpoint()
+// entre etapas o bloques: no resuelve mientras esté en pausa y rechaza con
+// un error de nombre 'AbortError' una vez cancelado. `signal` es un
+// AbortSignal para cortar lo que ya está en marcha
+export function createJobControl() {
+    const controller = new AbortController();
+    let paused = null;
+
+    return {
+        signal: controller.signal,
+
+        get paused() {
+            return paused !== null;
+        },
+
+        pause() {
+            if (paused) return;
+            let resolve;
+            const promise = new Promise(done => { resolve = done; });
+            paused = { promise, resolve };
+        },
+
+        resume() {
+            if (!paused) return;
+            paused.resolve();
+            paused = null;
+        },
+
+        abort() {
+            controller.abort();
+            this.resume();
+        },
+
+        async checkpoint() {
+            while (paused) await paused.promise;
+            controller.signal.throwIfAborted();
+        }
+    };
+}
+
+export function createBatchQueue({ run, concurrency = 1, onChange = () => {} }) {
+    const jobs = [];
+    let nextId = 0;
+    let running = 0;
+
+    function update(job, fields) {
+        Object.assign(job, fields);
+        onChange(job);
+    }
+
+    async function start(job) {
+        const control = createJobControl();
+        running++;
+        job.control = control;
+        update(job, { state: JOB_RUNNING, paused: false, progress: 0, stage: '', startTime: performance.now(), endTime: null, error: null });
+        try {
+            const result = await run(job, (progress, stage = job.stage) => update(job, { progress, stage }), control);
+            control.signal.throwIfAborted();
+            update(job, { state: JOB_DONE, progress: 1, result, endTime: performance.now() });
+        } catch (error) {
+            const state = control.signal.aborted ? JOB_CANCELLED : JOB_FAILED;
+            update(job, { state, paused: false, error, endTime: performance.now() });
+        } finally {
+            job.control = null;
+            running--;
+            pump();
+        }
+    }
+
+    function pump() {
+        while (running < concurrency) {
+            const job = jobs.find(item => item.state === JOB_PENDING);
+            if (!job) return;
+            start(job);
+        }
+    }
+
+    return {
+        // fields: lo que run() necesita (name, files, size, options…); size,
+        // en bytes, pondera el progreso total
+        add(fields) {
+            const job = {
+                size: 0,
+                ...fields,
+                id: ++nextId,
+                state: JOB_PENDING,
+                paused: false,
+                control: null,
+                progress: 0,
+                stage: '',
+                result: null,
+                error: null,
+                startTime: null,
+                endTime: null
+            };
+            jobs.push(job);
+            onChange(job);
+            pump();
+            return job;
+        },
+
+        // Vuelve a poner en la cola un trabajo fallido o cancelado
+        retry(job) {
+            if (job.state !== JOB_FAILED && job.state !== JOB_CANCELLED) return false;
+            update(job, { state: JOB_PENDING, progress: 0, stage: '', result: null, error: null });
+            pump();
+            return true;
+        },
+
+        // Uno en espera no llega a empezar; uno en curso se detiene en el
+        // próximo punto de control
+        cancel(job) {
+            if (job.state === JOB_PENDING) {
+                update(job, { state: JOB_CANCELLED });
+                return true;
+            }
+            if (job.state !== JOB_RUNNING) return false;
+            job.control.abort();
+            return true;
+        },
+
+        pause(job) {
+            if (job.state !== JOB_RUNNING || job.paused) return false;
+            job.control.pause();
+            update(job, { paused: true });
+            return true;
+        },
+
+        resume(job) {
+            if (job.state !== JOB_RUNNING || !job.paused) return false;
+            job.control.resume();
+            update(job, { paused: false });
+            return true;
+        },
+
+        // Quita un trabajo que no está en curso
+        remove(job) {
+            const index = jobs.indexOf(job);
+            if (index === -1 || job.state === JOB_RUNNING) return false;
+            jobs.splice(index, 1);
+            return true;
+        },
+
+        get jobs() {
+            return jobs.slice();
+        },
+
+        // Fracción terminada de todos los trabajos, ponderada por tamaño;
+        // los fallidos y cancelados cuentan como terminados
+        progress() {
+            let total = 0;
+            let done = 0;
+            for (const job of jobs) {
+                const weight = Math.max(1, job.size);
+                const finished = job.state === JOB_FAILED || job.state === JOB_CANCELLED;
+                total += weight;
+                done += weight * (finished ? 1 : job.progress);
+            }
+            return total ? done / total : 0;
+        }
+    };
+}
@@ -0,0 +1,110 @@
+// =============================================
+// Extracción de un rango sin descomprimir todo
+// =============================================
+// Con la posición de cada bloque en los datos originales (el índice de
+// bloques, ver hs6d-format.js) se decodifican solo los bloques que cubren
+// el rango pedido. Un rango de filas de CSV se traduce antes a bytes
+// buscando el salto de línea que cierra la fila anterior en el bloque que
+// lo contiene.
+//
+// Lo comparten open() de hs6d.js (en memoria) y hs6d-stream.js (leyendo
+// un Blob por partes): cada uno pasa su propia función para decodificar
+// un bloque.
+
+// Cada bloque se decodifica una sola vez aunque se pida varias
+function cachedDecoder(decode) {
+    const decoded = new Map();
+    return (i) => {
+        if (!decoded.has(i)) decoded.set(i, decode(i));
+        return decoded.get(i);
+    };
+}
+
+// Último bloque que empieza en o antes de `position` (búsqueda binaria
+// sobre key(bloque), creciente)
+function findBlock(blocks, position, key) {
+    let low = 0;
+    let high = blocks.length - 1;
+    while (low < high) {
+        const middle = (low + high + 1) >> 1;
+        if (key(blocks[middle]) <= position) {
+            low = middle;
+        } else {
+            high = middle - 1;
+        }
+    }
+    return low;
+}
+
+// Posición en bytes donde empieza la fila `row`: tras el salto de línea
+// que cierra la anterior
+async function rowStart(blocks, rows, originalSize, row, decode) {
+    if (row <= 0) return 0;
+    if (row >= rows) return originalSize;
+
+    // El bloque donde termina la fila row - 1
+    const i = findBlock(blocks, row - 1, block => block.row);
+    const data = await decode(i);
+    let remaining = row - blocks[i].row;
+    for (let j = 0; j < data.length; j++) {
+        if (data[j] === 10 && --remaining === 0) {
+            return blocks[i].originalOffset + j + 1;
+        }
+    }
+    throw new Error(`Índice de filas inconsistente en el bloque ${i + 1}`);
+}
+
+// Bytes [start, end) de los datos originales, decodificando solo los
+// bloques que los cubren
+async function readRange(blocks, start, end, decode) {
+    const output = new Uint8Array(end - start);
+    if (start === end) return output;
+
+    const first = findBlock(blocks, start, block => block.originalOffset);
+    for (let i = first; i < blocks.length && blocks[i].originalOffset < end; i++) {
+        const data = await decode(i);
+        const { originalOffset } = blocks[i];
+        const from = Math.max(start, originalOffset);
+        const to = Math.min(end, originalOffset + data.length);
+        output.set(data.subarray(from - originalOffset, to - originalOffset), from - start);
+    }
+    return output;
+}
+
+// layout: { blocks, rows, originalSize } con blocks = [{ originalOffset,
+// row }] en orden y rows las filas del archivo (o null), como blockMap()
+// de hs6d-core.js. decode(i) resuelve con los datos originales del bloque i.
+//
+// Extrae [start, end) de los datos originales; con `rows`, start y end son
+// filas (desde 0; en CSV la 0 es el encabezado) y con `header` se antepone
+// la fila 0 si el rango no la incluye. Los límites se recortan al tamaño
+// del archivo. Resuelve con { data, start, end } (start y end en bytes)
+export async function extractRange(layout, start, end, { rows: byRows = false, header = false } = {}, decode) {
+    const { blocks, rows, originalSize } = layout;
+    if (!Number.isSafeInteger(start) || !Number.isSafeInteger(end) || start < 0 || end < start) {
+        throw new RangeError("El rango debe ser [inicio, fin) con 0 ≤ inicio ≤ fin");
+    }
+    const decodeOnce = cachedDecoder(decode);
+
+    if (!byRows) {
+        const from = Math.min(start, originalSize);
+        const to = Math.min(end, originalSize);
+        return { data: await readRange(blocks, from, to, decodeOnce), start: from, end: to };
+    }
+
+    if (rows === null) {
+        throw new Error("El archivo no tiene índice de filas: solo se guarda al comprimir un CSV");
+    }
+    const from = await rowStart(blocks, rows, originalSize, start, decodeOnce);
+    const to = await rowStart(blocks, rows, originalSize, end, decodeOnce);
+    const data = await readRange(blocks, from, to, decodeOnce);
+    if (!header || start === 0 || rows === 0) {
+        return { data, start: from, end: to };
+    }
+
+    const headerRow = await readRange(blocks, 0, await rowStart(blocks, rows, originalSize, 1, decodeOnce), decodeOnce);
+    const output = new Uint8Array(headerRow.length + data.length);
+    output.set(headerRow);
+    output.set(data, headerRow.length);
+    return { data: output, start: from, end: to };
+}
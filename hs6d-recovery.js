@@ -0,0 +1,199 @@
+import { crc32 } from './utils.js';
+import { createReedSolomon, MAX_CODEWORD_SIZE } from './rs-engine.js';
+import {
+    MAX_HEADER_SIZE,
+    RECOVERY_TRAILER_SIZE,
+    ChecksumError,
+    readHeader,
+    writeRecoveryTrailer,
+    readRecoveryTrailer
+} from './hs6d-format.js';
+
+// =============================================
+// Datos de recuperación
+// =============================================
+// Paridad Reed-Solomon (ver rs-engine.js) agregada al final de un .hs6d ya
+// terminado, cifrado o no, para reparar los bytes que se dañen en una
+// transferencia. Cubre todo el archivo, cabecera incluida, en segmentos de
+// 64 KB con sus palabras intercaladas: con un 10 % de paridad se reparan
+// hasta 11 bytes por palabra o una ráfaga de unos 3 KB por segmento.
+//
+// Al abrir, si el CRC de la cabecera coincide solo se revisa el primer
+// segmento (la cabecera no entra en el CRC); si no, se corrigen todos.
+
+export const DEFAULT_RECOVERY_PERCENT = 10;
+export const MAX_RECOVERY_PERCENT = 50;
+
+const SEGMENT_SIZE = 1 << 16;
+const MAX_SEGMENT_SIZE = 1 << 24;
+
+// Lecturas para comprobar el CRC sin cargar el archivo completo
+const CHECK_SIZE = 1 << 20;
+
+// read() devuelve bytes; part() lo que se incluye tal cual en la salida
+function bytesSource(data) {
+    return {
+        size: data.length,
+        read: async (start, end) => data.subarray(start, end),
+        part: (start, end) => data.subarray(start, end)
+    };
+}
+
+function blobSource(blob) {
+    return {
+        size: blob.size,
+        read: async (start, end) => new Uint8Array(await blob.slice(start, end).arrayBuffer()),
+        part: (start, end) => blob.slice(start, end)
+    };
+}
+
+// Paridad por palabra para que ocupe alrededor de `percent` % de los datos
+export function paritySizeFor(percent) {
+    if (!Number.isInteger(percent) || percent < 1 || percent > MAX_RECOVERY_PERCENT) {
+        throw new RangeError(`La recuperación debe estar entre 1 y ${MAX_RECOVERY_PERCENT} %`);
+    }
+    return Math.max(2, Math.round(MAX_CODEWORD_SIZE * percent / (100 + percent)));
+}
+
+// Bytes de paridad de todos los segmentos
+function paritySize(rs, protectedSize, segmentSize) {
+    const full = Math.floor(protectedSize / segmentSize);
+    const rest = protectedSize % segmentSize;
+    return (full * rs.codewordsFor(segmentSize) + rs.codewordsFor(rest)) * rs.paritySize;
+}
+
+// → { paritySize, segmentSize, protectedSize, recoverySize, percent } del
+// cierre de readRecoveryTrailer(), para mostrarlo
+export function describeRecovery(trailer) {
+    const rs = createReedSolomon(trailer.paritySize);
+    return {
+        ...trailer,
+        recoverySize: paritySize(rs, trailer.protectedSize, trailer.segmentSize) + 2 * RECOVERY_TRAILER_SIZE,
+        percent: Math.round(100 * trailer.paritySize / rs.dataSize)
+    };
+}
+
+async function protectSource(source, percent) {
+    const rs = createReedSolomon(paritySizeFor(percent));
+    const parts = [];
+
+    for (let start = 0; start < source.size; start += SEGMENT_SIZE) {
+        parts.push(rs.encode(await source.read(start, Math.min(start + SEGMENT_SIZE, source.size))));
+    }
+
+    const trailer = writeRecoveryTrailer({ paritySize: rs.paritySize, segmentSize: SEGMENT_SIZE, protectedSize: source.size });
+    parts.push(trailer, trailer);
+    return parts;
+}
+
+// El contenido tras la cabecera coincide con el CRC de la cabecera
+async function contentIntact(source, protectedSize) {
+    try {
+        const header = readHeader(await source.read(0, Math.min(MAX_HEADER_SIZE, protectedSize)));
+        let checksum = 0;
+        for (let start = header.headerSize; start < protectedSize; start += CHECK_SIZE) {
+            checksum = crc32(await source.read(start, Math.min(start + CHECK_SIZE, protectedSize)), checksum);
+        }
+        return checksum === header.checksum;
+    } catch {
+        return false;
+    }
+}
+
+// → { parts, repaired }: el archivo original reparado y los bytes corregidos
+async function repairSource(source, trailer, onProgress) {
+    const { segmentSize, protectedSize } = trailer;
+    if (segmentSize < 1 || segmentSize > MAX_SEGMENT_SIZE) {
+        throw new Error("Datos de recuperación inválidos");
+    }
+
+    const rs = createReedSolomon(trailer.paritySize);
+    if (protectedSize + paritySize(rs, protectedSize, segmentSize) + 2 * RECOVERY_TRAILER_SIZE !== source.size) {
+        throw new ChecksumError("El archivo está truncado o tiene bytes de más: no se puede reparar");
+    }
+
+    const intact = await contentIntact(source, protectedSize);
+    const parts = [];
+    let repaired = 0;
+    let parityOffset = protectedSize;
+
+    for (let start = 0; start < protectedSize; start += segmentSize) {
+        if (intact && start > 0) {
+            parts.push(source.part(start, protectedSize));
+            break;
+        }
+
+        const end = Math.min(start + segmentSize, protectedSize);
+        const parityEnd = parityOffset + rs.codewordsFor(end - start) * rs.paritySize;
+        const segment = (await source.read(start, end)).slice();
+        const parity = (await source.read(parityOffset, parityEnd)).slice();
+
+        const corrected = rs.decode(segment, parity);
+        if (corrected < 0) {
+            throw new ChecksumError(`Daños irreparables cerca del byte ${start}: superan los datos de recuperación`);
+        }
+
+        repaired += corrected;
+        parts.push(segment);
+        parityOffset = parityEnd;
+        onProgress(end / protectedSize, 'Reparando');
+    }
+
+    return { parts, repaired };
+}
+
+// Con datos de recuperación al final
+export function hasRecovery(data) {
+    return readRecoveryTrailer(data) !== null;
+}
+
+// Agrega ~percent % de paridad al final de un .hs6d completo
+export async function protectContainer(data, { percent = DEFAULT_RECOVERY_PERCENT } = {}) {
+    const parts = await protectSource(bytesSource(data), percent);
+    const output = new Uint8Array(parts.reduce((sum, part) => sum + part.length, data.length));
+    let offset = data.length;
+    output.set(data);
+    for (const part of parts) {
+        output.set(part, offset);
+        offset += part.length;
+    }
+    return output;
+}
+
+// Devuelve { data, repaired }: el .hs6d sin los datos de recuperación, con
+// los bytes dañados corregidos, y cuántos hubo. Lanza ChecksumError si el
+// daño supera la paridad
+export async function repairContainer(data, { onProgress = () => {} } = {}) {
+    const trailer = readRecoveryTrailer(data);
+    if (!trailer) {
+        throw new Error("El archivo no tiene datos de recuperación");
+    }
+
+    const { parts, repaired } = await repairSource(bytesSource(data), trailer, onProgress);
+    if (parts.length === 1) return { data: parts[0], repaired };
+
+    const output = new Uint8Array(trailer.protectedSize);
+    let offset = 0;
+    for (const part of parts) {
+        output.set(part, offset);
+        offset += part.length;
+    }
+    return { data: output, repaired };
+}
+
+// Como protectContainer(), leyendo el Blob por segmentos
+export async function protectBlob(blob, { percent = DEFAULT_RECOVERY_PERCENT } = {}) {
+    const parts = await protectSource(blobSource(blob), percent);
+    return new Blob([blob, ...parts], { type: 'application/hs6d' });
+}
+
+// Como repairContainer(), con un Blob: { blob, repaired }
+export async function repairBlob(blob, { onProgress = () => {} } = {}) {
+    const trailer = readRecoveryTrailer(new Uint8Array(await blob.slice(-2 * RECOVERY_TRAILER_SIZE).arrayBuffer()));
+    if (!trailer) {
+        throw new Error("El archivo no tiene datos de recuperación");
+    }
+
+    const { parts, repaired } = await repairSource(blobSource(blob), trailer, onProgress);
+    return { blob: new Blob(parts, { type: 'application/hs6d' }), repaired };
+}
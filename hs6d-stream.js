@@ -0,0 +1,437 @@
+import { DEFAULT_BLOCK_SIZE, analyzeData, alignBlock, countRows, indexBlocks } from './hs6d-core.js';
+import { crc32, crc32Combine } from './utils.js';
+import {
+    MAX_HEADER_SIZE,
+    BLOCK_HEADER_SIZE,
+    FLAG_BLOCKS,
+    FLAG_ARCHIVE,
+    FLAG_ENCRYPTED,
+    FLAG_METADATA,
+    FLAG_INTEGRITY,
+    FLAG_INDEX,
+    ChecksumError,
+    PasswordError,
+    writeHeader,
+    readHeader,
+    writeBlockCount,
+    readBlockCount,
+    readBlockHeader,
+    writeMetadata,
+    readSectionSize,
+    readMetadata,
+    writeIntegrity,
+    readIntegrity,
+    writeBlockIndex,
+    readBlockIndex
+} from './hs6d-format.js';
+import { createIntegrityCheck, createSha256, checkDigest } from './hs6d-integrity.js';
+import { extractRange } from './hs6d-range.js';
+
+// =============================================
+// Compresión y descompresión por partes de un Blob
+// =============================================
+// Lee el archivo bloque a bloque con Blob.slice() y arma el resultado
+// como un Blob de partes, así la memoria depende del tamaño de bloque y
+// no del archivo. Cada bloque se codifica con la función recibida (un
+// worker del grupo, normalmente); hasta `concurrency` a la vez.
+//
+// El CRC de la cabecera se combina a partir del CRC de cada parte, sin
+// volver a leerlas; el de los datos originales, igual, a partir del de
+// cada bloque.
+//
+// extractBlobRange() usa el índice de bloques para leer y decodificar
+// solo los bloques de un rango de bytes o de filas.
+//
+// analyzeBlob() compara las estrategias de codificación en los bloques
+// de un archivo, sin producir un .hs6d.
+//
+// checkpoint() se espera antes de leer cada bloque: puede demorar (pausa)
+// o rechazar (cancelación) sin dejar trabajo a medias.
+
+const noCheckpoint = async () => {};
+
+async function readSlice(blob, start, end) {
+    return new Uint8Array(await blob.slice(start, end).arrayBuffer());
+}
+
+// Trabajos en curso acotados; add() espera si ya hay `limit` en curso.
+// El primer trabajo que falla, aunque nadie lo estuviera esperando, hace
+// fallar el próximo add() y drain() con su error
+function createJobQueue(limit) {
+    const running = new Set();
+    let failure = null;
+
+    return {
+        async add(job) {
+            running.add(job);
+            job.catch((error) => { failure ??= { error }; }).finally(() => running.delete(job));
+            if (running.size >= limit) await Promise.race(running).catch(() => {});
+            if (failure) throw failure.error;
+        },
+
+        async drain() {
+            await Promise.allSettled(running);
+            if (failure) throw failure.error;
+        }
+    };
+}
+
+// Índice de la primera parte que falta en `parts`, o -1
+function missingPart(parts) {
+    for (let i = 0; i < parts.length; i++) {
+        if (!parts[i]) return i;
+    }
+    return -1;
+}
+
+// encode(block, analysis, first) → { part, checksum, originalChecksum,
+// digest } con la cabecera de bloque incluida, como compressBlock() de
+// hs6d-core.js; originalChecksum y digest (SHA-256, o null) son los del
+// bloque sin comprimir.
+// metadata: ver writeMetadata() de hs6d-format.js. sha256: guardar también
+// el SHA-256 de todos los datos, que se calcula aquí con los bloques en
+// orden (encode() da el de cada bloque)
+export async function compressBlob(blob, {
+    blockSize = DEFAULT_BLOCK_SIZE,
+    concurrency = 1,
+    metadata,
+    sha256 = false,
+    encode,
+    checkpoint = noCheckpoint,
+    onProgress = () => {}
+}) {
+    onProgress(0.05, 'Analizando datos');
+
+    const analysis = analyzeData(await readSlice(blob, 0, Math.min(blob.size, blockSize)));
+    const queue = createJobQueue(concurrency);
+    const parts = [];
+    const hash = sha256 ? createSha256() : null;
+    let done = 0;
+    let start = 0;
+
+    while (start < blob.size) {
+        await checkpoint();
+        const end = Math.min(start + blockSize, blob.size);
+        const chunk = await readSlice(blob, start, end);
+        const length = alignBlock(chunk, analysis, end === blob.size);
+        const block = length === chunk.length ? chunk : chunk.slice(0, length);
+        const index = parts.length;
+        // Antes de codificar: encode() puede transferir el bloque a un worker
+        const rows = analysis.csv ? countRows(block, start + length === blob.size) : null;
+        if (hash) hash.update(block);
+        parts.push(null);
+
+        await queue.add(encode(block, analysis, index === 0).then(({ part, checksum, originalChecksum, digest }) => {
+            parts[index] = { blob: new Blob([part]), checksum, length: part.length, originalChecksum, originalLength: length, digest, rows };
+            done += length;
+            onProgress(0.05 + 0.9 * done / blob.size, `Bloque ${index + 1}`);
+        }));
+        start += length;
+    }
+    await queue.drain();
+    const missing = missingPart(parts);
+    if (missing >= 0) {
+        throw new Error(`Falta el bloque ${missing + 1} comprimido`);
+    }
+
+    const section = metadata ? writeMetadata(metadata) : new Uint8Array(0);
+    const integrity = writeIntegrity({
+        checksum: parts.reduce((crc, part) => crc32Combine(crc, part.originalChecksum, part.originalLength), 0),
+        digests: parts.every(part => part.digest) ? parts.map(part => part.digest) : [],
+        sha256: hash && hash.digest()
+    });
+    const blockIndex = writeBlockIndex(indexBlocks(parts.map(part => ({
+        size: part.length,
+        originalSize: part.originalLength,
+        rows: part.rows
+    }))));
+    const blockCount = writeBlockCount(parts.length);
+    const checksum = parts.reduce(
+        (crc, part) => crc32Combine(crc, part.checksum, part.length),
+        crc32(blockCount, crc32(blockIndex, crc32(integrity, crc32(section))))
+    );
+    const flags = FLAG_BLOCKS | FLAG_INTEGRITY | FLAG_INDEX | (metadata ? FLAG_METADATA : 0);
+    const header = writeHeader(blob.size, flags, checksum);
+    const output = new Blob([header, section, integrity, blockIndex, blockCount, ...parts.map(part => part.blob)], { type: 'application/hs6d' });
+
+    onProgress(1.0, 'Finalizado');
+    return { blob: output, originalSize: blob.size, compressedSize: output.size };
+}
+
+// Bloques que toma el modo de análisis sin `whole`
+export const ANALYSIS_SAMPLE_BLOCKS = 8;
+
+// Bloque de hasta blockSize bytes desde `start`, terminado en fin de línea
+// en CSV y logs. Con `resync` empieza en la línea siguiente, para un
+// bloque de muestra tomado en medio del archivo
+async function readAnalysisBlock(blob, start, blockSize, analysis, resync) {
+    const end = Math.min(start + blockSize, blob.size);
+    let chunk = await readSlice(blob, start, end);
+    if (resync && (analysis.csv || analysis.log)) {
+        chunk = chunk.subarray(chunk.indexOf(10) + 1);
+    }
+    return chunk.slice(0, alignBlock(chunk, analysis, end === blob.size));
+}
+
+// La de menor tamaño de un bloque; ante un empate, la primera
+function smallestResult(results) {
+    return results.reduce((best, result) => (!best || result.size < best.size ? result : best), null);
+}
+
+// Modo de análisis: analyze(block, analysis, first) → [{ strategy, codec,
+// size, time, reference }] codifica un bloque con cada estrategia, como
+// compareStrategies() de hs6d-core.js; las de `reference` (deflate de la
+// plataforma, ver deflateReference() de hs6d-interop.js) se comparan pero
+// no pueden guardarse en un .hs6d, así que no ganan bloques.
+// Sin `whole` se analizan hasta ANALYSIS_SAMPLE_BLOCKS bloques repartidos
+// por el archivo.
+// Resuelve con { blocks: [{ index, originalSize, results, winner }],
+// strategies: [{ strategy, codec, reference, size, time, wins }], best, originalSize,
+// sampled }: winner es la estrategia que elegiría tryAll, y best el tamaño
+// que suman los ganadores. Una estrategia que no se aplica a un bloque
+// cuenta en su total como sin comprimir
+export async function analyzeBlob(blob, {
+    blockSize = DEFAULT_BLOCK_SIZE,
+    whole = false,
+    concurrency = 1,
+    analyze,
+    checkpoint = noCheckpoint,
+    onProgress = () => {}
+}) {
+    onProgress(0.05, 'Analizando datos');
+
+    const analysis = analyzeData(await readSlice(blob, 0, Math.min(blob.size, blockSize)));
+    const count = Math.ceil(blob.size / blockSize);
+    const sampled = !whole && count > ANALYSIS_SAMPLE_BLOCKS;
+    // Con muestra, el primero, el último y los demás a la misma distancia
+    const starts = sampled
+        ? Array.from({ length: ANALYSIS_SAMPLE_BLOCKS }, (_, i) => Math.floor(i * (count - 1) / (ANALYSIS_SAMPLE_BLOCKS - 1)) * blockSize)
+        : null;
+    const total = sampled ? starts.length : count;
+    const queue = createJobQueue(concurrency);
+    const blocks = [];
+    let start = 0;
+
+    while (sampled ? blocks.length < starts.length : start < blob.size) {
+        await checkpoint();
+        const index = sampled ? starts[blocks.length] / blockSize : blocks.length;
+        const block = await readAnalysisBlock(blob, sampled ? starts[blocks.length] : start, blockSize, analysis, sampled && index > 0);
+        const position = blocks.length;
+        blocks.push(null);
+        start += block.length;
+
+        // Antes de analizar: analyze() puede transferir el bloque a un worker
+        const originalSize = block.length;
+        await queue.add(analyze(block, analysis, index === 0).then((results) => {
+            const winner = smallestResult(results.filter(result => !result.reference));
+            blocks[position] = { index, originalSize, results, winner };
+            onProgress(0.05 + 0.9 * blocks.filter(Boolean).length / total, `Bloque ${index + 1}`);
+        }));
+    }
+    await queue.drain();
+
+    const strategies = [];
+    for (const { results } of blocks) {
+        for (const { strategy, codec, reference = false } of results) {
+            if (!strategies.some(item => item.strategy === strategy)) {
+                strategies.push({ strategy, codec, reference, size: 0, time: 0, wins: 0 });
+            }
+        }
+    }
+    for (const { originalSize, results, winner } of blocks) {
+        for (const item of strategies) {
+            const result = results.find(other => other.strategy === item.strategy);
+            item.size += result ? result.size : originalSize;
+            item.time += result ? result.time : 0;
+            if (winner && winner.strategy === item.strategy) item.wins++;
+        }
+    }
+
+    onProgress(1.0, 'Finalizado');
+    return {
+        blocks,
+        strategies,
+        best: blocks.reduce((sum, block) => sum + block.winner.size, 0),
+        originalSize: blocks.reduce((sum, block) => sum + block.originalSize, 0),
+        sampled
+    };
+}
+
+// Secciones que preceden a los bloques: { metadata, integrity, index,
+// checksum, offset } con el CRC acumulado de las secciones y la posición
+// del contenedor de bloques
+async function readSections(blob, header) {
+    let offset = header.headerSize;
+    let checksum = 0;
+    const read = async (flag, parse) => {
+        if (!(header.flags & flag)) return null;
+        const size = readSectionSize(await readSlice(blob, offset, offset + 4));
+        const section = await readSlice(blob, offset, offset + size);
+        checksum = crc32(section, checksum);
+        offset += size;
+        return parse(section);
+    };
+
+    const metadata = await read(FLAG_METADATA, section => readMetadata(section).metadata);
+    const integrity = await read(FLAG_INTEGRITY, section => readIntegrity(section).integrity);
+    const index = await read(FLAG_INDEX, section => readBlockIndex(section).index);
+    return { metadata, integrity, index, checksum, offset };
+}
+
+// decode(block) → { decoded, checksum, digest }: los datos originales, su
+// CRC y, si block.digest, su SHA-256; block = { index, count, flags,
+// originalSize, checksum, data } como decompressBlock() de hs6d-core.js.
+// Resuelve con { blob, version, metadata, integrity, originalSize,
+// compressedSize }, o null si el archivo no es un contenedor de bloques
+// simple (varias entradas o formato antiguo): hay que abrirlo completo.
+// integrity es { checksum, sha256 } ya comprobados, o null en archivos V3.
+// keep: false descarta los datos (blob es null), para solo verificar
+export async function decompressBlob(blob, { concurrency = 1, keep = true, decode, checkpoint = noCheckpoint, onProgress = () => {} }) {
+    onProgress(0.05, 'Validando archivo');
+
+    const header = readHeader(await readSlice(blob, 0, MAX_HEADER_SIZE));
+    if (header.flags & FLAG_ENCRYPTED) {
+        // Se descifra antes con decryptBlob() de hs6d-crypto.js
+        throw new PasswordError("El archivo está cifrado: se necesita la contraseña", { required: true });
+    }
+    if (!(header.flags & FLAG_BLOCKS) || (header.flags & FLAG_ARCHIVE)) {
+        return null;
+    }
+
+    const sections = await readSections(blob, header);
+    const { metadata } = sections;
+    const check = sections.integrity ? createIntegrityCheck(sections.integrity) : null;
+    let { offset, checksum } = sections;
+
+    const countField = await readSlice(blob, offset, offset + 4);
+    const count = readBlockCount(countField);
+    const queue = createJobQueue(concurrency);
+    const parts = new Array(count);
+    checksum = crc32(countField, checksum);
+    offset += 4;
+    let total = 0;
+    let done = 0;
+
+    for (let index = 0; index < count; index++) {
+        await checkpoint();
+        const blockHeaderField = await readSlice(blob, offset, offset + BLOCK_HEADER_SIZE);
+        if (blockHeaderField.length < BLOCK_HEADER_SIZE) {
+            throw new ChecksumError(`Bloque ${index + 1} truncado`);
+        }
+        const blockHeader = readBlockHeader(blockHeaderField);
+        offset += BLOCK_HEADER_SIZE;
+
+        const data = await readSlice(blob, offset, offset + blockHeader.compressedSize);
+        if (data.length < blockHeader.compressedSize) {
+            throw new ChecksumError(`Bloque ${index + 1} truncado`);
+        }
+        offset += data.length;
+
+        // El CRC de los datos lo verifica decode(); aquí basta con el declarado
+        checksum = crc32Combine(crc32(blockHeaderField, checksum), blockHeader.checksum, data.length);
+        total += blockHeader.originalSize;
+
+        const block = { index, count, ...blockHeader, data, digest: check !== null && check.needsDigest };
+        await queue.add(decode(block).then(({ decoded, checksum: decodedChecksum, digest }) => {
+            if (check) check.add(index, { checksum: decodedChecksum, length: decoded.length, digest, data: decoded });
+            if (keep) parts[index] = new Blob([decoded]);
+            done += decoded.length;
+            onProgress(0.1 + 0.85 * done / Math.max(1, header.originalSize), `Bloque ${index + 1} de ${count}`);
+        }));
+    }
+    await queue.drain();
+    const missing = keep ? missingPart(parts) : -1;
+    if (missing >= 0) {
+        throw new ChecksumError(`Falta el bloque ${missing + 1}`);
+    }
+
+    if (checksum !== header.checksum || offset !== blob.size) {
+        throw new ChecksumError("Checksum no coincide - archivo corrupto");
+    }
+    if (total !== header.originalSize) {
+        throw new ChecksumError(`Faltan datos: ${total} de ${header.originalSize} bytes`);
+    }
+    const integrity = check ? await check.finish() : null;
+
+    onProgress(1.0, 'Descompresión completada');
+    const type = (metadata && metadata.mimeType) || '';
+    return {
+        blob: keep ? new Blob(parts, { type }) : null,
+        version: header.version,
+        metadata,
+        integrity,
+        originalSize: total,
+        compressedSize: blob.size
+    };
+}
+
+// Como extractRange() de hs6d-range.js con un Blob: lee las secciones y
+// solo los bloques que cubren el rango, y los decodifica con decode() como
+// decompressBlob(). Cada bloque se verifica con su CRC y, si lo hay, su
+// SHA-256; el CRC y el SHA-256 del archivo completo no, porque no se lee
+// entero.
+// Resuelve con { blob, start, end, rows, version, metadata, originalSize }
+// (start y end en bytes; rows las filas del CSV o null), o null si el
+// archivo no es un contenedor de bloques simple. Sin índice de bloques
+// (archivos anteriores) se leen antes todas las cabeceras de bloque
+export async function extractBlobRange(blob, start, end, { rows = false, header = false, decode, checkpoint = noCheckpoint, onProgress = () => {} }) {
+    onProgress(0.05, 'Leyendo índice');
+
+    const fileHeader = readHeader(await readSlice(blob, 0, MAX_HEADER_SIZE));
+    if (fileHeader.flags & FLAG_ENCRYPTED) {
+        throw new PasswordError("El archivo está cifrado: se necesita la contraseña", { required: true });
+    }
+    if (!(fileHeader.flags & FLAG_BLOCKS) || (fileHeader.flags & FLAG_ARCHIVE)) {
+        return null;
+    }
+
+    const { metadata, integrity, index, offset } = await readSections(blob, fileHeader);
+    const count = readBlockCount(await readSlice(blob, offset, offset + 4));
+    let blocks;
+    if (index) {
+        if (index.blocks.length !== count) {
+            throw new ChecksumError("El índice de bloques no coincide con el contenido");
+        }
+        blocks = index.blocks.map(block => ({ ...block, position: offset + block.offset }));
+    } else {
+        blocks = [];
+        let position = offset + 4;
+        let originalOffset = 0;
+        for (let i = 0; i < count; i++) {
+            const { originalSize, compressedSize } = readBlockHeader(await readSlice(blob, position, position + BLOCK_HEADER_SIZE));
+            blocks.push({ position, originalOffset, row: null });
+            position += BLOCK_HEADER_SIZE + compressedSize;
+            originalOffset += originalSize;
+        }
+    }
+
+    const digests = integrity ? integrity.digests : [];
+    const layout = { blocks, rows: index ? index.rows : null, originalSize: fileHeader.originalSize };
+    const range = await extractRange(layout, start, end, { rows, header }, async (i) => {
+        await checkpoint();
+        const { position } = blocks[i];
+        const blockHeader = readBlockHeader(await readSlice(blob, position, position + BLOCK_HEADER_SIZE));
+        const data = await readSlice(blob, position + BLOCK_HEADER_SIZE, position + BLOCK_HEADER_SIZE + blockHeader.compressedSize);
+        if (data.length < blockHeader.compressedSize) {
+            throw new ChecksumError(`Bloque ${i + 1} truncado`);
+        }
+
+        onProgress(0.5, `Bloque ${i + 1} de ${count}`);
+        const block = { index: i, count, ...blockHeader, data, digest: digests.length > 0 };
+        const { decoded, digest } = await decode(block);
+        checkDigest(i, digest, digests[i]);
+        return decoded;
+    });
+
+    onProgress(1.0, 'Extracción completada');
+    const type = (metadata && metadata.mimeType) || '';
+    return {
+        blob: new Blob([range.data], { type }),
+        start: range.start,
+        end: range.end,
+        rows: layout.rows,
+        version: fileHeader.version,
+        metadata,
+        originalSize: fileHeader.originalSize
+    };
+}
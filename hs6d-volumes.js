@@ -0,0 +1,173 @@
+import { crc32 } from './utils.js';
+import {
+    VOLUME_HEADER_SIZE,
+    VOLUME_SET_ID_SIZE,
+    RECOVERY_TRAILER_SIZE,
+    ChecksumError,
+    VolumeError,
+    writeVolumeHeader,
+    readVolumeHeader,
+    readRecoveryTrailer
+} from './hs6d-format.js';
+
+// =============================================
+// División en volúmenes
+// =============================================
+// Corta un .hs6d terminado (cifrado y con datos de recuperación, si los
+// lleva) en volúmenes de un tamaño máximo, para enviarlo por canales con
+// límite de adjuntos. Todos comparten un identificador de conjunto
+// aleatorio; al unirlos se aceptan en cualquier orden y se informa qué
+// volúmenes faltan.
+//
+// Un volumen dañado se rechaza, salvo que el archivo tenga datos de
+// recuperación: entonces se une igual y la reparación lo corrige.
+
+const MAX_VOLUMES = 999;
+
+// "reporte.csv.hs6d" → "reporte.csv.hs6d.003" (index desde 0)
+export function volumeName(fileName, index) {
+    return `${fileName}.${String(index + 1).padStart(3, '0')}`;
+}
+
+export function isVolumeName(fileName) {
+    return /\.\d{3}$/.test(fileName);
+}
+
+// "reporte.csv.hs6d.003" → "reporte.csv.hs6d"
+export function volumeSetName(fileName) {
+    return fileName.replace(/\.\d{3}$/, '');
+}
+
+// Tramos [offset, end) del archivo y cabecera de cada volumen, sin el CRC
+function planVolumes(totalSize, volumeSize) {
+    if (!Number.isInteger(volumeSize) || volumeSize <= VOLUME_HEADER_SIZE) {
+        throw new RangeError(`El tamaño de volumen debe ser mayor que ${VOLUME_HEADER_SIZE} bytes`);
+    }
+
+    const chunkSize = volumeSize - VOLUME_HEADER_SIZE;
+    const count = Math.max(1, Math.ceil(totalSize / chunkSize));
+    if (count > MAX_VOLUMES) {
+        throw new RangeError(`Serían ${count} volúmenes (máximo ${MAX_VOLUMES}): use un tamaño mayor`);
+    }
+
+    const setId = crypto.getRandomValues(new Uint8Array(VOLUME_SET_ID_SIZE));
+    return Array.from({ length: count }, (_, index) => ({
+        setId,
+        index,
+        count,
+        totalSize,
+        offset: index * chunkSize,
+        end: Math.min(totalSize, (index + 1) * chunkSize)
+    }));
+}
+
+// volumes: [{ header, size, … }] en cualquier orden, con la cabecera de
+// readVolumeHeader() y el tamaño del volumen. Devuelve uno por número, en
+// orden
+function orderVolumes(volumes) {
+    if (volumes.length === 0) {
+        throw new VolumeError("No se indicó ningún volumen");
+    }
+
+    const [{ header: first }] = volumes;
+    const ordered = new Array(first.count);
+    for (const volume of volumes) {
+        const { header } = volume;
+        if (header.setId !== first.setId || header.count !== first.count || header.totalSize !== first.totalSize) {
+            throw new VolumeError("Los volúmenes pertenecen a archivos distintos");
+        }
+        if (header.index >= header.count) {
+            throw new VolumeError(`Número de volumen inválido: ${header.index + 1}`);
+        }
+        // Un volumen repetido se toma una sola vez
+        ordered[header.index] = ordered[header.index] || volume;
+    }
+
+    const missing = [];
+    for (let i = 0; i < first.count; i++) {
+        if (!ordered[i]) missing.push(i + 1);
+    }
+    if (missing.length) {
+        throw new VolumeError(`Faltan ${missing.length} de ${first.count} volúmenes: ${missing.join(', ')}`, { missing });
+    }
+
+    let offset = 0;
+    for (const { header, size } of ordered) {
+        if (header.offset !== offset) {
+            throw new VolumeError(`El volumen ${header.index + 1} no continúa al anterior`);
+        }
+        offset += size - VOLUME_HEADER_SIZE;
+    }
+    if (offset !== first.totalSize) {
+        throw new VolumeError(`Los volúmenes suman ${offset} bytes de ${first.totalSize}`);
+    }
+
+    return ordered;
+}
+
+// Sin datos de recuperación que los reparen, los volúmenes dañados son un error
+function checkDamaged(damaged, tail) {
+    if (damaged.length && !readRecoveryTrailer(tail)) {
+        throw new ChecksumError(`Volumen dañado: ${damaged.join(', ')}`);
+    }
+}
+
+// Divide un .hs6d completo en volúmenes de a lo sumo volumeSize bytes
+export function splitVolumes(data, { volumeSize }) {
+    return planVolumes(data.length, volumeSize).map(({ offset, end, ...fields }) => {
+        const chunk = data.subarray(offset, end);
+        const volume = new Uint8Array(VOLUME_HEADER_SIZE + chunk.length);
+        volume.set(writeVolumeHeader({ ...fields, offset, checksum: crc32(chunk) }));
+        volume.set(chunk, VOLUME_HEADER_SIZE);
+        return volume;
+    });
+}
+
+// Une los volúmenes, en cualquier orden, en el .hs6d original
+export function joinVolumes(volumes) {
+    const ordered = orderVolumes(volumes.map(data => ({ header: readVolumeHeader(data), size: data.length, data })));
+    const output = new Uint8Array(ordered[0].header.totalSize);
+    const damaged = [];
+
+    for (const { header, data } of ordered) {
+        const chunk = data.subarray(VOLUME_HEADER_SIZE);
+        if (crc32(chunk) !== header.checksum) damaged.push(header.index + 1);
+        output.set(chunk, header.offset);
+    }
+
+    checkDamaged(damaged, output.subarray(-2 * RECOVERY_TRAILER_SIZE));
+    return output;
+}
+
+// Como splitVolumes(), leyendo el Blob de a un volumen
+export async function splitBlob(blob, { volumeSize }) {
+    const volumes = [];
+    for (const { offset, end, ...fields } of planVolumes(blob.size, volumeSize)) {
+        const chunk = new Uint8Array(await blob.slice(offset, end).arrayBuffer());
+        const header = writeVolumeHeader({ ...fields, offset, checksum: crc32(chunk) });
+        volumes.push(new Blob([header, chunk], { type: 'application/hs6d' }));
+    }
+    return volumes;
+}
+
+// Como joinVolumes(), con Blob/File: el resultado es un Blob que no copia
+// los volúmenes
+export async function joinBlobs(blobs, { onProgress = () => {} } = {}) {
+    const volumes = await Promise.all(blobs.map(async blob => ({
+        header: readVolumeHeader(new Uint8Array(await blob.slice(0, VOLUME_HEADER_SIZE).arrayBuffer())),
+        size: blob.size,
+        blob
+    })));
+    const ordered = orderVolumes(volumes);
+    const damaged = [];
+
+    for (const { header, blob } of ordered) {
+        const chunk = new Uint8Array(await blob.slice(VOLUME_HEADER_SIZE).arrayBuffer());
+        if (crc32(chunk) !== header.checksum) damaged.push(header.index + 1);
+        onProgress((header.index + 1) / header.count, `Volumen ${header.index + 1} de ${header.count}`);
+    }
+
+    const output = new Blob(ordered.map(({ blob }) => blob.slice(VOLUME_HEADER_SIZE)), { type: 'application/hs6d' });
+    checkDamaged(damaged, new Uint8Array(await output.slice(-2 * RECOVERY_TRAILER_SIZE).arrayBuffer()));
+    return output;
+}
@@ -0,0 +1,396 @@
+import {
+    DEFAULT_BLOCK_SIZE,
+    COMPRESSION_LEVELS,
+    DEFAULT_LEVEL,
+    levelOptions,
+    compressData,
+    compressArchive,
+    openContainer,
+    decodeContainer,
+    extractEntry,
+    describeContainer,
+    splitBlocks,
+    blockMap,
+    decompressBlock,
+    planBlocks,
+    blockSizes
+} from './hs6d-core.js';
+import { extractRange } from './hs6d-range.js';
+import { crc32, crc32Combine, getFileMetadata } from './utils.js';
+import {
+    sha256 as sha256Digest,
+    createSha256,
+    digestRanges,
+    verifyDigests,
+    checkFileDigest,
+    checksumToHex,
+    toHex
+} from './hs6d-integrity.js';
+import { ChecksumError, readHeader, readRecoveryTrailer } from './hs6d-format.js';
+import { DEFAULT_KDF_ITERATIONS, isEncrypted, encryptContainer, decryptContainer } from './hs6d-crypto.js';
+import {
+    MAX_RECOVERY_PERCENT,
+    hasRecovery,
+    protectContainer,
+    repairContainer,
+    describeRecovery
+} from './hs6d-recovery.js';
+
+// =============================================
+// API pública de HyperStorage6D
+// =============================================
+// Funciones con promesas, sin DOM ni workers. Aceptan Uint8Array,
+// ArrayBuffer, cualquier vista tipada o Blob/File.
+//
+//   const hs6d = await compress(bytes, { onProgress });
+//   const original = await decompress(hs6d);
+
+export { DEFAULT_BLOCK_SIZE, COMPRESSION_LEVELS, DEFAULT_LEVEL };
+
+async function toBytes(input) {
+    if (input instanceof Uint8Array) return input;
+    if (input instanceof ArrayBuffer) return new Uint8Array(input);
+    if (ArrayBuffer.isView(input)) {
+        return new Uint8Array(input.buffer, input.byteOffset, input.byteLength);
+    }
+    if (typeof Blob !== 'undefined' && input instanceof Blob) {
+        return new Uint8Array(await input.arrayBuffer());
+    }
+    throw new TypeError("Se esperaba Uint8Array, ArrayBuffer o Blob");
+}
+
+// level: 'fast', 'balanced' (por defecto) o 'max' (ver COMPRESSION_LEVELS);
+// fija blockSize, lz77, entropy y desde qué proporción un bloque se guarda
+// sin comprimir, salvo lo que se indique aparte. Queda en los metadatos.
+// lz77: { windowSize, lazy, maxChain } ajusta la búsqueda de repeticiones en datos binarios.
+// entropy: 'huffman' o 'range', el codificador de rango adaptativo
+// de orden rangeOrder (0 o 1).
+// tryAll: prueba todas las estrategias en cada bloque y guarda la más
+// chica, en lugar de elegir por heurística (más lento).
+// password: cifra con AES-GCM al comprimir y descifra al abrir; la clave se
+// deriva con PBKDF2 de kdfIterations iteraciones.
+// metadata: { name, extension, mimeType, modified, comment } del archivo
+// original; con un File se toman de él si no se indican.
+// sha256: además del CRC de los datos originales, guarda su SHA-256 (el
+// mismo que sha256sum) y el de cada bloque.
+// recovery: porcentaje de datos de recuperación (1 a 50) para reparar el
+// archivo si llega con bytes dañados; 0 o sin indicar, ninguno.
+// checkpoint: función asíncrona que se espera antes de cada bloque; para
+// pausar o cancelar (rechazando) entre bloques
+function normalizeOptions({
+    level = DEFAULT_LEVEL,
+    blockSize,
+    lz77,
+    entropy,
+    rangeOrder,
+    tryAll,
+    password,
+    kdfIterations = DEFAULT_KDF_ITERATIONS,
+    metadata,
+    sha256 = false,
+    recovery = 0,
+    onProgress = () => {},
+    checkpoint = async () => {}
+} = {}) {
+    if (!Object.hasOwn(COMPRESSION_LEVELS, level)) {
+        throw new RangeError(`level debe ser uno de: ${Object.keys(COMPRESSION_LEVELS).join(', ')}`);
+    }
+    if (blockSize !== undefined && (!Number.isInteger(blockSize) || blockSize <= 0)) {
+        throw new RangeError("blockSize debe ser un entero positivo");
+    }
+    if (lz77 !== undefined && (lz77 === null || typeof lz77 !== 'object')) {
+        throw new TypeError("lz77 debe ser un objeto de opciones");
+    }
+    if (entropy !== undefined && entropy !== 'huffman' && entropy !== 'range') {
+        throw new RangeError("entropy debe ser 'huffman' o 'range'");
+    }
+    if (rangeOrder !== undefined && rangeOrder !== 0 && rangeOrder !== 1) {
+        throw new RangeError("rangeOrder debe ser 0 o 1");
+    }
+    if (tryAll !== undefined && typeof tryAll !== 'boolean') {
+        throw new TypeError("tryAll debe ser true o false");
+    }
+    if (password !== undefined && (typeof password !== 'string' || password === '')) {
+        throw new TypeError("password debe ser un texto no vacío");
+    }
+    if (!Number.isInteger(kdfIterations) || kdfIterations <= 0) {
+        throw new RangeError("kdfIterations debe ser un entero positivo");
+    }
+    if (metadata !== undefined && (metadata === null || typeof metadata !== 'object')) {
+        throw new TypeError("metadata debe ser un objeto");
+    }
+    if (typeof onProgress !== 'function') {
+        throw new TypeError("onProgress debe ser una función");
+    }
+    if (typeof checkpoint !== 'function') {
+        throw new TypeError("checkpoint debe ser una función");
+    }
+    if (typeof sha256 !== 'boolean') {
+        throw new TypeError("sha256 debe ser true o false");
+    }
+    if (recovery !== 0 && (!Number.isInteger(recovery) || recovery < 1 || recovery > MAX_RECOVERY_PERCENT)) {
+        throw new RangeError(`recovery debe ser un entero entre 1 y ${MAX_RECOVERY_PERCENT}, o 0`);
+    }
+    return { ...levelOptions(level, { blockSize, lz77, entropy, rangeOrder, tryAll }), password, kdfIterations, metadata, sha256, recovery, onProgress, checkpoint };
+}
+
+async function encryptIfNeeded(compressed, { password, kdfIterations, onProgress }) {
+    if (!password) return compressed;
+
+    onProgress(0.98, 'Cifrando');
+    const encrypted = await encryptContainer(compressed, password, { iterations: kdfIterations });
+    onProgress(1.0, 'Finalizado');
+    return encrypted;
+}
+
+// Después de cifrar: la paridad cubre el archivo tal como se transfiere
+async function protectIfNeeded(compressed, { recovery, onProgress }) {
+    if (!recovery) return compressed;
+
+    onProgress(0.99, 'Agregando datos de recuperación');
+    const protectedData = await protectContainer(compressed, { percent: recovery });
+    onProgress(1.0, 'Finalizado');
+    return protectedData;
+}
+
+// =============================================
+// Compresión
+// =============================================
+
+// onProgress(progreso de 0 a 1, etapa)
+export async function compress(input, options) {
+    const coreOptions = normalizeOptions(options);
+    if (!coreOptions.metadata && typeof File !== 'undefined' && input instanceof File) {
+        coreOptions.metadata = getFileMetadata(input);
+    }
+    const data = await toBytes(input);
+    if (coreOptions.sha256) {
+        coreOptions.digests = await digestRanges(data, planBlocks(data, coreOptions.blockSize).ranges);
+        coreOptions.fileDigest = await sha256Digest(data);
+    }
+    const compressed = await encryptIfNeeded(await compressData(data, coreOptions), coreOptions);
+    return protectIfNeeded(compressed, coreOptions);
+}
+
+// Varios archivos en un único .hs6d con directorio. Cada elemento es un
+// File o un objeto { name, data }
+export async function compressFiles(files, options) {
+    const coreOptions = normalizeOptions(options);
+    const entries = await Promise.all(files.map(async (file) => ({
+        name: file.name,
+        data: await toBytes(file.data ?? file)
+    })));
+
+    if (entries.some(entry => typeof entry.name !== 'string' || entry.name === '')) {
+        throw new TypeError("Cada archivo necesita un nombre");
+    }
+    if (coreOptions.sha256) {
+        const hash = createSha256();
+        coreOptions.digests = [];
+        for (const entry of entries) {
+            coreOptions.digests.push(...await digestRanges(entry.data, planBlocks(entry.data, coreOptions.blockSize).ranges));
+            hash.update(entry.data);
+        }
+        coreOptions.fileDigest = hash.digest();
+    }
+
+    const compressed = await encryptIfNeeded(await compressArchive(entries, coreOptions), coreOptions);
+    return protectIfNeeded(compressed, coreOptions);
+}
+
+// =============================================
+// Descompresión
+// =============================================
+
+// Valida el archivo y devuelve un manejador para descomprimirlo o,
+// si tiene varias entradas, extraerlas de a una. Si está cifrado hace
+// falta `password`: sin ella o con otra falla con PasswordError. Si tiene
+// datos de recuperación, antes se reparan los bytes dañados (`repaired`
+// dice cuántos)
+export async function open(input, options) {
+    const { password, onProgress } = normalizeOptions(options);
+    let data = await toBytes(input);
+    let repaired = 0;
+    if (hasRecovery(data)) {
+        ({ data, repaired } = await repairContainer(data, {
+            onProgress: (progress, stage) => onProgress(0.02 * progress, stage)
+        }));
+    }
+    if (isEncrypted(data)) {
+        onProgress(0.02, 'Descifrando');
+        data = await decryptContainer(data, password);
+    }
+    const container = openContainer(data, { onProgress });
+    const digests = container.integrity ? container.integrity.digests : [];
+
+    // El CRC lo comprueba el núcleo; los SHA-256, si los hay, se comprueban
+    // aquí: el de todos los datos, solo al descomprimir un archivo de una
+    // entrada (en uno con varias cubre todas seguidas, ver verify())
+    async function decodeEntry(entry, entryOptions) {
+        const decoded = entry
+            ? await extractEntry(container, entry, entryOptions)
+            : await decodeContainer(container, entryOptions);
+
+        if (digests.length) {
+            const previous = container.entries ? container.entries.slice(0, entry.index) : [];
+            const first = previous.reduce((sum, other) => sum + blockSizes(container, other).length, 0);
+            await verifyDigests(decoded, blockSizes(container, entry), digests, first);
+        }
+        if (!entry && container.integrity && container.integrity.sha256) {
+            checkFileDigest(await sha256Digest(decoded), container.integrity.sha256);
+        }
+        return decoded;
+    }
+
+    return {
+        // Versión del formato: 4, o 3 en archivos anteriores
+        version: container.version,
+        originalSize: container.originalSize,
+        // Metadatos guardados al comprimir, o null
+        metadata: container.metadata,
+        // { checksum, algorithm, digests, sha256 } de los datos originales, o null
+        // en archivos V3
+        integrity: container.integrity,
+        // Filas del CSV según el índice de bloques, o null
+        rows: container.index ? container.index.rows : null,
+        // Bytes dañados corregidos con los datos de recuperación
+        repaired,
+        entries: container.entries && container.entries.map(({ index, name, originalSize, compressedSize }) => ({
+            index, name, originalSize, compressedSize
+        })),
+
+        async decompress(decodeOptions) {
+            return decodeEntry(null, normalizeOptions(decodeOptions));
+        },
+
+        // Bloques independientes (copias) para decodificarlos en paralelo con
+        // decompressBlock() de hs6d-core.js; null si el archivo no tiene bloques
+        blocks() {
+            return splitBlocks(container);
+        },
+
+        async extract(index, extractOptions) {
+            const entry = container.entries && container.entries[index];
+            if (!entry) {
+                throw new RangeError(`Entrada ${index} inexistente`);
+            }
+            return decodeEntry(entry, normalizeOptions(extractOptions));
+        },
+
+        // Bytes [start, end) de los datos originales decodificando solo los
+        // bloques que los cubren. Con { rows: true }, start y end son filas
+        // de un CSV (la 0 es el encabezado; header: true la antepone).
+        // Cada bloque se verifica con su CRC y, si lo hay, su SHA-256
+        async extractRange(start, end, { rows = false, header = false } = {}) {
+            const layout = blockMap(container);
+            if (!layout) {
+                throw new Error("El archivo no admite extracción parcial: no es un contenedor de bloques");
+            }
+
+            const { data } = await extractRange({ ...layout, originalSize: container.originalSize }, start, end, { rows, header }, async (i) => {
+                const block = layout.blocks[i];
+                const decoded = decompressBlock(block);
+                if (digests.length) await verifyDigests(decoded, [decoded.length], digests, i);
+                return decoded;
+            });
+            return data;
+        },
+
+        // Descomprime todo sin devolverlo y comprueba CRC y SHA-256 de los
+        // datos originales. Resuelve con { originalSize, checksum, sha256,
+        // stored, repaired } (hexadecimal; sha256, el de todos los datos, es
+        // null si el archivo no guarda SHA-256; stored es false en archivos
+        // V3, que no guardan el CRC de los datos originales) o falla con
+        // ChecksumError
+        async verify(verifyOptions) {
+            const { onProgress, checkpoint } = normalizeOptions(verifyOptions);
+            const entries = container.entries || [null];
+            const hash = digests.length ? createSha256() : null;
+            let checksum = 0;
+            let size = 0;
+
+            for (let i = 0; i < entries.length; i++) {
+                const entryProgress = (progress, stage) => onProgress((i + progress) / entries.length, stage);
+                const decoded = await decodeEntry(entries[i], { onProgress: entryProgress, checkpoint });
+                checksum = crc32Combine(checksum, crc32(decoded), decoded.length);
+                if (hash) hash.update(decoded);
+                size += decoded.length;
+            }
+
+            if (container.integrity && checksum !== container.integrity.checksum) {
+                throw new ChecksumError("Los datos descomprimidos no coinciden con el original (CRC)");
+            }
+
+            const digest = hash ? hash.digest() : null;
+            if (digest) checkFileDigest(digest, container.integrity.sha256);
+
+            onProgress(1.0, 'Verificación completada');
+            return {
+                originalSize: size,
+                checksum: checksumToHex(checksum),
+                sha256: digest && toHex(digest),
+                stored: container.integrity !== null,
+                repaired
+            };
+        }
+    };
+}
+
+export async function decompress(input, options) {
+    const handle = await open(input, options);
+    if (handle.entries) {
+        throw new Error("El archivo contiene varias entradas; use open() y extract()");
+    }
+    return handle.decompress(options);
+}
+
+// =============================================
+// Inspección
+// =============================================
+
+// Lee la cabecera y las secciones del archivo sin decodificar los bloques
+// ni reparar nada. Resuelve con lo mismo que describeContainer() de
+// hs6d-core.js más { fileSize, checksum: { stored, computed, ok },
+// recovery, problem }: el CRC del contenido en hexadecimal, los datos de
+// recuperación (o null) y, si las secciones no se pudieron leer, el motivo
+// (entonces solo hay datos de la cabecera). Falla solo si la cabecera no es
+// de un .hs6d
+export async function inspect(input) {
+    const raw = await toBytes(input);
+    const trailer = readRecoveryTrailer(raw);
+    const data = trailer && trailer.protectedSize <= raw.length ? raw.subarray(0, trailer.protectedSize) : raw;
+    const header = readHeader(data);
+    const computed = crc32(data.subarray(header.headerSize));
+
+    let info;
+    let problem = null;
+    try {
+        info = describeContainer(data);
+    } catch (error) {
+        problem = error.message;
+        info = {
+            version: header.version,
+            originalSize: header.originalSize,
+            compressedSize: data.length,
+            flags: header.flags,
+            encrypted: isEncrypted(data),
+            metadata: null,
+            integrity: null,
+            index: null,
+            blocks: null,
+            entries: null
+        };
+    }
+
+    return {
+        ...info,
+        fileSize: raw.length,
+        checksum: {
+            stored: checksumToHex(header.checksum),
+            computed: checksumToHex(computed),
+            ok: computed === header.checksum
+        },
+        recovery: trailer ? describeRecovery(trailer) : null,
+        problem
+    };
+}
@@ -0,0 +1,188 @@
+// =============================================
+// Huffman canónico de una tabla
+// =============================================
+// Una sola tabla para todo el flujo, con códigos de hasta 15 bits: solo
+// se guarda el largo de cada byte presente y los códigos se reconstruyen
+// en orden canónico al decodificar.
+//
+// Formato: tamaño(4, big-endian) + bytes usados(32, mapa de bits) +
+// largos(4 bits por byte usado) + bits de los símbolos
+
+const MAX_CODE_LENGTH = 15;
+
+// Largos de código de los símbolos con frecuencia; si alguno supera el
+// límite, se aplanan las frecuencias y se repite
+function makeCodeLengths(frequencies) {
+    const symbols = [];
+    for (let symbol = 0; symbol < frequencies.length; symbol++) {
+        if (frequencies[symbol] > 0) symbols.push(symbol);
+    }
+
+    const lengths = new Uint8Array(frequencies.length);
+    const n = symbols.length;
+    if (n === 1) {
+        lengths[symbols[0]] = 1;
+        return lengths;
+    }
+
+    let weights = symbols.map(symbol => frequencies[symbol]);
+    for (;;) {
+        const order = [...weights.keys()].sort((a, b) => weights[a] - weights[b] || a - b);
+        const weight = new Array(2 * n - 1);
+        const parent = new Int32Array(2 * n - 1);
+        order.forEach((index, i) => { weight[i] = weights[index]; });
+
+        // Dos colas: hojas ordenadas y nodos internos, que salen ya ordenados
+        let leaf = 0;
+        let inner = n;
+        let next = n;
+        const pick = () => (leaf < n && (inner >= next || weight[leaf] <= weight[inner]) ? leaf++ : inner++);
+        while (next < 2 * n - 1) {
+            const a = pick();
+            const b = pick();
+            weight[next] = weight[a] + weight[b];
+            parent[a] = next;
+            parent[b] = next;
+            next++;
+        }
+
+        const depth = new Uint8Array(2 * n - 1);
+        for (let node = 2 * n - 3; node >= 0; node--) {
+            depth[node] = depth[parent[node]] + 1;
+        }
+
+        let longest = 0;
+        order.forEach((index, i) => {
+            lengths[symbols[index]] = depth[i];
+            longest = Math.max(longest, depth[i]);
+        });
+        if (longest <= MAX_CODE_LENGTH) return lengths;
+
+        weights = weights.map(value => 1 + (value >> 1));
+    }
+}
+
+// Códigos canónicos: por largo y, a igual largo, por símbolo
+function makeCodes(lengths) {
+    const codes = new Uint16Array(lengths.length);
+    let code = 0;
+    for (let length = 1; length <= MAX_CODE_LENGTH; length++) {
+        for (let symbol = 0; symbol < lengths.length; symbol++) {
+            if (lengths[symbol] === length) codes[symbol] = code++;
+        }
+        code <<= 1;
+    }
+    return codes;
+}
+
+// =============================================
+// API del codificador
+// =============================================
+
+export function createHuffmanEncoder() {
+    return {
+        encode(data) {
+            // Peor caso: cabecera, 256 largos y 15 bits por byte
+            const output = new Uint8Array(4 + 32 + 128 + Math.ceil(data.length * MAX_CODE_LENGTH / 8));
+            new DataView(output.buffer).setUint32(0, data.length);
+            if (data.length === 0) return output.slice(0, 4);
+
+            const frequencies = new Uint32Array(256);
+            for (let i = 0; i < data.length; i++) frequencies[data[i]]++;
+            const lengths = makeCodeLengths(frequencies);
+            const codes = makeCodes(lengths);
+
+            const used = new Uint8Array(32);
+            for (let byte = 0; byte < 256; byte++) {
+                if (lengths[byte]) used[byte >> 3] |= 128 >> (byte & 7);
+            }
+            output.set(used, 4);
+
+            let size = 36;
+            let buffer = 0;
+            let count = 0;
+            const bits = (value, length) => {
+                buffer = (buffer << length) | value;
+                count += length;
+                while (count >= 8) {
+                    count -= 8;
+                    output[size++] = (buffer >>> count) & 255;
+                }
+                buffer &= (1 << count) - 1;
+            };
+
+            for (let byte = 0; byte < 256; byte++) {
+                if (lengths[byte]) bits(lengths[byte], 4);
+            }
+            for (let i = 0; i < data.length; i++) {
+                bits(codes[data[i]], lengths[data[i]]);
+            }
+            if (count > 0) output[size++] = (buffer << (8 - count)) & 255;
+
+            return output.slice(0, size);
+        },
+
+        decode(data) {
+            if (data.length < 4) {
+                throw new Error("Datos Huffman truncados");
+            }
+            const size = new DataView(data.buffer, data.byteOffset, 4).getUint32(0);
+            const output = new Uint8Array(size);
+            if (size === 0) return output;
+            if (data.length < 36) {
+                throw new Error("Datos Huffman truncados");
+            }
+
+            const used = data.subarray(4, 36);
+            const bits = data.subarray(36);
+            let offset = 0;
+            let bit = 0;
+            const readBit = () => {
+                if (offset >= bits.length) throw new Error("Datos Huffman truncados");
+                const value = (bits[offset] >> (7 - bit)) & 1;
+                if (++bit === 8) {
+                    bit = 0;
+                    offset++;
+                }
+                return value;
+            };
+
+            const lengths = new Uint8Array(256);
+            for (let byte = 0; byte < 256; byte++) {
+                if (!(used[byte >> 3] & (128 >> (byte & 7)))) continue;
+                for (let i = 0; i < 4; i++) lengths[byte] = (lengths[byte] << 1) | readBit();
+                if (lengths[byte] === 0) throw new Error("Largo de código Huffman inválido");
+            }
+
+            // Por largo: primer código, último código e inicio en la lista de símbolos
+            const first = new Int32Array(MAX_CODE_LENGTH + 1);
+            const limit = new Int32Array(MAX_CODE_LENGTH + 1).fill(-1);
+            const start = new Int32Array(MAX_CODE_LENGTH + 1);
+            const symbols = [];
+            let code = 0;
+            for (let length = 1; length <= MAX_CODE_LENGTH; length++) {
+                first[length] = code;
+                start[length] = symbols.length;
+                for (let byte = 0; byte < 256; byte++) {
+                    if (lengths[byte] === length) symbols.push(byte);
+                }
+                code += symbols.length - start[length];
+                limit[length] = code - 1;
+                code <<= 1;
+            }
+            if (symbols.length === 0) throw new Error("Cabecera Huffman inválida");
+
+            for (let i = 0; i < size; i++) {
+                let value = 0;
+                let length = 1;
+                for (;; length++) {
+                    if (length > MAX_CODE_LENGTH) throw new Error("Código Huffman inválido");
+                    value = (value << 1) | readBit();
+                    if (value <= limit[length] && value >= first[length]) break;
+                }
+                output[i] = symbols[start[length] + value - first[length]];
+            }
+            return output;
+        }
+    };
+}
@@ -2,49 +2,72 @@ import {
     formatSize, 
     getPerformanceProfile, 
     detectStructuredData, 
-    getOptimalChunkSize,
-    shouldCompressFile
+    getDefaultLevel,
+    shouldCompressFile,
+    getFileMetadata,
+    formatRatio
 } from './utils.js';
+import { createHS6DClient } from './hs6d-client.js';
+import { levelName } from './hs6d-core.js';
+import { LEGACY_VERSION, flagNames, blockCodec } from './hs6d-format.js';
+import { volumeName, isVolumeName, volumeSetName } from './hs6d-volumes.js';
+import { checksumToHex } from './hs6d-integrity.js';
+import { standardFormat } from './hs6d-interop.js';
+import { JOB_PENDING, JOB_RUNNING, JOB_DONE, JOB_FAILED, JOB_CANCELLED, createBatchQueue } from './hs6d-queue.js';
 
 console.log("HyperStorage6D V3 - Compresión Agroindustrial Iniciada");
 
 // Configuración basada en el dispositivo
-let COMPRESS_WORKER, DECOMPRESS_WORKER;
-let compressStartTime, decompressStartTime;
-let compressInterval, decompressInterval;
-let compressFileSize = 0;
-let currentFileName = '';
-let lastCompressedUrl = null;
-let lastDecompressedUrl = null;
+let hs6dClient = null;
+
+// Una cola por panel, con los trabajos de a uno: los workers ya reparten
+// los bloques de cada trabajo entre los núcleos. Cada trabajo guarda sus
+// archivos, opciones, resultado y URLs de descarga
+const queues = {
+    compress: createBatchQueue({ run: runCompressJob, onChange: compressJobChanged }),
+    decompress: createBatchQueue({ run: runDecompressJob, onChange: decompressJobChanged })
+};
+
+// Trabajo de descompresión cuyo resultado muestra el panel de detalles
+let shownJob = null;
 
 // Inicialización condicional de workers
 function initializeWorkers() {
     if (typeof Worker !== 'undefined') {
-        COMPRESS_WORKER = new Worker('./workers/compress-worker.js', { type: 'module' });
-        DECOMPRESS_WORKER = new Worker('./workers/decompress-worker.js', { type: 'module' });
-        
-        setupWorkerHandlers();
+        hs6dClient = createHS6DClient();
     } else {
         showError("Tu navegador no soporta Web Workers. La compresión no estará disponible.");
     }
 }
 
-// Configurar manejadores de workers
-function setupWorkerHandlers() {
-    COMPRESS_WORKER.onmessage = handleCompressMessage;
-    COMPRESS_WORKER.onerror = handleWorkerError('compress');
-    
-    DECOMPRESS_WORKER.onmessage = handleDecompressMessage;
-    DECOMPRESS_WORKER.onerror = handleWorkerError('decompress');
-}
-
 // Inicializar workers al cargar
 document.addEventListener('DOMContentLoaded', () => {
     initializeWorkers();
     
+    // Nivel según el dispositivo; el usuario puede cambiarlo
+    document.getElementById('compressLevel').value = getDefaultLevel();
+    
     // Configurar botones
     document.getElementById('compressBtn').addEventListener('click', startCompression);
+    document.getElementById('analyzeBtn').addEventListener('click', startAnalysis);
     document.getElementById('decompressBtn').addEventListener('click', startDecompression);
+    document.getElementById('verifyBtn').addEventListener('click', startVerification);
+    document.getElementById('inspectBtn').addEventListener('click', startInspection);
+    document.getElementById('extractRangeBtn').addEventListener('click', startRangeExtraction);
+    document.getElementById('extractAllBtn').addEventListener('click', extractAllEntries);
+    document.getElementById('downloadAllCompressed').addEventListener('click', () => downloadAll('compress'));
+    document.getElementById('downloadAllDecompressed').addEventListener('click', () => downloadAll('decompress'));
+    document.getElementById('cancelCompress').addEventListener('click', () => cancelAll('compress'));
+    document.getElementById('cancelDecompress').addEventListener('click', () => cancelAll('decompress'));
+    document.getElementById('decompressInput').addEventListener('change', hideDecompressPassword);
+    
+    // Arrastrar y soltar varios archivos
+    setupDropZone('compressPanel', queueDroppedCompression);
+    setupDropZone('decompressPanel', queueDroppedDecompression);
+    
+    // Sin conexión y como aplicación instalada
+    registerServiceWorker();
+    setupFileHandler();
     
     // Configurar para Paraguay
     setupParaguayFeatures();
@@ -69,357 +92,1154 @@ function setupParaguayFeatures() {
     }, 10000);
 }
 
+// =============================================
+// Aplicación instalable y sin conexión
+// =============================================
+
+// sw.js guarda la aplicación en la primera visita; una versión nueva queda
+// lista y se usa al volver a abrirla
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator)) return;
+    
+    navigator.serviceWorker.register('./sw.js').then((registration) => {
+        registration.addEventListener('updatefound', () => {
+            const worker = registration.installing;
+            worker.addEventListener('statechange', () => {
+                // Sin controlador es la primera instalación, no una actualización
+                if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                    showNotification("Nueva versión descargada: se usará la próxima vez que abras HyperStorage6D", 'info');
+                }
+            });
+        });
+    }).catch((error) => {
+        console.warn("No se pudo registrar el service worker:", error);
+    });
+    
+    window.addEventListener('offline', () => {
+        showNotification("Sin conexión: puedes seguir comprimiendo y descomprimiendo", 'info');
+    });
+}
+
+// La aplicación instalada abre archivos .hs6d desde el sistema: cada uno
+// entra a la cola de descompresión
+function setupFileHandler() {
+    if (!('launchQueue' in window)) return;
+    
+    window.launchQueue.setConsumer(async (launchParams) => {
+        if (!launchParams.files || launchParams.files.length === 0) return;
+        const files = await Promise.all(launchParams.files.map(handle => handle.getFile()));
+        queueDroppedDecompression(files);
+    });
+}
+
+// =============================================
+// Arrastrar y soltar
+// =============================================
+
+// Soltar archivos sobre un panel los agrega a su cola
+function setupDropZone(id, onFiles) {
+    const zone = document.getElementById(id);
+    
+    zone.addEventListener('dragover', (e) => {
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'copy';
+        zone.classList.add('drop-active');
+    });
+    zone.addEventListener('dragleave', (e) => {
+        if (!zone.contains(e.relatedTarget)) zone.classList.remove('drop-active');
+    });
+    zone.addEventListener('drop', (e) => {
+        e.preventDefault();
+        zone.classList.remove('drop-active');
+        const files = Array.from(e.dataTransfer.files);
+        if (files.length > 0) onFiles(files);
+    });
+}
+
+// Un archivo soltado fuera de los paneles no debe abrirse en la pestaña
+window.addEventListener('dragover', (e) => e.preventDefault());
+window.addEventListener('drop', (e) => e.preventDefault());
+
 // =============================================
 // Funciones de compresión
 // =============================================
 
-async function startCompression() {
+function startCompression() {
     const fileInput = document.getElementById('fileInput');
     if (!fileInput.files || fileInput.files.length === 0) {
         showError("Por favor, seleccione un archivo para comprimir.");
         return;
     }
     
-    const file = fileInput.files[0];
-    currentFileName = file.name;
-    const fileSize = file.size;
-    
-    // Verificar compatibilidad
-    if (!shouldCompressFile(currentFileName, fileSize)) {
-        const ext = currentFileName.split('.').pop();
-        const proceed = confirm(`⚠️ Los archivos ${ext} generalmente ya están comprimidos.\n¿Desea continuar de todos modos?`);
-        if (!proceed) return;
+    // Varios archivos seleccionados: se empaquetan en un único .hs6d con
+    // directorio o en un .zip; un .gz lleva un solo archivo
+    const files = Array.from(fileInput.files);
+    const options = getCompressOptions();
+    if (!confirmCompressible(files)) return;
+    if (options.format === 'gzip' && files.length > 1) {
+        queueDroppedCompression(files, true);
+        return;
     }
     
-    // Determinar perfil de rendimiento
-    const performanceProfile = getPerformanceProfile();
-    const maxSize = performanceProfile === 'low-end' ? 50 * 1024 * 1024 : 200 * 1024 * 1024;
+    const size = files.reduce((sum, file) => sum + file.size, 0);
+    // .gz y .zip se comprimen por partes desde los archivos
+    if (!checkSizeLimit(size, files.length === 1 || options.format !== 'hs6d')) return;
     
-    if (fileSize > maxSize) {
-        showError(`Archivo demasiado grande (${formatSize(fileSize)}). Límite: ${formatSize(maxSize)}`);
+    queues.compress.add({
+        name: files.length > 1 ? `${files.length}_archivos` : files[0].name,
+        files,
+        size,
+        // Varios archivos se comprimen de una vez en un worker: sin pausa
+        pausable: files.length === 1,
+        options
+    });
+}
+
+// Archivos soltados en el panel: un .hs6d (o .gz o .zip) por archivo, con
+// las opciones del panel en ese momento
+function queueDroppedCompression(files, confirmed = false) {
+    if (!confirmed && !confirmCompressible(files)) return;
+    
+    const options = getCompressOptions();
+    for (const file of files) {
+        if (!checkSizeLimit(file.size, true)) continue;
+        queues.compress.add({ name: file.name, files: [file], size: file.size, pausable: true, options });
+    }
+}
+
+// Modo de análisis: un trabajo por archivo seleccionado, que compara las
+// estrategias de codificación sin producir un .hs6d
+function startAnalysis() {
+    const fileInput = document.getElementById('fileInput');
+    if (!fileInput.files || fileInput.files.length === 0) {
+        showError("Por favor, seleccione un archivo para analizar.");
         return;
     }
     
-    // Reiniciar estado
-    resetProgress('compress');
-    
-    // Actualizar UI
-    document.getElementById('originalSize').textContent = formatSize(fileSize);
-    compressFileSize = fileSize;
-    
-    // Iniciar temporizador
-    compressStartTime = performance.now();
-    startProgressTracking('compress');
-    
-    // Mostrar detección de datos estructurados
-    const reader = new FileReader();
-    reader.onload = async (e) => {
-        try {
-            const buffer = e.target.result;
-            const data = new Uint8Array(buffer);
-            
-            // Detectar datos estructurados
-            const dataAnalysis = detectStructuredData(data);
-            if (dataAnalysis.csv || dataAnalysis.json || dataAnalysis.log) {
-                const type = dataAnalysis.csv ? 'CSV' : dataAnalysis.json ? 'JSON' : 'LOG';
-                showNotification(`✅ Detectado ${type} - Optimizando para datos agrícolas`, 'success');
-            }
-            
-            // Configurar chunk size dinámico
-            const chunkSize = getOptimalChunkSize(fileSize);
-            
-            // Enviar al worker
-            COMPRESS_WORKER.postMessage({
-                type: 'start',
-                fileName: currentFileName,
-                fileSize: fileSize,
-                chunkSize: chunkSize,
-                data: data
-            }, [data.buffer]);
-            
-        } catch (error) {
-            console.error("Error al procesar el archivo:", error);
-            showError(`Error: ${error.message}`);
-            stopProgressTracking('compress');
-        }
-    };
+    const { level, entropy } = getCompressOptions();
+    const whole = document.getElementById('analyzeWhole').checked;
+    for (const file of fileInput.files) {
+        queues.compress.add({
+            kind: 'analyze',
+            name: file.name,
+            files: [file],
+            size: file.size,
+            pausable: true,
+            options: { level, entropy, whole }
+        });
+    }
+}
+
+// Verificar compatibilidad
+function confirmCompressible(files) {
+    const nonCompressible = files.filter(file => !shouldCompressFile(file.name, file.size));
+    if (nonCompressible.length === 0) return true;
     
-    reader.onerror = (error) => {
-        console.error("Error en FileReader:", error);
-        showError("Error al leer el archivo");
-        stopProgressTracking('compress');
+    if (files.length === 1) {
+        const ext = files[0].name.split('.').pop();
+        return confirm(`⚠️ Los archivos ${ext} generalmente ya están comprimidos.\n¿Desea continuar de todos modos?`);
+    }
+    const names = nonCompressible.map(file => file.name).join(', ');
+    return confirm(`⚠️ Estos archivos generalmente ya están comprimidos: ${names}\n¿Desea continuar de todos modos?`);
+}
+
+// Opciones del panel al agregar el trabajo: cambiarlas después no afecta
+// a los trabajos ya en la cola. Un .gz o .zip solo usa el formato
+function getCompressOptions() {
+    return {
+        format: document.getElementById('compressFormat').value,
+        level: document.getElementById('compressLevel').value,
+        // Vacío = el codificador del nivel
+        entropy: document.getElementById('entropyCoder').value || undefined,
+        // Sin marcar = lo que diga el nivel
+        tryAll: document.getElementById('compressTryAll').checked || undefined,
+        password: getCompressPassword(),
+        comment: getCompressComment(),
+        sha256: getCompressSha256(),
+        recovery: getCompressRecovery(),
+        volumeSize: getVolumeSize()
     };
+}
+
+// Un archivo se lee por partes; varios se empaquetan en un único .hs6d
+// con directorio. Con tamaño de volumen, un resultado más grande se
+// entrega dividido. control: pausa y cancelación del trabajo.
+// Un trabajo de análisis solo compara estrategias (ver startAnalysis())
+async function runCompressJob({ kind, name, files, options }, onProgress, control) {
+    if (kind === 'analyze') {
+        return hs6dClient.analyzeFile(files[0], { ...options, control, onProgress });
+    }
+    if (options.format === 'gzip' || options.format === 'zip') {
+        return runStandardCompression(name, files, options.format, onProgress, control);
+    }
     
-    reader.readAsArrayBuffer(file);
+    const { level, entropy, tryAll, password, comment, sha256, recovery, volumeSize } = options;
+    let result;
+    
+    if (files.length > 1) {
+        const buffers = await Promise.all(files.map(readFileData));
+        result = await hs6dClient.compressFiles(
+            files.map((file, i) => ({ name: file.name, data: buffers[i] })),
+            {
+                fileName: name,
+                level,
+                entropy,
+                tryAll,
+                password,
+                metadata: comment ? { comment } : undefined,
+                sha256,
+                recovery,
+                control,
+                onProgress
+            }
+        );
+    } else {
+        const [file] = files;
+        await notifyStructuredData(file);
+        
+        result = await hs6dClient.compressFile(file, {
+            fileName: name,
+            level,
+            entropy,
+            tryAll,
+            password,
+            metadata: getFileMetadata(file, comment),
+            sha256,
+            recovery,
+            control,
+            onProgress
+        });
+    }
+    
+    await control.checkpoint();
+    const blob = result.blob || new Blob([result.compressed], { type: 'application/hs6d' });
+    const volumes = volumeSize && blob.size > volumeSize
+        ? await hs6dClient.splitVolumes(blob, { volumeSize, control })
+        : null;
+    return { blob, volumes, originalSize: result.originalSize, compressedSize: result.compressedSize };
+}
+
+// .gz o .zip con CompressionStream, para quien no tiene HyperStorage6D
+async function runStandardCompression(name, files, format, onProgress, control) {
+    const result = format === 'zip'
+        ? await hs6dClient.zipFiles(files, { fileName: name, control, onProgress })
+        : await hs6dClient.gzipFile(files[0], { fileName: name, control, onProgress });
+    return { blob: result.blob, volumes: null, originalSize: result.originalSize, compressedSize: result.compressedSize };
+}
+
+// Detectar datos estructurados (basta con el comienzo del archivo)
+async function notifyStructuredData(file) {
+    const sample = new Uint8Array(await file.slice(0, 10000).arrayBuffer());
+    const dataAnalysis = detectStructuredData(sample);
+    if (dataAnalysis.csv || dataAnalysis.json || dataAnalysis.log) {
+        const type = dataAnalysis.csv ? 'CSV' : dataAnalysis.json ? 'JSON' : 'LOG';
+        showNotification(`✅ ${file.name}: detectado ${type} - Optimizando para datos agrícolas`, 'success');
+    }
+}
+
+// Vacía = sin cifrar
+function getCompressPassword() {
+    return document.getElementById('compressPassword').value || undefined;
+}
+
+function getCompressComment() {
+    return document.getElementById('compressComment').value.trim();
+}
+
+function getCompressSha256() {
+    return document.getElementById('compressSha256').checked;
+}
+
+// Porcentaje de paridad agregada al final; 0 = sin datos de recuperación
+function getCompressRecovery() {
+    return Number(document.getElementById('compressRecovery').value);
+}
+
+// Bytes por volumen; 0 = sin dividir
+function getVolumeSize() {
+    const megabytes = Number(document.getElementById('compressVolumeSize').value);
+    return megabytes > 0 ? Math.floor(megabytes * 1024 * 1024) : 0;
+}
+
+function readFileData(file) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = (e) => resolve(new Uint8Array(e.target.result));
+        reader.onerror = () => reject(reader.error);
+        reader.readAsArrayBuffer(file);
+    });
+}
+
+// Leyendo por partes la memoria no crece con el archivo; la cabecera guarda
+// tamaños de 64 bits, que en JavaScript llegan hasta 2^53 - 1
+const MAX_STREAMED_SIZE = Number.MAX_SAFE_INTEGER;
+
+function checkSizeLimit(fileSize, streamed = false) {
+    // Determinar perfil de rendimiento
+    // Con buffers completos (varios archivos) el límite cubre la entrada y la salida
+    const performanceProfile = getPerformanceProfile();
+    const bufferedLimit = performanceProfile === 'low-end' ? 512 * 1024 * 1024 : 1024 * 1024 * 1024;
+    const maxSize = streamed ? MAX_STREAMED_SIZE : bufferedLimit;
+    
+    if (fileSize > maxSize) {
+        showError(`Archivo demasiado grande (${formatSize(fileSize)}). Límite: ${formatSize(maxSize)}`);
+        return false;
+    }
+    return true;
 }
 
 // =============================================
 // Funciones de descompresión
 // =============================================
 
-function startDecompression() {
+// Acción de cada trabajo de descompresión, para la lista
+const DECOMPRESS_ACTIONS = {
+    decompress: 'Descomprimir',
+    verify: 'Verificar',
+    inspect: 'Inspeccionar',
+    range: 'Extraer rango'
+};
+
+// Un .hs6d o los volúmenes de uno, o un .gz o .zip, como trabajo:
+// { name, files, size, format }, o null (con el error ya mostrado) si no
+// son válidos
+function decompressJobFields(files) {
+    const volumes = files.length > 1 || isVolumeName(files[0].name);
+    const name = volumes ? volumeSetName(files[0].name) : files[0].name;
+    
+    // Verificar extensión
+    if (volumes && !files.every(file => isVolumeName(file.name))) {
+        showError("Para varios archivos, seleccione los volúmenes de un mismo .hs6d (.001, .002…)");
+        return null;
+    }
+    const format = volumes ? null : standardFormat(name);
+    if (!format && !name.toLowerCase().endsWith('.hs6d')) {
+        showError(`${name}: el archivo debe tener extensión .hs6d, .gz o .zip`);
+        return null;
+    }
+    
+    return { name, files, size: files.reduce((sum, file) => sum + file.size, 0), format: format || 'hs6d' };
+}
+
+// Agrega a la cola lo elegido en el panel; extra: opciones de la acción
+function queueDecompression(kind, extra = {}) {
     const fileInput = document.getElementById('decompressInput');
     if (!fileInput.files || fileInput.files.length === 0) {
         showError("Por favor, seleccione un archivo .hs6d para descomprimir.");
         return;
     }
     
-    const file = fileInput.files[0];
-    currentFileName = file.name;
-    
-    // Verificar extensión
-    if (!currentFileName.toLowerCase().endsWith('.hs6d')) {
-        showError("El archivo debe tener extensión .hs6d");
+    const fields = decompressJobFields(Array.from(fileInput.files));
+    if (!fields) return;
+    if (fields.format !== 'hs6d' && kind !== 'decompress') {
+        showError(`${fields.name}: un .gz o .zip solo se puede descomprimir`);
         return;
     }
+    queues.decompress.add({ ...fields, kind, pausable: kind !== 'inspect', options: { password: getDecompressPassword(), ...extra } });
+}
+
+// Archivos soltados en el panel o abiertos desde el sistema: cada .hs6d es
+// un trabajo, y los volúmenes de un mismo archivo, uno solo
+function queueDroppedDecompression(files) {
+    const groups = new Map();
+    for (const file of files) {
+        const name = volumeSetName(file.name);
+        if (!groups.has(name)) groups.set(name, []);
+        groups.get(name).push(file);
+    }
     
-    // Reiniciar estado
-    resetProgress('decompress');
-    
-    // Actualizar UI
-    const fileSize = file.size;
-    document.getElementById('inputCompressedSize').textContent = formatSize(fileSize);
-    
-    // Iniciar temporizador
-    decompressStartTime = performance.now();
-    startProgressTracking('decompress');
-    
-    const reader = new FileReader();
-    reader.onload = (e) => {
-        try {
-            const buffer = e.target.result;
-            const data = new Uint8Array(buffer);
-            
-            // Enviar al worker
-            DECOMPRESS_WORKER.postMessage({
-                type: 'start',
-                fileName: currentFileName,
-                fileSize: fileSize,
-                data: data
-            }, [data.buffer]);
-            
-        } catch (error) {
-            console.error("Error al procesar el archivo:", error);
-            showError(`Error: ${error.message}`);
-            stopProgressTracking('decompress');
-        }
+    const password = getDecompressPassword();
+    for (const group of groups.values()) {
+        const fields = decompressJobFields(group);
+        if (fields) queues.decompress.add({ ...fields, kind: 'decompress', pausable: true, options: { password } });
+    }
+}
+
+// Un único .hs6d tal cual; los volúmenes, unidos en los workers
+function joinSelection(files, onProgress, control) {
+    if (files.length === 1 && !isVolumeName(files[0].name)) return files[0];
+    return hs6dClient.joinVolumes(files, { control, onProgress });
+}
+
+function getDecompressPassword() {
+    return document.getElementById('decompressPassword').value || undefined;
+}
+
+function startDecompression() {
+    queueDecompression('decompress');
+}
+
+// Descomprime todo en los workers sin generar descarga: cualquier diferencia
+// con el CRC o el SHA-256 guardados termina en error
+function startVerification() {
+    queueDecompression('verify');
+}
+
+// Solo lee cabecera, secciones y cabeceras de bloque: no decodifica ni
+// repara, así que sirve para ver un archivo dañado o cifrado
+function startInspection() {
+    queueDecompression('inspect');
+}
+
+// Rango del panel: { start, end, rows, header }, o null si no es válido.
+// Sin "hasta", hasta el final
+function getExtractRange() {
+    const startValue = document.getElementById('rangeStart').value;
+    const endValue = document.getElementById('rangeEnd').value;
+    const start = startValue === '' ? 0 : Number(startValue);
+    const end = endValue === '' ? Number.MAX_SAFE_INTEGER : Number(endValue);
+    if (!Number.isSafeInteger(start) || !Number.isSafeInteger(end) || start < 0 || end < start) {
+        return null;
+    }
+    return {
+        start,
+        end,
+        rows: document.getElementById('rangeUnit').value === 'rows',
+        header: document.getElementById('rangeHeader').checked
     };
+}
+
+// Solo los bloques que cubren el rango se decodifican
+function startRangeExtraction() {
+    const range = getExtractRange();
+    if (!range) {
+        showError("Indique un rango válido: números enteros desde 0, con \"desde\" menor o igual que \"hasta\"");
+        return;
+    }
+    queueDecompression('range', { range });
+}
+
+async function runDecompressJob({ kind, name, files, format, options }, onProgress, control) {
+    if (format === 'gzip') {
+        return hs6dClient.gunzipFile(files[0], { fileName: name, control, onProgress });
+    }
+    if (format === 'zip') {
+        return hs6dClient.unzipFile(files[0], { fileName: name, control, onProgress });
+    }
     
-    reader.onerror = (error) => {
-        console.error("Error en FileReader:", error);
-        showError("Error al leer el archivo comprimido");
-        stopProgressTracking('decompress');
-    };
+    const file = await joinSelection(files, onProgress, control);
+    const { password, range } = options;
     
-    reader.readAsArrayBuffer(file);
+    switch (kind) {
+        case 'verify':
+            return hs6dClient.verifyFile(file, { fileName: name, password, control, onProgress });
+        case 'inspect':
+            return hs6dClient.inspectFile(file, { fileName: name, control, onProgress });
+        case 'range':
+            return hs6dClient.extractRange(file, { ...range, fileName: name, password, control, onProgress });
+        default:
+            // Descomprimir por partes en los workers
+            return hs6dClient.decompressFile(file, { fileName: name, password, control, onProgress });
+    }
+}
+
+// Un archivo cifrado pide la contraseña; el resto son errores
+function handleDecompressError(job) {
+    if (job.error.name === 'PasswordError') {
+        askDecompressPassword(job.error);
+    } else {
+        handleJobError('decompress', job);
+    }
+}
+
+// Bytes corregidos con los datos de recuperación del archivo
+function notifyRepaired(repaired) {
+    if (repaired > 0) {
+        showNotification(`🛠️ Se repararon ${repaired} bytes dañados en la transferencia`, 'warning');
+    }
+}
+
+// Archivo cifrado: se muestra el campo de contraseña y el usuario reintenta
+// el trabajo o vuelve a pulsar Descomprimir o Verificar
+function askDecompressPassword(error) {
+    const field = document.getElementById('decompressPassword');
+    document.getElementById('decompressPasswordRow').style.display = 'flex';
+    field.value = '';
+    field.focus();
+
+    if (error.required) {
+        showNotification("🔒 Archivo cifrado: escribe la contraseña y vuelve a intentarlo", 'warning');
+    } else {
+        showError("Contraseña incorrecta o archivo alterado. Inténtalo de nuevo");
+    }
+}
+
+function hideDecompressPassword() {
+    document.getElementById('decompressPasswordRow').style.display = 'none';
+    document.getElementById('decompressPassword').value = '';
 }
 
 // =============================================
-// Manejadores de mensajes de workers
+// Lista de trabajos
 // =============================================
 
-function handleCompressMessage(e) {
-    if (e.data.error) {
-        console.error("Error en compresión:", e.data.error);
-        showError(`Error en compresión: ${e.data.error}`);
-        stopProgressTracking('compress');
-        return;
+const JOB_STATE_LABELS = {
+    [JOB_PENDING]: 'En espera',
+    [JOB_RUNNING]: 'En curso',
+    [JOB_DONE]: 'Listo',
+    [JOB_FAILED]: 'Error',
+    [JOB_CANCELLED]: 'Cancelado'
+};
+
+// Acción de los trabajos de compresión que no comprimen, para la lista
+const COMPRESS_ACTIONS = {
+    analyze: 'Analizar'
+};
+
+function compressJobChanged(job) {
+    if (job.state === JOB_DONE) {
+        if (job.kind === 'analyze') showAnalysis(job);
+        else notifyCompressed(job);
+    }
+    if (job.state === JOB_FAILED) handleJobError('compress', job);
+    if (job.state === JOB_CANCELLED) notifyCancelled(job);
+    renderJob('compress', job);
+}
+
+function decompressJobChanged(job) {
+    if (job.state === JOB_DONE) showDecompressJob(job);
+    if (job.state === JOB_FAILED) handleDecompressError(job);
+    if (job.state === JOB_CANCELLED) notifyCancelled(job);
+    renderJob('decompress', job);
+}
+
+// Crea o actualiza el elemento del trabajo; las acciones se rehacen solo
+// al cambiar de estado
+function renderJob(type, job) {
+    const list = document.getElementById(`${type}Jobs`);
+    let item = list.querySelector(`[data-job="${job.id}"]`);
+    if (!item) {
+        item = createJobItem(job);
+        list.appendChild(item);
     }
     
-    // Procesar eventos de progreso
-    if (e.data.type === 'progress') {
-        updateProgress('compress', e.data.progress);
-        return;
+    const state = job.paused ? 'En pausa' : JOB_STATE_LABELS[job.state];
+    const labels = type === 'compress' ? COMPRESS_ACTIONS : DECOMPRESS_ACTIONS;
+    const action = job.kind ? `${labels[job.kind]} · ` : '';
+    const stage = job.state === JOB_RUNNING ? ` ${Math.round(job.progress * 100)}%${job.stage ? ` · ${job.stage}` : ''}` : '';
+    item.querySelector('.job-state').textContent = action + state + stage;
+    item.querySelector('.progress-bar').style.width = `${job.progress * 100}%`;
+    
+    const view = job.paused ? 'paused' : job.state;
+    if (item.dataset.state !== view) {
+        item.dataset.state = view;
+        item.className = `job-item job-${view}`;
+        item.querySelector('.job-details').textContent = jobDetails(job);
+        renderJobActions(type, job, item.querySelector('.job-actions'));
     }
+    updateQueueStats(type);
+}
 
-    if (e.data.type === 'complete') {
-        console.log("Compresión completada");
-        const { compressed, originalSize, compressedSize } = e.data;
-        
-        // Crear blob
-        const blob = new Blob([compressed], { type: 'application/hs6d' });
-        
-        // Liberar URL anterior
-        if (lastCompressedUrl) URL.revokeObjectURL(lastCompressedUrl);
-        const url = URL.createObjectURL(blob);
-        lastCompressedUrl = url;
-        
-        // Detener seguimiento
-        stopProgressTracking('compress');
-        
-        // Actualizar estadísticas
-        document.getElementById('compressedSize').textContent = formatSize(compressedSize);
-        const ratio = originalSize / compressedSize;
-        document.getElementById('compressionRatio').textContent = ratio.toFixed(2) + ":1";
-        
-        // Mostrar mensaje según el ratio
-        let message = `Archivo comprimido ${ratio.toFixed(1)}x`;
-        if (ratio > 3.5) {
-            message += " - ¡Excelente para datos agrícolas!";
-            showNotification(message, 'success');
-        } else if (ratio > 2) {
-            message += " - Buen resultado para tu operación";
-            showNotification(message, 'info');
-        } else {
-            message += " - Considera usar formatos estructurados (CSV) para mejor compresión";
-            showNotification(message, 'warning');
+function createJobItem(job) {
+    const item = document.createElement('li');
+    item.dataset.job = job.id;
+    
+    const header = document.createElement('div');
+    header.className = 'job-header';
+    const name = document.createElement('span');
+    name.className = 'job-name';
+    name.textContent = job.name;
+    const state = document.createElement('span');
+    state.className = 'job-state';
+    header.append(name, state);
+    
+    const progress = document.createElement('div');
+    progress.className = 'progress-container job-progress';
+    const bar = document.createElement('div');
+    bar.className = 'progress-bar';
+    progress.appendChild(bar);
+    
+    const details = document.createElement('div');
+    details.className = 'job-details';
+    const actions = document.createElement('div');
+    actions.className = 'job-actions';
+    
+    item.append(header, progress, details, actions);
+    return item;
+}
+
+function jobDetails(job) {
+    if (job.state === JOB_FAILED) return job.error.message;
+    if (job.state === JOB_CANCELLED) return 'Cancelado por el usuario';
+    if (job.state !== JOB_DONE) return formatSize(job.size);
+    
+    const { result } = job;
+    const time = `${((job.endTime - job.startTime) / 1000).toFixed(2)}s`;
+    if (!job.kind) {
+        const ratio = formatRatio(result.originalSize / Math.max(1, result.compressedSize));
+        const volumes = result.volumes ? ` · ${result.volumes.length} volúmenes` : '';
+        return `${formatSize(result.originalSize)} → ${formatSize(result.compressedSize)} · ${ratio} · ${time}${volumes}`;
+    }
+    
+    switch (job.kind) {
+        case 'analyze': {
+            const best = bestStrategy(result);
+            return `${best.codec} · ${formatRatio(result.originalSize / Math.max(1, best.size))} · ${time}`;
         }
-        
-        // Configurar descarga
-        const link = document.getElementById('downloadCompressed');
-        link.href = url;
-        link.download = `${currentFileName.replace(/\.[^/.]+$/, "")}_comprimido.hs6d`;
-        link.style.display = 'inline-block';
+        case 'verify':
+            return `${result.stored ? 'Íntegro' : 'Sin checksum guardado'} · ${formatSize(result.originalSize)} · ${time}`;
+        case 'inspect':
+            return `V${result.version} · ${result.checksum.ok ? 'CRC correcto' : 'CRC incorrecto'}`;
+        case 'range':
+            return `${formatSize(result.blob.size)} · ${time}`;
+        default:
+            if (result.type === 'archive' || result.type === 'zip') return `${result.entries.length} entradas · ${time}`;
+            return `${formatSize(result.originalSize)} · ${time}`;
     }
 }
 
-function handleDecompressMessage(e) {
-    if (e.data.error) {
-        console.error("Error en descompresión:", e.data.error);
-        showError(`Error en descompresión: ${e.data.error}`);
-        stopProgressTracking('decompress');
-        return;
-    }
+// Descargas del trabajo terminado, pausa y cancelación del que está en
+// curso, reintento del fallido o cancelado y quitar de la lista
+function renderJobActions(type, job, actions) {
+    actions.innerHTML = '';
     
-    // Procesar eventos de progreso
-    if (e.data.type === 'progress') {
-        updateProgress('decompress', e.data.progress);
-        return;
+    if (job.state === JOB_DONE) {
+        job.links = jobDownloads(job).map(({ blob, name }) => ({ url: createJobUrl(job, blob), name }));
+        for (const { url, name } of job.links) {
+            const link = document.createElement('a');
+            link.className = 'download-link';
+            link.href = url;
+            link.download = name;
+            link.innerHTML = '<i class="fas fa-download"></i> ';
+            link.append(name);
+            actions.appendChild(link);
+        }
     }
     
-    if (e.data.type === 'complete') {
-        console.log("Descompresión completada");
-        const { decompressed, originalSize } = e.data;
-        
-        // Crear blob
-        const blob = new Blob([decompressed]);
-        
-        // Liberar URL anterior
-        if (lastDecompressedUrl) URL.revokeObjectURL(lastDecompressedUrl);
-        const url = URL.createObjectURL(blob);
-        lastDecompressedUrl = url;
-        
-        // Detener seguimiento
-        stopProgressTracking('decompress');
-        
-        // Actualizar estadísticas
-        document.getElementById('decompressedSize').textContent = formatSize(originalSize);
-        
-        // Configurar descarga
-        const link = document.getElementById('downloadDecompressed');
-        link.href = url;
-        link.download = currentFileName.replace('.hs6d', '') || `archivo_original_${Date.now()}`;
-        link.style.display = 'inline-block';
+    if (job.state === JOB_RUNNING) {
+        if (job.pausable) {
+            const toggle = document.createElement('button');
+            toggle.innerHTML = job.paused
+                ? '<i class="fas fa-play"></i> Reanudar'
+                : '<i class="fas fa-pause"></i> Pausar';
+            toggle.addEventListener('click', () => {
+                if (job.paused) queues[type].resume(job);
+                else queues[type].pause(job);
+            });
+            actions.appendChild(toggle);
+        }
         
-        showNotification("Archivo descomprimido correctamente. Listo para usar en tu operación agrícola", 'success');
+        const cancel = document.createElement('button');
+        cancel.innerHTML = '<i class="fas fa-stop"></i> Cancelar';
+        cancel.addEventListener('click', () => queues[type].cancel(job));
+        actions.appendChild(cancel);
+    }
+    
+    if (job.state === JOB_FAILED || job.state === JOB_CANCELLED) {
+        const retry = document.createElement('button');
+        retry.innerHTML = '<i class="fas fa-redo"></i> Reintentar';
+        retry.addEventListener('click', () => retryJob(type, job));
+        actions.appendChild(retry);
+    }
+    
+    if (job.state !== JOB_RUNNING) {
+        const remove = document.createElement('button');
+        remove.innerHTML = '<i class="fas fa-times"></i> Quitar';
+        remove.addEventListener('click', () => removeJob(type, job));
+        actions.appendChild(remove);
     }
 }
 
-function handleWorkerError(type) {
-    return (e) => {
-        console.error(`Error en ${type} worker:`, e.message);
-        showError(`Error en ${type === 'compress' ? 'compresión' : 'descompresión'}: ${e.message}`);
-        stopProgressTracking(type);
-    };
+// Extensión del resultado de compresión según el formato elegido
+const OUTPUT_EXTENSIONS = {
+    hs6d: '.hs6d',
+    gzip: '.gz',
+    zip: '.zip'
+};
+
+// [{ blob, name }] de un trabajo terminado. Los volúmenes se llaman
+// nombre.hs6d.001, .002…; un rango lleva el rango en el nombre. Las
+// entradas de un .zip se descargan sin carpetas: "datos/a.csv" como
+// "datos_a.csv"
+function jobDownloads({ kind, name, result, options }) {
+    if (!kind) {
+        const fileName = name + OUTPUT_EXTENSIONS[options.format];
+        return result.volumes
+            ? result.volumes.map((volume, i) => ({ blob: volume, name: volumeName(fileName, i) }))
+            : [{ blob: result.blob, name: fileName }];
+    }
+    if (kind === 'range') {
+        return [{ blob: result.blob, name: rangeFileName(originalName(result.metadata, name), result, options.range) }];
+    }
+    if (kind === 'decompress' && result.type === 'zip') {
+        return result.entries.map(entry => ({ blob: entry.blob, name: entry.name.replace(/\//g, '_') }));
+    }
+    if (kind === 'decompress' && result.type !== 'archive') {
+        return [{ blob: result.blob || new Blob([result.decompressed]), name: originalName(result.metadata, name) }];
+    }
+    return [];
+}
+
+// Las URLs quedan en el trabajo y se liberan al quitarlo o reintentarlo
+function createJobUrl(job, blob) {
+    const url = URL.createObjectURL(blob);
+    job.urls = job.urls || [];
+    job.urls.push(url);
+    return url;
+}
+
+function revokeJobUrls(job) {
+    (job.urls || []).forEach(url => URL.revokeObjectURL(url));
+    job.urls = [];
+    job.links = [];
+}
+
+// Un archivo con varias entradas queda abierto en el worker para extraer;
+// se cierra al quitar o reintentar su trabajo
+function closeJobArchive(job) {
+    if (!job.result || job.result.type !== 'archive') return;
+    hs6dClient.closeArchive(job.result.archive).catch(error => console.warn("No se pudo cerrar el archivo:", error));
+}
+
+function retryJob(type, job) {
+    revokeJobUrls(job);
+    closeJobArchive(job);
+    // Un archivo cifrado se reintenta con la contraseña escrita después
+    if (job.error && job.error.name === 'PasswordError') {
+        job.options = { ...job.options, password: getDecompressPassword() };
+    }
+    queues[type].retry(job);
+}
+
+function removeJob(type, job) {
+    if (!queues[type].remove(job)) return;
+    revokeJobUrls(job);
+    closeJobArchive(job);
+    document.querySelector(`#${type}Jobs [data-job="${job.id}"]`).remove();
+    if (job === shownJob) clearDecompressDetails();
+    updateQueueStats(type);
+}
+
+// Cancela el trabajo en curso del panel y los que esperan
+function cancelAll(type) {
+    for (const job of queues[type].jobs) queues[type].cancel(job);
+}
+
+function notifyCancelled(job) {
+    showNotification(`${job.name}: cancelado`, 'info');
+}
+
+// Descarga los resultados de todos los trabajos terminados del panel
+function downloadAll(type) {
+    for (const job of queues[type].jobs) {
+        if (job.state !== JOB_DONE) continue;
+        for (const { url, name } of job.links) triggerDownload(url, name);
+    }
+}
+
+// Tamaño producido por un trabajo de descompresión (0 si solo inspecciona)
+function outputSize({ kind, result }) {
+    if (kind === 'inspect') return 0;
+    if (kind === 'range') return result.blob.size;
+    return result.originalSize;
+}
+
+// Barra y estadísticas del panel con el total de su cola
+function updateQueueStats(type) {
+    const queue = queues[type];
+    const jobs = queue.jobs;
+    const done = jobs.filter(job => job.state === JOB_DONE);
+    const seconds = done.reduce((sum, job) => sum + (job.endTime - job.startTime) / 1000, 0);
+    const totalSize = jobs.reduce((sum, job) => sum + job.size, 0);
+    
+    updateProgress(type, queue.progress() * 100);
+    document.getElementById(`${type}Time`).textContent = done.length ? `${seconds.toFixed(2)}s` : '-';
+    document.getElementById(type === 'compress' ? 'downloadAllCompressed' : 'downloadAllDecompressed').style.display =
+        done.some(job => job.links && job.links.length) ? 'flex' : 'none';
+    document.getElementById(type === 'compress' ? 'cancelCompress' : 'cancelDecompress').style.display =
+        jobs.some(job => job.state === JOB_PENDING || job.state === JOB_RUNNING) ? 'flex' : 'none';
+    
+    if (type === 'compress') {
+        // Los análisis no producen archivos
+        const compressions = done.filter(job => !job.kind);
+        const original = compressions.reduce((sum, job) => sum + job.result.originalSize, 0);
+        const compressed = compressions.reduce((sum, job) => sum + job.result.compressedSize, 0);
+        document.getElementById('originalSize').textContent = jobs.length ? formatSize(totalSize) : '-';
+        document.getElementById('compressedSize').textContent = compressions.length ? formatSize(compressed) : '-';
+        document.getElementById('compressionRatio').textContent = compressions.length ? formatRatio(original / Math.max(1, compressed)) : '-';
+    } else {
+        const output = done.reduce((sum, job) => sum + outputSize(job), 0);
+        document.getElementById('inputCompressedSize').textContent = jobs.length ? formatSize(totalSize) : '-';
+        document.getElementById('decompressedSize').textContent = done.length ? formatSize(output) : '-';
+        document.getElementById('decompressRate').textContent = output && seconds
+            ? `${(output / (1024 * 1024) / seconds).toFixed(2)} MB/s`
+            : '-';
+    }
 }
 
 // =============================================
-// Funciones de progreso
+// Resultados de los trabajos
 // =============================================
 
-function startProgressTracking(type) {
-    stopProgressTracking(type);
+function notifyCompressed({ name, result }) {
+    console.log("Compresión completada:", name);
+
+    // Mostrar mensaje según el ratio
+    const ratio = result.originalSize / result.compressedSize;
+    let message = `${name}: comprimido ${ratio.toFixed(1)}x`;
+    if (ratio > 3.5) {
+        message += " - ¡Excelente para datos agrícolas!";
+        showNotification(message, 'success');
+    } else if (ratio > 2) {
+        message += " - Buen resultado para tu operación";
+        showNotification(message, 'info');
+    } else {
+        message += " - Considera usar formatos estructurados (CSV) para mejor compresión";
+        showNotification(message, 'warning');
+    }
     
-    const prefix = type;
-    const startTime = performance.now();
+    if (result.volumes) {
+        showNotification(`${name}: dividido en ${result.volumes.length} volúmenes, envíe todos para poder descomprimir`, 'info');
+    }
+}
+
+// Lo mejor del análisis: la estrategia de referencia (deflate) si gana
+// a la suma de los ganadores por bloque, o esa suma
+function bestStrategy({ strategies, best }) {
+    const reference = strategies.find(item => item.strategy === 'deflate');
+    if (reference && reference.size < best) return reference;
+    return { codec: 'Mejor por bloque', size: best };
+}
+
+// Tabla de estrategias con sus totales y, debajo, el ganador de cada bloque
+// (el que guarda "Probar todas las estrategias")
+function showAnalysis({ name, result }) {
+    const { strategies, blocks, best, originalSize, sampled } = result;
+    const body = document.getElementById('strategyTableBody');
+    body.innerHTML = '';
+    const rows = [
+        // Deflate es solo referencia: no gana bloques porque no se puede guardar
+        ...strategies.map(item => [
+            item.reference ? `${item.codec} (referencia)` : item.codec,
+            item.size,
+            item.time,
+            item.reference ? null : item.wins
+        ]),
+        ['Mejor por bloque', best, null, null]
+    ];
+    const smallestSize = Math.min(...rows.map(([, size]) => size));
     
-    const interval = setInterval(() => {
-        const elapsed = (performance.now() - startTime) / 1000;
-        const percentage = parseFloat(document.getElementById(`${prefix}Percentage`).textContent) || 0;
-        
-        // Actualizar tiempo transcurrido
-        document.getElementById(`${prefix}Elapsed`).textContent = `${elapsed.toFixed(1)}s`;
-        
-        // Calcular tiempo restante y velocidad
-        if (percentage > 0 && compressFileSize > 0) {
-            const remaining = (100 - percentage) * (elapsed / percentage);
-            document.getElementById(`${prefix}Remaining`).textContent = `${remaining.toFixed(1)}s`;
-            
-            // Calcular velocidad (MB/s)
-            const processedSize = (compressFileSize * percentage) / 100;
-            const speed = (processedSize / (1024 * 1024)) / elapsed;
-            document.getElementById(`${prefix}Speed`).textContent = `${speed.toFixed(2)} MB/s`;
+    for (const [codec, size, time, wins] of rows) {
+        const row = document.createElement('tr');
+        if (size === smallestSize) row.className = 'strategy-best';
+        for (const value of [
+            codec,
+            formatSize(size),
+            formatRatio(originalSize / Math.max(1, size)),
+            time === null ? '-' : `${(time / 1000).toFixed(2)}s`,
+            wins === null ? '-' : wins
+        ]) {
+            const cell = document.createElement('td');
+            cell.textContent = value;
+            row.appendChild(cell);
         }
-    }, 100);
+        body.appendChild(row);
+    }
+    document.getElementById('strategyTable').style.display = 'table';
     
-    if (type === 'compress') {
-        compressInterval = interval;
+    const winners = document.getElementById('winnerTableBody');
+    winners.innerHTML = '';
+    for (const { index, originalSize: blockSize, winner } of blocks) {
+        const row = document.createElement('tr');
+        for (const value of [
+            index + 1,
+            winner.codec,
+            formatSize(blockSize),
+            formatSize(winner.size),
+            formatRatio(blockSize / Math.max(1, winner.size))
+        ]) {
+            const cell = document.createElement('td');
+            cell.textContent = value;
+            row.appendChild(cell);
+        }
+        winners.appendChild(row);
+    }
+    document.getElementById('winnerTable').style.display = blocks.length ? 'table' : 'none';
+    
+    const scope = sampled ? `muestra de ${blocks.length} bloques` : `${blocks.length} bloques`;
+    const reference = strategies.find(item => item.strategy === 'deflate');
+    if (reference && reference.size < best) {
+        showNotification(`${name} (${scope}): deflate comprime más que HS6D en este archivo`, 'warning');
     } else {
-        decompressInterval = interval;
+        showNotification(`${name} (${scope}): eligiendo por bloque se obtiene ${formatRatio(originalSize / Math.max(1, best))}`, 'success');
     }
 }
 
-function stopProgressTracking(type) {
-    const prefix = type;
-    const startTime = type === 'compress' ? compressStartTime : decompressStartTime;
+// El panel de detalles muestra el último trabajo de descompresión terminado
+function showDecompressJob(job) {
+    const { kind, result } = job;
+    clearDecompressDetails();
+    shownJob = job;
     
-    if (startTime) {
-        const elapsed = (performance.now() - startTime) / 1000;
-        document.getElementById(`${prefix}Time`).textContent = `${elapsed.toFixed(2)}s`;
+    if (kind === 'verify') {
+        showVerifyResult(result);
+    } else if (kind === 'inspect') {
+        showInspectResult(result);
+    } else if (kind === 'range') {
+        showRangeResult(result, job.options.range);
+    } else if (result.type === 'archive') {
+        showArchiveResult(result);
+    } else if (result.type === 'zip') {
+        showZipResult(result);
+    } else {
+        showDecompressResult(result);
     }
     
-    // Detener intervalo
-    if (type === 'compress' && compressInterval) {
-        clearInterval(compressInterval);
-        compressInterval = null;
-    } else if (decompressInterval) {
-        clearInterval(decompressInterval);
-        decompressInterval = null;
+    if (kind === 'decompress' && result.version === LEGACY_VERSION) {
+        showNotification("Archivo en formato anterior (V3), leído en modo compatible", 'info');
     }
+    notifyRepaired(result.repaired);
 }
 
-function updateProgress(type, progress) {
-    const prefix = type;
-    const percentage = Math.min(100, Math.max(0, progress));
+function clearDecompressDetails() {
+    shownJob = null;
+    document.getElementById('archivePanel').style.display = 'none';
+    document.getElementById('archiveEntries').innerHTML = '';
+    showMetadata(null);
+    showBlockTable([]);
+}
+
+function showDecompressResult({ metadata }) {
+    console.log("Descompresión completada");
+    showMetadata(metadata);
+    showNotification("Archivo descomprimido correctamente. Listo para usar en tu operación agrícola", 'success');
+}
+
+// Última fila o byte del rango, sin pasar del final del archivo
+function rangeLast({ rows, originalSize }, range) {
+    return Math.min(range.end, range.rows ? rows : originalSize);
+}
+
+// La descarga lleva el rango en el nombre: "reporte_filas_100-200.csv"
+function rangeFileName(name, result, range) {
+    const unit = range.rows ? 'filas' : 'bytes';
+    const dot = name.lastIndexOf('.');
+    const suffix = `_${unit}_${range.start}-${rangeLast(result, range)}`;
+    return dot > 0 ? name.slice(0, dot) + suffix + name.slice(dot) : name + suffix;
+}
+
+function showRangeResult(result, range) {
+    const { metadata, rows, originalSize } = result;
+    const last = rangeLast(result, range);
+    const unit = range.rows ? 'filas' : 'bytes';
+    const total = range.rows ? `${rows} filas` : formatSize(originalSize);
+    
+    showMetadata(metadata);
+    addPanelRows([['Rango', `${unit} ${range.start}–${last} de ${total}`]]);
     
-    // Actualizar barra y porcentaje
-    document.getElementById(`${prefix}Progress`).style.width = `${percentage}%`;
-    document.getElementById(`${prefix}Percentage`).textContent = `${Math.round(percentage)}%`;
+    showNotification(`Rango extraído (${unit} ${range.start}–${last}) sin descomprimir todo el archivo`, 'success');
+}
+
+// El nombre guardado o, en archivos sin metadatos, el del .hs6d o .gz sin
+// la extensión
+function originalName(metadata, fileName) {
+    return (metadata && metadata.name) || fileName.replace(/\.(hs6d|gz)$/i, '') || `archivo_original_${Date.now()}`;
 }
 
-function resetProgress(type) {
-    const prefix = type;
+// Las entradas de un .zip ya están extraídas: se descargan desde el trabajo
+function showZipResult({ entries }) {
+    showBlockTable(entries.map(entry => [entry.name, 'Entrada de .zip', entry.originalSize, entry.compressedSize]));
+    showNotification(`.zip con ${entries.length} archivos extraído. Descárgalos desde la lista de trabajos`, 'success');
+}
+
+function showArchiveResult({ entries, metadata }) {
+    showMetadata(metadata);
+    showArchiveEntries(entries);
+    showNotification(`Archivo con ${entries.length} entradas. Elige qué extraer`, 'info');
+}
+
+function showVerifyResult({ checksum, sha256, stored, metadata, version }) {
+    showMetadata(metadata);
+    addPanelRows([
+        ['CRC32', checksum],
+        ['SHA-256', sha256 || 'No guardado al comprimir']
+    ]);
     
-    // Resetear barras y valores
-    document.getElementById(`${prefix}Progress`).style.width = '0%';
-    document.getElementById(`${prefix}Percentage`).textContent = '0%';
-    document.getElementById(`${prefix}Elapsed`).textContent = '0s';
-    document.getElementById(`${prefix}Remaining`).textContent = 'Calculando...';
-    document.getElementById(`${prefix}Speed`).textContent = '0 MB/s';
+    if (stored) {
+        showNotification("✅ Archivo íntegro: coincide con el original", 'success');
+    } else {
+        const legacy = version === LEGACY_VERSION ? " (formato V3)" : "";
+        showNotification(`Archivo legible${legacy}, pero no guarda el checksum del original`, 'warning');
+    }
+}
+
+function showInspectResult(info) {
+    showMetadata(info.metadata);
     
-    // Resetear estadísticas
-    if (type === 'compress') {
-        document.getElementById('compressedSize').textContent = '-';
-        document.getElementById('compressionRatio').textContent = '-';
-        document.getElementById('downloadCompressed').style.display = 'none';
-        
-        // Liberar URL
-        if (lastCompressedUrl) {
-            URL.revokeObjectURL(lastCompressedUrl);
-            lastCompressedUrl = null;
-        }
+    const { checksum, integrity, index, recovery } = info;
+    addPanelRows([
+        ['Formato', `V${info.version}`],
+        ['Flags', flagNames(info.flags).join(', ')],
+        ['Tamaño original', formatSize(info.originalSize)],
+        ['Tamaño comprimido', formatSize(info.compressedSize)],
+        ['Ratio', formatRatio(info.originalSize / Math.max(1, info.compressedSize))],
+        ['CRC del contenido', checksum.ok
+            ? `${checksum.stored} (correcto)`
+            : `${checksum.computed}, se esperaba ${checksum.stored}`],
+        ['Integridad', integrity &&
+            `CRC32 ${checksumToHex(integrity.checksum)}${integrity.digests ? `, SHA-256 por bloques (${integrity.digests})` : ''}`],
+        ['SHA-256', integrity && integrity.sha256],
+        ['Índice', index && `${index.blocks} bloques${index.rows !== null ? `, ${index.rows} filas` : ''}`],
+        ['Recuperación', recovery && `${recovery.percent} % (${formatSize(recovery.recoverySize)})`],
+        ['Cifrado', info.encrypted && 'Bloques y entradas no visibles sin la contraseña'],
+        ['Problema', info.problem]
+    ]);
+    
+    // Los bloques del archivo o, si tiene varias entradas, una fila por entrada
+    const rows = info.blocks
+        ? info.blocks.map((block, i) => [i + 1, blockCodec(block.flags), block.originalSize, block.compressedSize])
+        : (info.entries || []).map(entry => [
+            entry.name,
+            entry.blocks ? [...new Set(entry.blocks.map(block => blockCodec(block.flags)))].join(', ') : '-',
+            entry.originalSize,
+            entry.compressedSize
+        ]);
+    showBlockTable(rows);
+    
+    if (!checksum.ok) {
+        const hint = recovery ? ": tiene datos de recuperación, descomprímalo para repararlo" : "";
+        showNotification(`⚠️ El contenido no coincide con el CRC de la cabecera${hint}`, 'warning');
     } else {
-        document.getElementById('decompressedSize').textContent = '-';
-        document.getElementById('downloadDecompressed').style.display = 'none';
-        
-        // Liberar URL
-        if (lastDecompressedUrl) {
-            URL.revokeObjectURL(lastDecompressedUrl);
-            lastDecompressedUrl = null;
+        showNotification("Archivo inspeccionado sin descomprimirlo", 'success');
+    }
+}
+
+// rows: [[#, códec, original, comprimido]]
+function showBlockTable(rows) {
+    const table = document.getElementById('blockTable');
+    const body = document.getElementById('blockTableBody');
+    body.innerHTML = '';
+    table.style.display = rows.length ? 'table' : 'none';
+    
+    for (const [label, codec, originalSize, compressedSize] of rows) {
+        const row = document.createElement('tr');
+        for (const value of [
+            label,
+            codec,
+            formatSize(originalSize),
+            formatSize(compressedSize),
+            formatRatio(originalSize / Math.max(1, compressedSize))
+        ]) {
+            const cell = document.createElement('td');
+            cell.textContent = value;
+            row.appendChild(cell);
         }
+        body.appendChild(row);
     }
 }
 
+// Datos del archivo original guardados al comprimir
+function showMetadata(metadata) {
+    const panel = document.getElementById('metadataPanel');
+    panel.innerHTML = '';
+    panel.style.display = 'none';
+    if (!metadata) return;
+    
+    addPanelRows([
+        ['Nombre', metadata.name],
+        ['Extensión', metadata.extension],
+        ['Tipo', metadata.mimeType],
+        ['Modificado', metadata.modified !== undefined ? new Date(metadata.modified).toLocaleString('es-PY') : undefined],
+        ['Comentario', metadata.comment],
+        ['Nivel', levelName(metadata.level)]
+    ]);
+}
+
+// Filas [etiqueta, valor] al final del panel; las vacías se omiten
+function addPanelRows(rows) {
+    const panel = document.getElementById('metadataPanel');
+    for (const [label, value] of rows) {
+        if (!value) continue;
+        const term = document.createElement('dt');
+        term.textContent = label;
+        const detail = document.createElement('dd');
+        detail.textContent = value;
+        panel.append(term, detail);
+    }
+    panel.style.display = panel.childElementCount ? 'grid' : 'none';
+}
+
+// =============================================
+// Archivos con varias entradas
+// =============================================
+
+function showArchiveEntries(entries) {
+    const list = document.getElementById('archiveEntries');
+    list.innerHTML = '';
+    
+    entries.forEach((entry) => {
+        const item = document.createElement('li');
+        item.className = 'archive-entry';
+        
+        const name = document.createElement('span');
+        name.className = 'archive-entry-name';
+        name.textContent = entry.name;
+        
+        const size = document.createElement('span');
+        size.className = 'archive-entry-size';
+        size.textContent = formatSize(entry.originalSize);
+        name.appendChild(size);
+        
+        const button = document.createElement('button');
+        button.innerHTML = '<i class="fas fa-download"></i> Extraer';
+        button.addEventListener('click', () => extractEntries([entry.index]));
+        
+        item.append(name, button);
+        list.appendChild(item);
+    });
+    
+    document.getElementById('archivePanel').style.display = 'block';
+}
+
+// Las entradas del archivo que muestra el panel; sus URLs quedan en su
+// trabajo. El progreso usa la barra del panel mientras dura
+async function extractEntries(indices) {
+    const job = shownJob;
+    updateProgress('decompress', 0);
+    
+    try {
+        const { count } = await hs6dClient.extract(job.result.archive, indices, {
+            onProgress: (progress) => updateProgress('decompress', progress * 100),
+            onEntry: ({ name, decompressed }) => {
+                triggerDownload(createJobUrl(job, new Blob([decompressed])), name);
+            }
+        });
+        
+        showNotification(`${count} archivo(s) extraído(s) correctamente`, 'success');
+    } catch (error) {
+        handleJobError('decompress', { name: job.name, error });
+    } finally {
+        updateQueueStats('decompress');
+    }
+}
+
+function extractAllEntries() {
+    extractEntries(shownJob.result.entries.map(entry => entry.index));
+}
+
+function triggerDownload(url, fileName) {
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+}
+
+function handleJobError(type, job) {
+    console.error(`Error en ${type}:`, job.error);
+    showError(`${job.name}: ${job.error.message}`);
+}
+
+// =============================================
+// Funciones de progreso
+// =============================================
+
+function updateProgress(type, progress) {
+    const percentage = Math.min(100, Math.max(0, progress));
+    document.getElementById(`${type}Progress`).style.width = `${percentage}%`;
+}
+
 // =============================================
 // Funciones de UI y notificaciones
 // =============================================
@@ -531,11 +1351,10 @@ if (typeof formatSize === 'undefined') {
 
 // Limpiar al salir
 window.addEventListener('beforeunload', () => {
-    if (lastCompressedUrl) URL.revokeObjectURL(lastCompressedUrl);
-    if (lastDecompressedUrl) URL.revokeObjectURL(lastDecompressedUrl);
+    queues.compress.jobs.forEach(revokeJobUrls);
+    queues.decompress.jobs.forEach(revokeJobUrls);
     
-    if (COMPRESS_WORKER) COMPRESS_WORKER.terminate();
-    if (DECOMPRESS_WORKER) DECOMPRESS_WORKER.terminate();
+    if (hs6dClient) hs6dClient.terminate();
 });
 
 console.log("HyperStorage6D V3 listo para el sector agroindustrial paraguayo");
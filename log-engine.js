@@ -0,0 +1,265 @@
+import {
+    createByteWriter,
+    createByteReader,
+    zigzag,
+    unzigzag,
+    bytesToLatin1,
+    latin1ToBytes
+} from './utils.js';
+
+// =============================================
+// Extracción de plantillas de logs
+// =============================================
+// Los controladores de riego y sensores de silo generan millones de
+// líneas casi iguales. Cada línea se separa en:
+//   - plantilla: el texto fijo, con marcadores en lugar de la marca de
+//     tiempo y de cada número
+//   - marca de tiempo: diferencia en ms con la línea anterior
+//   - números: un flujo por posición dentro de la plantilla, como
+//     diferencia con el valor anterior de esa misma posición
+// Es exactamente reversible; las líneas que ya contienen los bytes de
+// marcador se guardan tal cual.
+
+const ROW_LF = 0;
+const ROW_CRLF = 1;
+const ROW_EOF = 2;
+const ROW_RAW_LF = 3;
+const ROW_RAW_EOF = 4;
+
+const NUMBER_MARK = '\x01';
+const TIME_MARK = '\x02';
+
+// Posiciones con flujo propio; las siguientes comparten el último
+const VARIABLE_SLOTS = 8;
+
+// Números más largos o con ceros a la izquierda van como texto
+const MAX_NUMBER_DIGITS = 15;
+
+// Más plantillas que esta fracción de líneas: no hay estructura que aprovechar
+const MAX_TEMPLATE_RATIO = 0.5;
+
+function pad(value, length = 2) {
+    return String(value).padStart(length, '0');
+}
+
+function formatDate(d, separator) {
+    return `${pad(d.getUTCFullYear(), 4)}-${pad(d.getUTCMonth() + 1)}-${pad(d.getUTCDate())}` +
+        `${separator}${pad(d.getUTCHours())}:${pad(d.getUTCMinutes())}:${pad(d.getUTCSeconds())}`;
+}
+
+function formatTime(ms) {
+    const seconds = Math.floor(ms / 1000);
+    return `${pad(Math.floor(seconds / 3600))}:${pad(Math.floor(seconds / 60) % 60)}:${pad(seconds % 60)}`;
+}
+
+// Formatos de marca de tiempo al inicio de línea (opcionalmente tras '[')
+const TIME_FORMATS = [
+    ...[' ', 'T'].flatMap(separator => [
+        {
+            pattern: new RegExp(`^\\d{4}-\\d{2}-\\d{2}${separator}\\d{2}:\\d{2}:\\d{2}`),
+            parse: text => Date.parse(`${text.slice(0, 10)}T${text.slice(11)}Z`),
+            format: ms => formatDate(new Date(ms), separator)
+        },
+        ...['.', ','].map(decimal => ({
+            pattern: new RegExp(`^\\d{4}-\\d{2}-\\d{2}${separator}\\d{2}:\\d{2}:\\d{2}\\${decimal}\\d{3}`),
+            parse: text => Date.parse(`${text.slice(0, 10)}T${text.slice(11, 19)}.${text.slice(20)}Z`),
+            format: ms => `${formatDate(new Date(ms), separator)}${decimal}${pad(ms % 1000, 3)}`
+        }))
+    ]),
+    {
+        pattern: /^\d{2}:\d{2}:\d{2}/,
+        parse: text => ((+text.slice(0, 2) * 60 + +text.slice(3, 5)) * 60 + +text.slice(6, 8)) * 1000,
+        format: formatTime
+    }
+].sort((a, b) => b.pattern.source.length - a.pattern.source.length); // primero los más largos
+
+function extractTimestamp(line) {
+    const offset = line.startsWith('[') ? 1 : 0;
+    const rest = line.slice(offset);
+
+    for (let index = 0; index < TIME_FORMATS.length; index++) {
+        const { pattern, parse, format } = TIME_FORMATS[index];
+        const match = pattern.exec(rest);
+        if (!match) continue;
+
+        const value = parse(match[0]);
+        if (!Number.isInteger(value) || value < 0 || format(value) !== match[0]) continue;
+
+        return {
+            value,
+            template: line.slice(0, offset) + TIME_MARK + String.fromCharCode(65 + index) +
+                line.slice(offset + match[0].length)
+        };
+    }
+
+    return null;
+}
+
+function writeText(writer, values) {
+    const text = values.join('\n');
+    writer.varint(text.length);
+    writer.bytes(latin1ToBytes(text));
+}
+
+function readText(reader, count) {
+    const text = bytesToLatin1(reader.bytes(reader.varint()));
+    const values = count > 0 ? text.split('\n') : [];
+    if (values.length !== count) {
+        throw new Error("Flujo de texto de log inválido");
+    }
+    return values;
+}
+
+export function createLogTransformer() {
+    return {
+        // Flujos: [estructura, plantillas, ids, tiempos, crudas, textos, posición 1..N].
+        // Devuelve null si el bloque no tiene suficientes líneas repetidas.
+        encode(data) {
+            if (data.length === 0) return null;
+
+            const lines = bytesToLatin1(data).split('\n');
+            const endsWithNewline = lines[lines.length - 1] === '';
+            if (endsWithNewline) lines.pop();
+
+            const shapes = new Uint8Array(lines.length);
+            const templates = new Map();
+            const templateIds = createByteWriter();
+            const times = createByteWriter();
+            const rawLines = [];
+            const textValues = [];
+            const slots = Array.from({ length: VARIABLE_SLOTS }, () => createByteWriter());
+            const previous = new Array(VARIABLE_SLOTS).fill(0);
+            let previousTime = 0;
+
+            lines.forEach((line, i) => {
+                const last = i === lines.length - 1 && !endsWithNewline;
+                const crlf = !last && line.endsWith('\r');
+                const content = crlf ? line.slice(0, -1) : line;
+
+                if (content.includes(NUMBER_MARK) || content.includes(TIME_MARK)) {
+                    shapes[i] = last ? ROW_RAW_EOF : ROW_RAW_LF;
+                    rawLines.push(line);
+                    return;
+                }
+                shapes[i] = last ? ROW_EOF : crlf ? ROW_CRLF : ROW_LF;
+
+                let template = content;
+                const timestamp = extractTimestamp(content);
+                if (timestamp) {
+                    template = timestamp.template;
+                    times.varint(zigzag(timestamp.value - previousTime));
+                    previousTime = timestamp.value;
+                }
+
+                let slot = 0;
+                template = template.replace(/\d+/g, (digits) => {
+                    const stream = Math.min(slot++, VARIABLE_SLOTS - 1);
+                    const canonical = digits.length <= MAX_NUMBER_DIGITS && (digits === '0' || digits[0] !== '0');
+
+                    if (canonical) {
+                        const value = Number(digits);
+                        slots[stream].varint(zigzag(value - previous[stream]) + 1);
+                        previous[stream] = value;
+                    } else {
+                        slots[stream].varint(0);
+                        textValues.push(digits);
+                    }
+                    return NUMBER_MARK;
+                });
+
+                if (!templates.has(template)) {
+                    templates.set(template, templates.size);
+                }
+                templateIds.varint(templates.get(template));
+            });
+
+            if (templates.size > Math.max(1, lines.length * MAX_TEMPLATE_RATIO)) {
+                return null;
+            }
+
+            const structure = createByteWriter();
+            structure.varint(lines.length);
+            structure.bytes(shapes);
+
+            const templateStream = createByteWriter();
+            writeText(templateStream, [...templates.keys()]);
+
+            const raw = createByteWriter();
+            writeText(raw, rawLines);
+
+            const text = createByteWriter();
+            writeText(text, textValues);
+
+            return [
+                structure.finish(),
+                templateStream.finish(),
+                templateIds.finish(),
+                times.finish(),
+                raw.finish(),
+                text.finish(),
+                ...slots.map(writer => writer.finish())
+            ];
+        },
+
+        decode(streams) {
+            if (streams.length !== 6 + VARIABLE_SLOTS) {
+                throw new Error("Número de flujos de log inválido");
+            }
+
+            const structure = createByteReader(streams[0]);
+            const lineCount = structure.varint();
+            const shapes = structure.bytes(lineCount);
+
+            const templateReader = createByteReader(streams[1]);
+            const templates = bytesToLatin1(templateReader.bytes(templateReader.varint())).split('\n');
+            const templateIds = createByteReader(streams[2]);
+            const times = createByteReader(streams[3]);
+            const rawCount = shapes.filter(shape => shape === ROW_RAW_LF || shape === ROW_RAW_EOF).length;
+            const rawLines = readText(createByteReader(streams[4]), rawCount);
+            const textReader = createByteReader(streams[5]);
+            const textValues = bytesToLatin1(textReader.bytes(textReader.varint())).split('\n');
+            const slots = streams.slice(6).map(stream => createByteReader(stream));
+            const previous = new Array(VARIABLE_SLOTS).fill(0);
+            let previousTime = 0;
+            let raw = 0;
+            let text = 0;
+
+            const lines = new Array(lineCount);
+
+            for (let i = 0; i < lineCount; i++) {
+                const shape = shapes[i];
+                if (shape === ROW_RAW_LF || shape === ROW_RAW_EOF) {
+                    lines[i] = rawLines[raw++] + (shape === ROW_RAW_LF ? '\n' : '');
+                    continue;
+                }
+
+                const template = templates[templateIds.varint()];
+                if (template === undefined) {
+                    throw new Error("Plantilla de log inexistente");
+                }
+
+                let slot = 0;
+                let line = template.replace(/\x01/g, () => {
+                    const stream = Math.min(slot++, VARIABLE_SLOTS - 1);
+                    const code = slots[stream].varint();
+                    if (code === 0) return textValues[text++];
+
+                    previous[stream] += unzigzag(code - 1);
+                    return String(previous[stream]);
+                });
+
+                const mark = line.indexOf(TIME_MARK);
+                if (mark !== -1) {
+                    const format = TIME_FORMATS[line.charCodeAt(mark + 1) - 65];
+                    if (!format) throw new Error("Formato de marca de tiempo desconocido");
+                    previousTime += unzigzag(times.varint());
+                    line = line.slice(0, mark) + format.format(previousTime) + line.slice(mark + 2);
+                }
+
+                lines[i] = line + (shape === ROW_CRLF ? '\r\n' : shape === ROW_LF ? '\n' : '');
+            }
+
+            return latin1ToBytes(lines.join(''));
+        }
+    };
+}
@@ -0,0 +1,196 @@
+import { createByteWriter, createByteReader } from './utils.js';
+
+// =============================================
+// LZ77/LZSS para datos binarios
+// =============================================
+// Busca repeticiones en una ventana deslizante (cadenas hash de 3 bytes)
+// con búsqueda perezosa opcional. La salida son flujos separados para
+// que cada uno se codifique con su propio Huffman:
+//   [estructura, literales, largos de tramos de literales, largos de
+//    coincidencia, distancias (byte alto), distancias (byte bajo)]
+
+const MIN_MATCH = 3;
+const MAX_MATCH = 1024;
+const HASH_BITS = 16;
+
+export const DEFAULT_WINDOW_SIZE = 65536;
+const MAX_WINDOW_SIZE = 1 << 20;
+
+// Con una coincidencia de este largo ya no vale la pena buscar otra mejor
+const GOOD_MATCH = 64;
+
+function validateOptions({ windowSize = DEFAULT_WINDOW_SIZE, lazy = true, maxChain = 64 } = {}) {
+    if (!Number.isInteger(windowSize) || windowSize < 256 || windowSize > MAX_WINDOW_SIZE ||
+        (windowSize & (windowSize - 1)) !== 0) {
+        throw new RangeError(`La ventana LZ77 debe ser potencia de 2 entre 256 y ${MAX_WINDOW_SIZE}`);
+    }
+    if (!Number.isInteger(maxChain) || maxChain < 1) {
+        throw new RangeError("maxChain debe ser un entero positivo");
+    }
+    return { windowSize, lazy: Boolean(lazy), maxChain };
+}
+
+export function createLZ77Encoder(options) {
+    const { windowSize, lazy, maxChain } = validateOptions(options);
+    const mask = windowSize - 1;
+
+    function createMatcher(data) {
+        const head = new Int32Array(1 << HASH_BITS).fill(-1);
+        const prev = new Int32Array(windowSize).fill(-1);
+
+        function hash(pos) {
+            const value = (data[pos] << 16) | (data[pos + 1] << 8) | data[pos + 2];
+            return Math.imul(value, 2654435761) >>> (32 - HASH_BITS);
+        }
+
+        return {
+            insert(pos) {
+                if (pos + MIN_MATCH > data.length) return;
+                const h = hash(pos);
+                prev[pos & mask] = head[h];
+                head[h] = pos;
+            },
+
+            // Coincidencia más larga para `pos` entre las posiciones ya insertadas
+            find(pos) {
+                let best = { length: 0, distance: 0 };
+                if (pos + MIN_MATCH > data.length) return best;
+
+                const limit = Math.min(MAX_MATCH, data.length - pos);
+                let candidate = head[hash(pos)];
+                let chain = maxChain;
+
+                while (candidate >= 0 && pos - candidate <= windowSize && chain-- > 0) {
+                    if (data[candidate + best.length] === data[pos + best.length]) {
+                        let length = 0;
+                        while (length < limit && data[candidate + length] === data[pos + length]) {
+                            length++;
+                        }
+                        if (length > best.length) {
+                            best = { length, distance: pos - candidate };
+                            if (length >= limit) break;
+                        }
+                    }
+
+                    const next = prev[candidate & mask];
+                    if (next >= candidate) break;
+                    candidate = next;
+                }
+
+                return best.length >= MIN_MATCH ? best : { length: 0, distance: 0 };
+            }
+        };
+    }
+
+    return {
+        encode(data) {
+            const matcher = createMatcher(data);
+            const literals = createByteWriter(data.length);
+            const runs = createByteWriter();
+            const lengths = createByteWriter();
+            const distanceHigh = createByteWriter();
+            const distanceLow = createByteWriter();
+            let matchCount = 0;
+            let run = 0;
+            let pos = 0;
+
+            while (pos < data.length) {
+                let match = matcher.find(pos);
+
+                // Búsqueda perezosa: si el byte siguiente empieza una coincidencia
+                // más larga, se emite este como literal
+                if (lazy && match.length >= MIN_MATCH && match.length < GOOD_MATCH) {
+                    matcher.insert(pos);
+                    const next = matcher.find(pos + 1);
+                    if (next.length > match.length) {
+                        literals.byte(data[pos]);
+                        run++;
+                        pos++;
+                        continue;
+                    }
+                } else {
+                    matcher.insert(pos);
+                }
+
+                if (match.length < MIN_MATCH) {
+                    literals.byte(data[pos]);
+                    run++;
+                    pos++;
+                    continue;
+                }
+
+                runs.varint(run);
+                run = 0;
+                lengths.varint(match.length - MIN_MATCH);
+                const distance = match.distance - 1;
+                distanceHigh.varint(Math.floor(distance / 256));
+                distanceLow.byte(distance & 255);
+                matchCount++;
+
+                for (let i = 1; i < match.length; i++) {
+                    matcher.insert(pos + i);
+                }
+                pos += match.length;
+            }
+            runs.varint(run);
+
+            const structure = createByteWriter();
+            structure.varint(data.length);
+            structure.varint(matchCount);
+
+            return [
+                structure.finish(),
+                literals.finish(),
+                runs.finish(),
+                lengths.finish(),
+                distanceHigh.finish(),
+                distanceLow.finish()
+            ];
+        }
+    };
+}
+
+// La decodificación no depende de las opciones del codificador
+export function decodeLZ77(streams) {
+    if (streams.length !== 6) {
+        throw new Error("Número de flujos LZ77 inválido");
+    }
+
+    const structure = createByteReader(streams[0]);
+    const size = structure.varint();
+    const matchCount = structure.varint();
+    const literals = createByteReader(streams[1]);
+    const runs = createByteReader(streams[2]);
+    const lengths = createByteReader(streams[3]);
+    const distanceHigh = createByteReader(streams[4]);
+    const distanceLow = createByteReader(streams[5]);
+
+    const output = new Uint8Array(size);
+    let pos = 0;
+
+    for (let i = 0; i <= matchCount; i++) {
+        const run = runs.varint();
+        if (pos + run > size) throw new Error("Datos LZ77 corruptos");
+        output.set(literals.bytes(run), pos);
+        pos += run;
+
+        if (i === matchCount) break;
+
+        const length = lengths.varint() + MIN_MATCH;
+        const distance = distanceHigh.varint() * 256 + distanceLow.byte() + 1;
+        if (distance > pos || pos + length > size) {
+            throw new Error("Datos LZ77 corruptos");
+        }
+
+        // Copia byte a byte: la coincidencia puede solaparse consigo misma
+        for (let j = 0; j < length; j++) {
+            output[pos + j] = output[pos + j - distance];
+        }
+        pos += length;
+    }
+
+    if (pos !== size) {
+        throw new Error("Datos LZ77 incompletos");
+    }
+    return output;
+}
@@ -0,0 +1,418 @@
+import { createByteWriter, createByteReader } from './utils.js';
+
+// =============================================
+// Etapas posteriores a BWT, al estilo bzip2
+// =============================================
+// La salida de BWT agrupa bytes iguales; estas etapas lo aprovechan:
+//   1. move-to-front: los bytes recientes pasan a ser números pequeños
+//      (sobre todo ceros)
+//   2. tramos de ceros como RUNA/RUNB (base 2 biyectiva)
+//   3. Huffman con varias tablas, elegidas por cada grupo de 50 símbolos
+//
+// Formato: tamaño(varint) + bytes usados(32, mapa de bits) + tablas(1) +
+// grupos(varint) + bits: selectores, largos de código y símbolos
+
+const RUNA = 0;
+const RUNB = 1;
+
+const GROUP_SIZE = 50;
+const MAX_TABLES = 6;
+const MAX_CODE_LENGTH = 17;
+const TABLE_ITERATIONS = 4;
+
+// =============================================
+// Bits
+// =============================================
+
+function createBitWriter(initialSize) {
+    const writer = createByteWriter(initialSize);
+    let buffer = 0;
+    let count = 0;
+
+    return {
+        bits(value, length) {
+            for (let i = length - 1; i >= 0; i--) {
+                buffer = (buffer << 1) | ((value >>> i) & 1);
+                if (++count === 8) {
+                    writer.byte(buffer);
+                    buffer = 0;
+                    count = 0;
+                }
+            }
+        },
+
+        finish() {
+            if (count > 0) writer.byte(buffer << (8 - count));
+            return writer.finish();
+        }
+    };
+}
+
+function createBitReader(data) {
+    let offset = 0;
+    let bit = 0;
+
+    return {
+        bit() {
+            if (offset >= data.length) throw new Error("Datos truncados");
+            const value = (data[offset] >> (7 - bit)) & 1;
+            if (++bit === 8) {
+                bit = 0;
+                offset++;
+            }
+            return value;
+        },
+
+        bits(length) {
+            let value = 0;
+            for (let i = 0; i < length; i++) value = (value << 1) | this.bit();
+            return value;
+        }
+    };
+}
+
+// =============================================
+// Huffman limitado en largo
+// =============================================
+
+// Los símbolos sin frecuencia también reciben código: cualquier grupo puede usarlos.
+// Si algún código supera el límite, se aplanan las frecuencias y se repite.
+function makeCodeLengths(frequencies, limit) {
+    const n = frequencies.length;
+    let weights = Array.from(frequencies, frequency => frequency || 1);
+
+    for (;;) {
+        const order = [...weights.keys()].sort((a, b) => weights[a] - weights[b] || a - b);
+        const weight = new Array(2 * n - 1);
+        const parent = new Int32Array(2 * n - 1);
+        order.forEach((symbol, i) => { weight[i] = weights[symbol]; });
+
+        // Dos colas: hojas ordenadas y nodos internos, que salen ya ordenados
+        let leaf = 0;
+        let inner = n;
+        let next = n;
+        const pick = () => (leaf < n && (inner >= next || weight[leaf] <= weight[inner]) ? leaf++ : inner++);
+        while (next < 2 * n - 1) {
+            const a = pick();
+            const b = pick();
+            weight[next] = weight[a] + weight[b];
+            parent[a] = next;
+            parent[b] = next;
+            next++;
+        }
+
+        const depth = new Uint8Array(2 * n - 1);
+        for (let node = 2 * n - 3; node >= 0; node--) {
+            depth[node] = depth[parent[node]] + 1;
+        }
+
+        const lengths = new Uint8Array(n);
+        let longest = 0;
+        order.forEach((symbol, i) => {
+            lengths[symbol] = depth[i];
+            longest = Math.max(longest, depth[i]);
+        });
+        if (longest <= limit) return lengths;
+
+        weights = weights.map(value => 1 + (value >> 1));
+    }
+}
+
+// Códigos canónicos: por largo y, a igual largo, por símbolo
+function makeCodes(lengths) {
+    const codes = new Uint32Array(lengths.length);
+    let code = 0;
+    for (let length = 1; length <= MAX_CODE_LENGTH; length++) {
+        for (let symbol = 0; symbol < lengths.length; symbol++) {
+            if (lengths[symbol] === length) codes[symbol] = code++;
+        }
+        code <<= 1;
+    }
+    return codes;
+}
+
+function makeDecoder(lengths) {
+    const first = new Int32Array(MAX_CODE_LENGTH + 2);
+    const limit = new Int32Array(MAX_CODE_LENGTH + 2).fill(-1);
+    const start = new Int32Array(MAX_CODE_LENGTH + 2);
+    const symbols = [];
+    let code = 0;
+
+    for (let length = 1; length <= MAX_CODE_LENGTH; length++) {
+        first[length] = code;
+        start[length] = symbols.length;
+        for (let symbol = 0; symbol < lengths.length; symbol++) {
+            if (lengths[symbol] === length) symbols.push(symbol);
+        }
+        code += symbols.length - start[length];
+        limit[length] = code - 1;
+        code <<= 1;
+    }
+
+    return (reader) => {
+        let value = 0;
+        for (let length = 1; length <= MAX_CODE_LENGTH; length++) {
+            value = (value << 1) | reader.bit();
+            if (value <= limit[length] && value >= first[length]) {
+                return symbols[start[length] + value - first[length]];
+            }
+        }
+        throw new Error("Código Huffman inválido");
+    };
+}
+
+function tableCount(symbolCount) {
+    if (symbolCount < 200) return 2;
+    if (symbolCount < 600) return 3;
+    if (symbolCount < 1200) return 4;
+    if (symbolCount < 2400) return 5;
+    return MAX_TABLES;
+}
+
+// Reparte los grupos entre las tablas: se parte de rangos de frecuencia
+// parecida y se refina asignando cada grupo a la tabla que lo codifica mejor
+function buildTables(symbols, count, alphabetSize) {
+    const tables = tableCount(count);
+    const groups = Math.ceil(count / GROUP_SIZE);
+    const frequencies = new Uint32Array(alphabetSize);
+    for (let i = 0; i < count; i++) frequencies[symbols[i]]++;
+
+    let lengths = [];
+    let remaining = count;
+    let symbol = 0;
+    for (let t = 0; t < tables; t++) {
+        const target = remaining / (tables - t);
+        const table = new Uint8Array(alphabetSize).fill(15);
+        let taken = 0;
+        while (symbol < alphabetSize && (taken < target || taken === 0)) {
+            table[symbol] = 0;
+            taken += frequencies[symbol++];
+        }
+        remaining -= taken;
+        lengths.push(table);
+    }
+
+    const selectors = new Uint8Array(groups);
+    for (let iteration = 0; iteration < TABLE_ITERATIONS; iteration++) {
+        const tableFrequencies = Array.from({ length: tables }, () => new Uint32Array(alphabetSize));
+
+        for (let g = 0; g < groups; g++) {
+            const end = Math.min(count, (g + 1) * GROUP_SIZE);
+            let best = 0;
+            let bestCost = Infinity;
+            for (let t = 0; t < tables; t++) {
+                let cost = 0;
+                for (let i = g * GROUP_SIZE; i < end; i++) cost += lengths[t][symbols[i]];
+                if (cost < bestCost) {
+                    bestCost = cost;
+                    best = t;
+                }
+            }
+            selectors[g] = best;
+            for (let i = g * GROUP_SIZE; i < end; i++) tableFrequencies[best][symbols[i]]++;
+        }
+
+        lengths = tableFrequencies.map(table => makeCodeLengths(table, MAX_CODE_LENGTH));
+    }
+
+    return { lengths, selectors };
+}
+
+// =============================================
+// API del codificador
+// =============================================
+
+export function createMTFEncoder() {
+    return {
+        // data: salida de BWT
+        encode(data) {
+            const header = createByteWriter(64);
+            header.varint(data.length);
+            if (data.length === 0) return header.finish();
+
+            // Solo los bytes presentes entran en el alfabeto
+            const used = new Uint8Array(32);
+            const sequence = new Int16Array(256).fill(-1);
+            for (let i = 0; i < data.length; i++) used[data[i] >> 3] |= 128 >> (data[i] & 7);
+            let usedCount = 0;
+            for (let byte = 0; byte < 256; byte++) {
+                if (used[byte >> 3] & (128 >> (byte & 7))) sequence[byte] = usedCount++;
+            }
+            const endOfBlock = usedCount + 1;
+
+            // Move-to-front y tramos de ceros
+            const list = Uint8Array.from({ length: usedCount }, (_, i) => i);
+            const symbols = new Uint16Array(data.length + 1);
+            let count = 0;
+            let run = 0;
+            const flushRun = () => {
+                if (run === 0) return;
+                let pending = run - 1;
+                for (;;) {
+                    symbols[count++] = (pending & 1) ? RUNB : RUNA;
+                    if (pending < 2) break;
+                    pending = (pending - 2) >> 1;
+                }
+                run = 0;
+            };
+
+            for (let i = 0; i < data.length; i++) {
+                const value = sequence[data[i]];
+                if (list[0] === value) {
+                    run++;
+                    continue;
+                }
+                flushRun();
+                let position = 1;
+                let previous = list[0];
+                list[0] = value;
+                while (list[position] !== value) {
+                    const current = list[position];
+                    list[position++] = previous;
+                    previous = current;
+                }
+                list[position] = previous;
+                symbols[count++] = position + 1;
+            }
+            flushRun();
+            symbols[count++] = endOfBlock;
+
+            const { lengths, selectors } = buildTables(symbols, count, usedCount + 2);
+
+            header.bytes(used);
+            header.byte(lengths.length);
+            header.varint(selectors.length);
+
+            const bits = createBitWriter(count);
+
+            // Selectores con move-to-front, en unario
+            const tableList = lengths.map((_, t) => t);
+            for (const selector of selectors) {
+                const position = tableList.indexOf(selector);
+                tableList.splice(position, 1);
+                tableList.unshift(selector);
+                for (let i = 0; i < position; i++) bits.bits(1, 1);
+                bits.bits(0, 1);
+            }
+
+            // Largos de código como diferencias: 10 = +1, 11 = -1, 0 = siguiente
+            for (const table of lengths) {
+                let current = table[0];
+                bits.bits(current, 5);
+                for (const length of table) {
+                    while (current !== length) {
+                        bits.bits(current < length ? 2 : 3, 2);
+                        current += current < length ? 1 : -1;
+                    }
+                    bits.bits(0, 1);
+                }
+            }
+
+            const codes = lengths.map(makeCodes);
+            for (let g = 0; g < selectors.length; g++) {
+                const t = selectors[g];
+                const end = Math.min(count, (g + 1) * GROUP_SIZE);
+                for (let i = g * GROUP_SIZE; i < end; i++) {
+                    bits.bits(codes[t][symbols[i]], lengths[t][symbols[i]]);
+                }
+            }
+
+            const body = bits.finish();
+            const output = new Uint8Array(header.length + body.length);
+            output.set(header.finish());
+            output.set(body, header.length);
+            return output;
+        },
+
+        decode(data) {
+            const reader = createByteReader(data);
+            const size = reader.varint();
+            const output = new Uint8Array(size);
+            if (size === 0) return output;
+
+            const used = reader.bytes(32);
+            const alphabet = [];
+            for (let byte = 0; byte < 256; byte++) {
+                if (used[byte >> 3] & (128 >> (byte & 7))) alphabet.push(byte);
+            }
+            const alphabetSize = alphabet.length + 2;
+            const endOfBlock = alphabet.length + 1;
+
+            const tables = reader.byte();
+            const groups = reader.varint();
+            if (alphabet.length === 0 || tables < 1 || tables > MAX_TABLES) {
+                throw new Error("Cabecera MTF inválida");
+            }
+
+            const bits = createBitReader(reader.bytes(reader.remaining));
+
+            const tableList = Array.from({ length: tables }, (_, t) => t);
+            const selectors = new Uint8Array(groups);
+            for (let g = 0; g < groups; g++) {
+                let position = 0;
+                while (bits.bit()) {
+                    if (++position >= tables) throw new Error("Selector MTF inválido");
+                }
+                const selector = tableList.splice(position, 1)[0];
+                tableList.unshift(selector);
+                selectors[g] = selector;
+            }
+
+            const decoders = [];
+            for (let t = 0; t < tables; t++) {
+                const lengths = new Uint8Array(alphabetSize);
+                let current = bits.bits(5);
+                for (let symbol = 0; symbol < alphabetSize; symbol++) {
+                    while (bits.bit()) {
+                        current += bits.bit() ? -1 : 1;
+                        if (current < 1 || current > MAX_CODE_LENGTH) {
+                            throw new Error("Largo de código MTF inválido");
+                        }
+                    }
+                    lengths[symbol] = current;
+                }
+                decoders.push(makeDecoder(lengths));
+            }
+
+            const list = Uint8Array.from(alphabet);
+            let offset = 0;
+            let run = 0;
+            let runWeight = 1;
+            const flushRun = () => {
+                if (run === 0) return;
+                if (offset + run > size) throw new Error("Datos MTF corruptos");
+                output.fill(list[0], offset, offset + run);
+                offset += run;
+                run = 0;
+                runWeight = 1;
+            };
+
+            for (let i = 0; ; i++) {
+                const g = Math.floor(i / GROUP_SIZE);
+                if (g >= groups) throw new Error("Datos MTF incompletos");
+                const symbol = decoders[selectors[g]](bits);
+
+                if (symbol === RUNA || symbol === RUNB) {
+                    run += symbol === RUNA ? runWeight : 2 * runWeight;
+                    runWeight *= 2;
+                    if (run > size) throw new Error("Datos MTF corruptos");
+                    continue;
+                }
+                flushRun();
+                if (symbol === endOfBlock) break;
+
+                const position = symbol - 1;
+                const value = list[position];
+                list.copyWithin(1, 0, position);
+                list[0] = value;
+                if (offset >= size) throw new Error("Datos MTF corruptos");
+                output[offset++] = value;
+            }
+
+            if (offset !== size) {
+                throw new Error("Datos MTF incompletos");
+            }
+            return output;
+        }
+    };
+}
@@ -0,0 +1,201 @@
+import { createByteWriter, createByteReader } from './utils.js';
+
+// =============================================
+// Codificador de rango adaptativo
+// =============================================
+// Alternativa al Huffman estático: codifica bit a bit con probabilidades
+// que se ajustan mientras avanza, así que baja de un bit por símbolo en
+// datos muy sesgados como la salida de BWT.
+//   - orden 0: una probabilidad por nodo del árbol binario del byte
+//   - orden 1: además, una por nodo y byte anterior; ambas predicciones
+//     se combinan con un mezclador logístico que aprende qué contexto
+//     acierta más
+// Todo es aritmética entera para que el navegador y Node decodifiquen
+// exactamente lo mismo.
+//
+// Formato: orden(1) + tamaño(varint) + bytes codificados
+
+const PROBABILITY_BITS = 12;
+const PROBABILITY_MAX = (1 << PROBABILITY_BITS) - 1;
+
+// Velocidad de adaptación de los contadores (mayor = más lenta)
+const ORDER0_RATE = 5;
+const ORDER1_RATE = 4;
+const MIXER_RATE = 7;
+
+// squash(x) = 4096 / (1 + e^(-x / 256)), interpolada sobre 33 puntos
+const SQUASH_POINTS = [
+    1, 2, 3, 6, 10, 16, 27, 45, 73, 120, 194, 310, 488, 747, 1101, 1546, 2047,
+    2549, 2994, 3348, 3607, 3785, 3901, 3975, 4022, 4050, 4068, 4079, 4085, 4089, 4092, 4093, 4094
+];
+
+function squash(x) {
+    if (x > 2047) return PROBABILITY_MAX;
+    if (x < -2047) return 1;
+    const weight = x & 127;
+    const index = (x >> 7) + 16;
+    return (SQUASH_POINTS[index] * (128 - weight) + SQUASH_POINTS[index + 1] * weight + 64) >> 7;
+}
+
+// Inversa de squash: probabilidad (12 bits) → dominio logístico
+const STRETCH = (() => {
+    const table = new Int16Array(PROBABILITY_MAX + 1);
+    let next = 0;
+    for (let x = -2047; x <= 2047; x++) {
+        const value = squash(x);
+        for (let p = next; p <= value; p++) table[p] = x;
+        next = value + 1;
+    }
+    table.fill(2047, next);
+    return table;
+})();
+
+// Probabilidades de 16 bits de que el siguiente bit sea 1
+function createModel(order) {
+    const order0 = new Uint16Array(256).fill(32768);
+    const order1 = order > 0 ? new Uint16Array(256 * 256).fill(32768) : null;
+    // Un juego de pesos por nodo, en punto fijo de 16 bits
+    const weights = order > 0 ? new Int32Array(256 * 2).fill(1 << 15) : null;
+    let context = 0;
+    let st0 = 0;
+    let st1 = 0;
+    let p = 2048;
+
+    return {
+        // Nodo 1..255 del árbol del byte actual
+        predict(node) {
+            const p0 = order0[node] >> 4;
+            if (!order1) {
+                p = Math.min(Math.max(p0, 1), PROBABILITY_MAX);
+                return p;
+            }
+
+            st0 = STRETCH[p0];
+            st1 = STRETCH[order1[context + node] >> 4];
+            const dot = st0 * weights[node * 2] + st1 * weights[node * 2 + 1];
+            p = Math.min(Math.max(squash(Math.floor(dot / 65536)), 1), PROBABILITY_MAX);
+            return p;
+        },
+
+        update(node, bit) {
+            const target = bit ? 65535 : 0;
+            order0[node] += (target - order0[node]) >> ORDER0_RATE;
+            if (!order1) return;
+
+            order1[context + node] += (target - order1[context + node]) >> ORDER1_RATE;
+            const error = ((bit << PROBABILITY_BITS) - p) * MIXER_RATE;
+            weights[node * 2] += Math.floor(st0 * error / 65536);
+            weights[node * 2 + 1] += Math.floor(st1 * error / 65536);
+        },
+
+        // Al terminar cada byte
+        next(byte) {
+            if (order1) context = byte << 8;
+        }
+    };
+}
+
+// Los límites del intervalo se mantienen como enteros sin signo de 32 bits;
+// el punto de corte deja la parte baja en proporción a p
+function split(low, high, p) {
+    const range = high - low;
+    return low + Math.floor(range / 4096) * p + Math.floor((range % 4096) * p / 4096);
+}
+
+function encodeBits(data, model, writer) {
+    let low = 0;
+    let high = 0xFFFFFFFF;
+
+    for (let i = 0; i < data.length; i++) {
+        const byte = data[i];
+        let node = 1;
+
+        for (let bit = 7; bit >= 0; bit--) {
+            const value = (byte >> bit) & 1;
+            const middle = split(low, high, model.predict(node));
+            if (value) {
+                high = middle;
+            } else {
+                low = middle + 1;
+            }
+            model.update(node, value);
+            node = (node << 1) | value;
+
+            while (((low ^ high) & 0xFF000000) === 0) {
+                writer.byte(high >>> 24);
+                low = (low << 8) >>> 0;
+                high = ((high << 8) | 255) >>> 0;
+            }
+        }
+        model.next(byte);
+    }
+
+    for (let shift = 24; shift >= 0; shift -= 8) {
+        writer.byte((low >>> shift) & 255);
+    }
+}
+
+function decodeBits(reader, size, model) {
+    const output = new Uint8Array(size);
+    const nextByte = () => (reader.remaining > 0 ? reader.byte() : 0);
+    let low = 0;
+    let high = 0xFFFFFFFF;
+    let x = 0;
+    for (let i = 0; i < 4; i++) {
+        x = ((x << 8) | nextByte()) >>> 0;
+    }
+
+    for (let i = 0; i < size; i++) {
+        let node = 1;
+
+        for (let bit = 7; bit >= 0; bit--) {
+            const middle = split(low, high, model.predict(node));
+            const value = x <= middle ? 1 : 0;
+            if (value) {
+                high = middle;
+            } else {
+                low = middle + 1;
+            }
+            model.update(node, value);
+            node = (node << 1) | value;
+
+            while (((low ^ high) & 0xFF000000) === 0) {
+                low = (low << 8) >>> 0;
+                high = ((high << 8) | 255) >>> 0;
+                x = ((x << 8) | nextByte()) >>> 0;
+            }
+        }
+
+        output[i] = node & 255;
+        model.next(output[i]);
+    }
+
+    return output;
+}
+
+// order: 0 o 1. La decodificación lee el orden de los datos
+export function createRangeCoder({ order = 1 } = {}) {
+    if (order !== 0 && order !== 1) {
+        throw new RangeError("El orden del codificador de rango debe ser 0 o 1");
+    }
+
+    return {
+        encode(data) {
+            const writer = createByteWriter(Math.max(64, data.length >> 1));
+            writer.byte(order);
+            writer.varint(data.length);
+            encodeBits(data, createModel(order), writer);
+            return writer.finish();
+        },
+
+        decode(data) {
+            const reader = createByteReader(data);
+            const dataOrder = reader.byte();
+            if (dataOrder !== 0 && dataOrder !== 1) {
+                throw new Error(`Orden de codificador de rango desconocido: ${dataOrder}`);
+            }
+            const size = reader.varint();
+            return decodeBits(reader, size, createModel(dataOrder));
+        }
+    };
+}
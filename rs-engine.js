@@ -0,0 +1,236 @@
+// =============================================
+// Reed-Solomon sobre GF(256)
+// =============================================
+// Código sistemático de hasta 255 bytes por palabra: los datos van tal
+// cual y se agregan `paritySize` bytes de paridad, que permiten corregir
+// hasta paritySize / 2 bytes dañados en cualquier posición de la palabra.
+//
+// Los bytes se reparten entre las palabras de forma intercalada (el byte
+// j va a la palabra j % palabras), así que una ráfaga de bytes seguidos
+// dañados se reparte entre muchas palabras y cada una recibe pocos.
+//
+// Polinomio primitivo x^8 + x^4 + x^3 + x^2 + 1 (0x11d) y raíces del
+// generador α^0 … α^(paridad-1).
+
+const FIELD_SIZE = 256;
+const PRIMITIVE = 0x11d;
+export const MAX_CODEWORD_SIZE = FIELD_SIZE - 1;
+
+// exp duplicada para no reducir el índice módulo 255 al multiplicar
+const EXP = new Uint8Array(MAX_CODEWORD_SIZE * 2);
+const LOG = new Uint8Array(FIELD_SIZE);
+{
+    let value = 1;
+    for (let i = 0; i < MAX_CODEWORD_SIZE; i++) {
+        EXP[i] = value;
+        EXP[i + MAX_CODEWORD_SIZE] = value;
+        LOG[value] = i;
+        value <<= 1;
+        if (value & FIELD_SIZE) value ^= PRIMITIVE;
+    }
+}
+
+function mul(a, b) {
+    return a === 0 || b === 0 ? 0 : EXP[LOG[a] + LOG[b]];
+}
+
+function div(a, b) {
+    return a === 0 ? 0 : EXP[LOG[a] + MAX_CODEWORD_SIZE - LOG[b]];
+}
+
+// α^power, con power ≥ 0
+function pow(power) {
+    return EXP[power % MAX_CODEWORD_SIZE];
+}
+
+// table[x] = x · factor
+function productTable(factor) {
+    const table = new Uint8Array(FIELD_SIZE);
+    for (let x = 1; x < FIELD_SIZE; x++) table[x] = mul(x, factor);
+    return table;
+}
+
+// Polinomios con el coeficiente de menor grado primero
+function evaluate(poly, x) {
+    let result = 0;
+    for (let i = poly.length - 1; i >= 0; i--) {
+        result = mul(result, x) ^ poly[i];
+    }
+    return result;
+}
+
+// g(x) = (x - α^0)(x - α^1)…, con el coeficiente de mayor grado primero
+function generatorPolynomial(paritySize) {
+    let generator = [1];
+    for (let i = 0; i < paritySize; i++) {
+        const next = new Array(generator.length + 1).fill(0);
+        for (let j = 0; j < generator.length; j++) {
+            next[j] ^= generator[j];
+            next[j + 1] ^= mul(generator[j], pow(i));
+        }
+        generator = next;
+    }
+    return generator;
+}
+
+// Berlekamp-Massey: polinomio localizador de errores a partir de los síndromes
+function errorLocator(syndromes) {
+    let locator = [1];
+    let previous = [1];
+    let length = 0;
+    let shift = 1;
+    let previousDiscrepancy = 1;
+
+    for (let n = 0; n < syndromes.length; n++) {
+        let discrepancy = syndromes[n];
+        for (let i = 1; i <= length; i++) {
+            discrepancy ^= mul(locator[i] || 0, syndromes[n - i]);
+        }
+
+        if (discrepancy === 0) {
+            shift++;
+            continue;
+        }
+
+        const scale = div(discrepancy, previousDiscrepancy);
+        const next = locator.slice();
+        for (let i = 0; i < previous.length; i++) {
+            next[i + shift] = (next[i + shift] || 0) ^ mul(scale, previous[i]);
+        }
+
+        if (2 * length <= n) {
+            previous = locator;
+            length = n + 1 - length;
+            previousDiscrepancy = discrepancy;
+            shift = 1;
+        } else {
+            shift++;
+        }
+        locator = next;
+    }
+
+    return { locator, length };
+}
+
+// Corrige una palabra (datos + paridad) en su lugar. Devuelve cuántos bytes
+// cambió, o -1 si hay más errores de los que se pueden corregir.
+// rootTables[i] multiplica por α^i, para evaluar los síndromes
+function correctCodeword(codeword, paritySize, rootTables) {
+    const syndromes = new Array(paritySize);
+    let damaged = false;
+    for (let i = 0; i < paritySize; i++) {
+        const table = rootTables[i];
+        let syndrome = 0;
+        for (let j = 0; j < codeword.length; j++) {
+            syndrome = table[syndrome] ^ codeword[j];
+        }
+        syndromes[i] = syndrome;
+        if (syndrome !== 0) damaged = true;
+    }
+    if (!damaged) return 0;
+
+    const { locator, length } = errorLocator(syndromes);
+    if (length > paritySize / 2) return -1;
+
+    // Chien: el byte de grado k (k = 0 es el último) está dañado si
+    // Λ(α^-k) = 0
+    const positions = [];
+    for (let k = 0; k < codeword.length; k++) {
+        if (evaluate(locator, pow(MAX_CODEWORD_SIZE - k)) === 0) {
+            positions.push(k);
+        }
+    }
+    if (positions.length !== length) return -1;
+
+    // Forney: Ω(x) = S(x)Λ(x) mod x^paridad
+    const evaluator = new Array(paritySize).fill(0);
+    for (let i = 0; i < paritySize; i++) {
+        for (let j = 0; j <= i && j < locator.length; j++) {
+            evaluator[i] ^= mul(syndromes[i - j], locator[j]);
+        }
+    }
+    const derivative = locator.map((coefficient, i) => (i % 2 === 1 ? coefficient : 0)).slice(1);
+
+    for (const k of positions) {
+        const inverse = pow(MAX_CODEWORD_SIZE - k);
+        const denominator = evaluate(derivative, inverse);
+        if (denominator === 0) return -1;
+        const magnitude = mul(pow(k), div(evaluate(evaluator, inverse), denominator));
+        codeword[codeword.length - 1 - k] ^= magnitude;
+    }
+
+    return positions.length;
+}
+
+export function createReedSolomon(paritySize) {
+    if (!Number.isInteger(paritySize) || paritySize < 2 || paritySize >= MAX_CODEWORD_SIZE) {
+        throw new RangeError(`Paridad inválida: ${paritySize}`);
+    }
+
+    const generator = generatorPolynomial(paritySize);
+    const generatorTables = generator.slice(1).map(productTable);
+    const rootTables = Array.from({ length: paritySize }, (_, i) => productTable(pow(i)));
+
+    return {
+        paritySize,
+        // Máximo de bytes de datos por palabra
+        dataSize: MAX_CODEWORD_SIZE - paritySize,
+
+        // Palabras necesarias para `length` bytes
+        codewordsFor(length) {
+            return Math.ceil(length / (MAX_CODEWORD_SIZE - paritySize));
+        },
+
+        // Paridad de `data` repartido en `codewords` palabras intercaladas:
+        // paritySize bytes por palabra, una palabra tras otra
+        encode(data, codewords = this.codewordsFor(data.length)) {
+            const parity = new Uint8Array(codewords * paritySize);
+
+            // División por g(x), palabra por palabra, con tablas de producto
+            // por cada coeficiente del generador
+            const register = new Uint8Array(paritySize);
+            const last = paritySize - 1;
+            for (let c = 0; c < codewords; c++) {
+                register.fill(0);
+                for (let j = c; j < data.length; j += codewords) {
+                    const feedback = data[j] ^ register[0];
+                    for (let i = 0; i < last; i++) {
+                        register[i] = register[i + 1] ^ generatorTables[i][feedback];
+                    }
+                    register[last] = generatorTables[last][feedback];
+                }
+                parity.set(register, c * paritySize);
+            }
+
+            return parity;
+        },
+
+        // Corrige `data` y `parity` en su lugar, con la misma distribución
+        // que encode(). Devuelve los bytes corregidos, o -1 si alguna
+        // palabra tiene más daños de los que admite la paridad
+        decode(data, parity, codewords = this.codewordsFor(data.length)) {
+            let corrected = 0;
+
+            for (let c = 0; c < codewords; c++) {
+                const dataLength = c < data.length ? Math.floor((data.length - c - 1) / codewords) + 1 : 0;
+                const codeword = new Uint8Array(dataLength + paritySize);
+                for (let m = 0; m < dataLength; m++) {
+                    codeword[m] = data[c + m * codewords];
+                }
+                codeword.set(parity.subarray(c * paritySize, (c + 1) * paritySize), dataLength);
+
+                const count = correctCodeword(codeword, paritySize, rootTables);
+                if (count < 0) return -1;
+                if (count === 0) continue;
+
+                for (let m = 0; m < dataLength; m++) {
+                    data[c + m * codewords] = codeword[m];
+                }
+                parity.set(codeword.subarray(dataLength), c * paritySize);
+                corrected += count;
+            }
+
+            return corrected;
+        }
+    };
+}
@@ -0,0 +1,106 @@
+// =============================================
+// Service worker de HyperStorage6D
+// =============================================
+// Guarda el compresor completo (página, módulos, workers y motores) en la
+// primera visita, así comprimir y descomprimir funciona sin conexión en el
+// campo o en el silo.
+//
+// Cada versión usa su propia caché: al publicar cambios hay que subir
+// CACHE_VERSION. La versión nueva se instala en segundo plano y toma el
+// control cuando se cierran todas las pestañas de la anterior, para no
+// mezclar módulos de dos versiones en medio de un trabajo.
+
+const CACHE_VERSION = 'hs6d-v5';
+const CACHE_PREFIX = 'hs6d-';
+
+// Recursos externos (Font Awesome): se guardan al usarlos por primera vez
+const RUNTIME_CACHE = `${CACHE_PREFIX}externos`;
+
+// Todo lo que carga la aplicación; un archivo que falte hace fallar la
+// instalación, así nunca queda una versión a medias
+const PRECACHE = [
+    './',
+    './index.html',
+    './index-main.js',
+    './manifest.webmanifest',
+    './icon.svg',
+    './utils.js',
+    './hs6d.js',
+    './hs6d-client.js',
+    './hs6d-core.js',
+    './hs6d-crypto.js',
+    './hs6d-format.js',
+    './hs6d-integrity.js',
+    './hs6d-interop.js',
+    './hs6d-queue.js',
+    './hs6d-range.js',
+    './hs6d-recovery.js',
+    './hs6d-stream.js',
+    './hs6d-volumes.js',
+    './bwt-engine.js',
+    './huffman-engine.js',
+    './csv-engine.js',
+    './log-engine.js',
+    './lz77-engine.js',
+    './mtf-engine.js',
+    './range-engine.js',
+    './rs-engine.js',
+    './workers/compress-worker.js',
+    './workers/decompress-worker.js'
+];
+
+self.addEventListener('install', (e) => {
+    // Sin la caché HTTP: cada versión guarda lo publicado con ella
+    e.waitUntil(
+        caches.open(CACHE_VERSION)
+            .then(cache => cache.addAll(PRECACHE.map(url => new Request(url, { cache: 'reload' }))))
+    );
+});
+
+// Borra las cachés de versiones anteriores
+self.addEventListener('activate', (e) => {
+    e.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith(CACHE_PREFIX) && key !== CACHE_VERSION && key !== RUNTIME_CACHE)
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+// Lo propio, primero de la caché de la versión; lo externo, de la red y,
+// sin conexión, de lo guardado la última vez
+self.addEventListener('fetch', (e) => {
+    const { request } = e;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+    if (url.origin === self.location.origin) {
+        e.respondWith(fromPrecache(request));
+    } else if (url.protocol === 'https:') {
+        e.respondWith(fromNetwork(request));
+    }
+});
+
+async function fromPrecache(request) {
+    const cache = await caches.open(CACHE_VERSION);
+    // Abrir la aplicación, también desde un archivo .hs6d, es abrir index.html
+    const cached = await cache.match(request, { ignoreSearch: true })
+        || (request.mode === 'navigate' ? await cache.match('./index.html') : undefined);
+    return cached || fetch(request);
+}
+
+async function fromNetwork(request) {
+    const cache = await caches.open(RUNTIME_CACHE);
+    try {
+        const response = await fetch(request);
+        if (response.ok || response.type === 'opaque') {
+            await cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request);
+        if (cached) return cached;
+        throw error;
+    }
+}
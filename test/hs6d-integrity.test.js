@@ -0,0 +1,43 @@
+// node --test test/
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { sha256, createSha256, createIntegrityCheck, checkDigest, toHex } from '../hs6d-integrity.js';
+import { crc32 } from '../utils.js';
+
+const data = Uint8Array.from({ length: 10000 }, (_, i) => (i * 31 + (i >> 7)) & 255);
+const sizes = [1, 63, 64, 65, 4000, 5807];
+
+function split(bytes) {
+    const blocks = [];
+    let offset = 0;
+    for (const size of sizes) {
+        blocks.push(bytes.subarray(offset, offset + size));
+        offset += size;
+    }
+    return blocks;
+}
+
+test('createSha256 por partes da el mismo resumen que WebCrypto', async () => {
+    const hash = createSha256();
+    for (const block of split(data)) hash.update(block);
+    assert.equal(toHex(hash.digest()), toHex(await sha256(data)));
+});
+
+test('createIntegrityCheck calcula el SHA-256 del archivo con bloques desordenados', async () => {
+    const blocks = split(data);
+    const digests = await Promise.all(blocks.map(block => sha256(block)));
+    const check = createIntegrityCheck({ checksum: crc32(data), digests, sha256: await sha256(data) });
+
+    for (const i of [3, 0, 5, 1, 4, 2]) {
+        check.add(i, { checksum: crc32(blocks[i]), length: blocks[i].length, digest: digests[i], data: blocks[i] });
+    }
+    const result = await check.finish();
+    assert.equal(result.sha256, toHex(await sha256(data)));
+});
+
+test('checkDigest compara un bloque suelto solo si hay resumen guardado', async () => {
+    const digest = await sha256(data);
+    checkDigest(0, digest, digest);
+    checkDigest(0, null, undefined);
+    assert.throws(() => checkDigest(2, new Uint8Array(32), digest), { message: /bloque 3/ });
+});
@@ -0,0 +1,118 @@
+// node --test test/
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { compressBlob, decompressBlob, extractBlobRange, analyzeBlob } from '../hs6d-stream.js';
+import { compressBlock, decompressBlock, compareStrategies } from '../hs6d-core.js';
+import { deflateReference } from '../hs6d-interop.js';
+import { sha256 } from '../hs6d-integrity.js';
+import { crc32 } from '../utils.js';
+
+const BLOCK_SIZE = 4096;
+
+// Texto de varios bloques, distinto en cada línea
+function sampleText(lines = 600) {
+    const text = Array.from({ length: lines }, (_, i) => `linea ${i},valor ${i * 7 % 13},fin\n`).join('');
+    return new TextEncoder().encode(text);
+}
+
+// Lo que hace un worker de compresión con un bloque
+async function encode(block, analysis, first) {
+    const originalChecksum = crc32(block);
+    const digest = await sha256(block);
+    const part = compressBlock(block, analysis, { first });
+    return { part, checksum: crc32(part), originalChecksum, digest };
+}
+
+// Lo que hace un worker de descompresión con un bloque
+async function decode(block) {
+    const decoded = decompressBlock(block);
+    return { decoded, checksum: crc32(decoded), digest: block.digest ? await sha256(decoded) : null };
+}
+
+async function compressed(data, options = {}) {
+    const { blob } = await compressBlob(new Blob([data]), { blockSize: BLOCK_SIZE, encode, ...options });
+    return blob;
+}
+
+test('compressBlob y decompressBlob recuperan los datos', async () => {
+    const data = sampleText();
+    const result = await decompressBlob(await compressed(data, { concurrency: 4 }), { concurrency: 4, decode });
+    assert.deepEqual(new Uint8Array(await result.blob.arrayBuffer()), data);
+});
+
+// Con concurrencia de sobra, el bucle no espera a ningún trabajo: el
+// rechazo llega mientras se lee el bloque siguiente
+test('decompressBlob falla con el error del bloque aunque nadie lo esperara', async () => {
+    const blob = await compressed(sampleText());
+    const failing = async (block) => {
+        if (block.index === 1) throw new Error('Fallo en el bloque 2');
+        return decode(block);
+    };
+    await assert.rejects(
+        decompressBlob(blob, { concurrency: 8, decode: failing }),
+        { message: 'Fallo en el bloque 2' }
+    );
+});
+
+test('compressBlob falla con el error del bloque aunque nadie lo esperara', async () => {
+    let calls = 0;
+    const failing = async (...args) => {
+        if (calls++ === 1) throw new Error('Fallo en el bloque 2');
+        return encode(...args);
+    };
+    await assert.rejects(
+        compressBlob(new Blob([sampleText()]), { blockSize: BLOCK_SIZE, concurrency: 8, encode: failing }),
+        { message: 'Fallo en el bloque 2' }
+    );
+});
+
+test('extractBlobRange lee un rango desde el primer bloque de un archivo con SHA-256', async () => {
+    const data = sampleText();
+    const blob = await compressed(data, { sha256: true });
+    const range = await extractBlobRange(blob, 100, BLOCK_SIZE + 100, { decode });
+    assert.deepEqual(new Uint8Array(await range.blob.arrayBuffer()), data.subarray(100, BLOCK_SIZE + 100));
+});
+
+test('extractBlobRange compara el SHA-256 de cada bloque leído', async () => {
+    const blob = await compressed(sampleText(), { sha256: true });
+    const altered = async (block) => {
+        const result = await decode(block);
+        return { ...result, digest: new Uint8Array(32) };
+    };
+    await assert.rejects(
+        extractBlobRange(blob, 0, 10, { decode: altered }),
+        { message: /SHA-256 no coincide en el bloque 1/ }
+    );
+});
+
+// Lo que hace un worker de compresión en el modo de análisis
+async function analyze(block, analysis, first) {
+    const results = compareStrategies(block, analysis, { first });
+    const reference = await deflateReference(block);
+    if (reference) results.push(reference);
+    return results;
+}
+
+test('analyzeBlob compara deflate de la plataforma como referencia', async () => {
+    const data = sampleText();
+    const result = await analyzeBlob(new Blob([data]), { blockSize: BLOCK_SIZE, analyze });
+
+    const deflate = result.strategies.find(item => item.strategy === 'deflate');
+    assert.ok(deflate, 'falta la fila de deflate');
+    assert.equal(deflate.reference, true);
+    assert.equal(deflate.wins, 0);
+    assert.ok(deflate.size > 0 && deflate.size < data.length);
+    assert.ok(result.strategies.some(item => !item.reference));
+    for (const block of result.blocks) {
+        assert.ok(block.results.some(item => item.strategy === 'deflate'));
+        assert.notEqual(block.winner.strategy, 'deflate');
+    }
+});
+
+test('deflateReference mide el deflate de la plataforma', async () => {
+    const data = sampleText(50);
+    const deflated = new Blob([data]).stream().pipeThrough(new CompressionStream('deflate'));
+    const reference = await deflateReference(data);
+    assert.equal(reference.strategy, 'deflate');
+    assert.equal(reference.size, (await new Response(deflated).arrayBuffer()).byteLength);
+});
@@ -15,10 +15,11 @@ const CRC32_TABLE = (() => {
     return table;
 })();
 
-export function crc32(data) {
-    if (!data || data.length === 0) return 0;
+// `previous` permite encadenar el cálculo sobre varios fragmentos
+export function crc32(data, previous = 0) {
+    if (!data || data.length === 0) return previous;
     
-    let crc = 0 ^ (-1);
+    let crc = previous ^ (-1);
     const chunkSize = 32768; // 32KB chunks para móviles
     const chunks = Math.ceil(data.length / chunkSize);
     
@@ -34,6 +35,160 @@ export function crc32(data) {
     return (crc ^ (-1)) >>> 0;
 }
 
+function gf2MatrixTimes(matrix, vector) {
+    let sum = 0;
+    for (let i = 0; vector !== 0; i++, vector >>>= 1) {
+        if (vector & 1) sum ^= matrix[i];
+    }
+    return sum >>> 0;
+}
+
+function gf2MatrixSquare(square, matrix) {
+    for (let n = 0; n < 32; n++) {
+        square[n] = gf2MatrixTimes(matrix, matrix[n]);
+    }
+}
+
+// CRC de A+B a partir de crc32(A), crc32(B) y el largo de B, sin releer
+// los datos (mismo método que crc32_combine de zlib)
+export function crc32Combine(crc1, crc2, length2) {
+    if (length2 <= 0) return crc1;
+
+    const even = new Uint32Array(32);
+    const odd = new Uint32Array(32);
+
+    // Operador para un bit cero, luego para dos y para cuatro
+    odd[0] = 0xEDB88320;
+    for (let n = 1; n < 32; n++) odd[n] = 1 << (n - 1);
+    gf2MatrixSquare(even, odd);
+    gf2MatrixSquare(odd, even);
+
+    // Aplica length2 bytes cero a crc1
+    let remaining = length2;
+    for (;;) {
+        gf2MatrixSquare(even, odd);
+        if (remaining % 2) crc1 = gf2MatrixTimes(even, crc1);
+        remaining = Math.floor(remaining / 2);
+        if (remaining === 0) break;
+
+        gf2MatrixSquare(odd, even);
+        if (remaining % 2) crc1 = gf2MatrixTimes(odd, crc1);
+        remaining = Math.floor(remaining / 2);
+        if (remaining === 0) break;
+    }
+
+    return (crc1 ^ crc2) >>> 0;
+}
+
+// Escritura secuencial de bytes y enteros de longitud variable (LEB128)
+export function createByteWriter(initialSize = 1024) {
+    let buffer = new Uint8Array(initialSize);
+    let length = 0;
+    
+    function ensure(extra) {
+        if (length + extra <= buffer.length) return;
+        let size = buffer.length * 2;
+        while (size < length + extra) size *= 2;
+        const grown = new Uint8Array(size);
+        grown.set(buffer.subarray(0, length));
+        buffer = grown;
+    }
+    
+    return {
+        byte(value) {
+            ensure(1);
+            buffer[length++] = value;
+        },
+        // Enteros no negativos hasta 2^53
+        varint(value) {
+            ensure(8);
+            while (value >= 128) {
+                buffer[length++] = (value % 128) | 128;
+                value = Math.floor(value / 128);
+            }
+            buffer[length++] = value;
+        },
+        bytes(data) {
+            ensure(data.length);
+            buffer.set(data, length);
+            length += data.length;
+        },
+        get length() {
+            return length;
+        },
+        finish() {
+            return buffer.slice(0, length);
+        }
+    };
+}
+
+export function createByteReader(data) {
+    let offset = 0;
+    
+    function need(count) {
+        if (offset + count > data.length) {
+            throw new Error("Datos truncados");
+        }
+    }
+    
+    return {
+        byte() {
+            need(1);
+            return data[offset++];
+        },
+        varint() {
+            let value = 0;
+            let factor = 1;
+            let byte;
+            do {
+                need(1);
+                byte = data[offset++];
+                value += (byte & 127) * factor;
+                factor *= 128;
+            } while (byte & 128);
+            return value;
+        },
+        bytes(count) {
+            need(count);
+            const result = data.subarray(offset, offset + count);
+            offset += count;
+            return result;
+        },
+        get offset() {
+            return offset;
+        },
+        get remaining() {
+            return data.length - offset;
+        }
+    };
+}
+
+// Entero con signo <-> entero no negativo para varint (zigzag)
+export function zigzag(value) {
+    return value >= 0 ? value * 2 : -value * 2 - 1;
+}
+
+export function unzigzag(value) {
+    return value % 2 === 0 ? value / 2 : -(value + 1) / 2;
+}
+
+// Conversión byte a byte sin pérdida entre bytes y cadenas (latin1)
+export function bytesToLatin1(data) {
+    let text = '';
+    for (let i = 0; i < data.length; i += 32768) {
+        text += String.fromCharCode.apply(null, data.subarray(i, i + 32768));
+    }
+    return text;
+}
+
+export function latin1ToBytes(text) {
+    const data = new Uint8Array(text.length);
+    for (let i = 0; i < text.length; i++) {
+        data[i] = text.charCodeAt(i);
+    }
+    return data;
+}
+
 // =============================================
 // Funciones de formato y visualización
 // =============================================
@@ -59,6 +214,58 @@ export function getFileExtension(filename) {
     return filename.slice((Math.max(0, filename.lastIndexOf(".")) || Infinity) + 1).toLowerCase();
 }
 
+// Tipos MIME por extensión: los mismos en el navegador y en la CLI, para
+// que un archivo dé el mismo .hs6d desde los dos. Los datos de campo
+// primero; lo que no está aquí queda con el tipo que informe el navegador
+const MIME_TYPES = {
+    csv: 'text/csv',
+    tsv: 'text/tab-separated-values',
+    txt: 'text/plain',
+    log: 'text/plain',
+    json: 'application/json',
+    geojson: 'application/geo+json',
+    xml: 'application/xml',
+    kml: 'application/vnd.google-earth.kml+xml',
+    gpx: 'application/gpx+xml',
+    html: 'text/html',
+    htm: 'text/html',
+    md: 'text/markdown',
+    sql: 'application/sql',
+    pdf: 'application/pdf',
+    xls: 'application/vnd.ms-excel',
+    xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    doc: 'application/msword',
+    docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    jpg: 'image/jpeg',
+    jpeg: 'image/jpeg',
+    png: 'image/png',
+    gif: 'image/gif',
+    tif: 'image/tiff',
+    tiff: 'image/tiff',
+    mp4: 'video/mp4',
+    zip: 'application/zip',
+    gz: 'application/gzip',
+    '7z': 'application/x-7z-compressed',
+    rar: 'application/vnd.rar'
+};
+
+// Tipo MIME según la extensión del nombre; vacío si no se conoce
+export function getMimeType(filename) {
+    return MIME_TYPES[getFileExtension(filename)] || '';
+}
+
+// Metadatos de un File para guardarlos en el .hs6d (ver writeMetadata())
+export function getFileMetadata(file, comment) {
+    const metadata = {
+        name: file.name,
+        extension: getFileExtension(file.name),
+        mimeType: getMimeType(file.name) || file.type,
+        modified: file.lastModified
+    };
+    if (comment) metadata.comment = comment;
+    return metadata;
+}
+
 export function isMobileDevice() {
     return /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent);
 }
@@ -83,6 +290,11 @@ export function detectStructuredData(data, sampleSize = 10000) {
     return features;
 }
 
+export function isStructuredText(data) {
+    const features = detectStructuredData(data);
+    return Boolean(features.csv || features.json || features.log || features.xml);
+}
+
 function detectCSV(text) {
     const lines = text.split('\n');
     if (lines.length < 3) return null;
@@ -192,6 +404,28 @@ export function shouldCompressFile(filename, fileSize) {
 // Funciones de rendimiento
 // =============================================
 
+export function getPerformanceProfile() {
+    const ram = navigator.deviceMemory || 4; // GB
+    if (isMobileDevice() && ram < 6) return 'low-end';
+    return 'high-end';
+}
+
+// Nivel de compresión por defecto (ver COMPRESSION_LEVELS de
+// hs6d-core.js): en teléfonos modestos el rápido, con bloques más chicos
+// y menos búsqueda de repeticiones
+export function getDefaultLevel() {
+    return getPerformanceProfile() === 'low-end' ? 'fast' : 'balanced';
+}
+
+// Workers de compresión en paralelo: uno por núcleo, dejando uno libre para
+// la interfaz. En teléfonos modestos a lo sumo dos, porque cada worker
+// retiene su bloque de entrada y el de salida
+export function getWorkerPoolSize() {
+    const cores = navigator.hardwareConcurrency || 2;
+    const limit = getPerformanceProfile() === 'low-end' ? 2 : 8;
+    return Math.max(1, Math.min(cores - 1, limit));
+}
+
 export function startTimer() {
     return performance.now();
 }
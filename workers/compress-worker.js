@@ -1,150 +1,146 @@
-import { createBWTProcessor } from '../bwt-engine.js';
-import { createHuffmanEncoder } from '../huffman-engine.js';
-import { crc32, isStructuredText } from '../utils.js';
+import { compress, compressFiles } from '../hs6d.js';
+import { compressBlock, compareStrategies, assembleBlocks } from '../hs6d-core.js';
+import { encryptContainer, encryptBlob } from '../hs6d-crypto.js';
+import { protectContainer, protectBlob } from '../hs6d-recovery.js';
+import { splitBlob } from '../hs6d-volumes.js';
+import { gzipBlob, zipBlobs, deflateReference } from '../hs6d-interop.js';
+import { sha256 } from '../hs6d-integrity.js';
+import { crc32 } from '../utils.js';
 
-const bwtProcessor = createBWTProcessor();
-const huffmanEncoder = createHuffmanEncoder();
-const CHUNK_SIZE = 524288; // 512KB para móviles (reducido de 5MB)
+// Trabajos en curso y los que el cliente canceló con un mensaje 'abort':
+// un trabajo cancelado se corta antes de su próximo bloque o aviso de
+// progreso y ya no responde
+const running = new Set();
+const aborted = new Set();
+
+function checkAborted(id) {
+  if (aborted.has(id)) {
+    throw new DOMException('Trabajo cancelado', 'AbortError');
+  }
+}
+
+// Entre bloques: deja que llegue un mensaje 'abort' pendiente (el núcleo
+// no suelta el hilo mientras codifica) y corta el trabajo si lo canceló
+async function checkpoint(id) {
+  await new Promise(resolve => setTimeout(resolve));
+  checkAborted(id);
+}
 
 // Reportar progreso optimizado para móviles
-function reportProgress(progress, stage) {
-  self.postMessage({ type: 'progress', progress, stage });
+function reportProgress(id, progress, stage) {
+  checkAborted(id);
+  self.postMessage({ type: 'progress', id, progress, stage });
 }
 
-// Función mejorada para detectar datos estructurados
-function shouldUseBWT(data) {
-  // Priorizar detección de texto estructurado (CSV, logs, etc.)
-  if (isStructuredText(data)) {
-    return true;
-  }
-  
-  // Detección de binario simplificada
-  const sampleSize = Math.min(data.length, 10000);
-  let textChars = 0;
-  
-  for (let i = 0; i < sampleSize; i++) {
-    const byte = data[i];
-    // Caracteres de texto: ASCII imprimible + saltos de línea
-    if ((byte >= 32 && byte <= 126) || byte === 9 || byte === 10 || byte === 13) {
-      textChars++;
-    }
+function postComplete(id, compressed, originalSize, fileName) {
+  self.postMessage({
+    type: 'complete',
+    id,
+    compressed,
+    originalSize,
+    compressedSize: compressed.length,
+    fileName,
+    compressionRatio: compressed.length / originalSize
+  }, [compressed.buffer]);
+}
+
+// Cada estrategia de compareStrategies() y, como referencia que un .hs6d
+// no puede guardar, deflate de la plataforma en un bloque
+async function analyzeBlock(data, analysis, options) {
+  const results = compareStrategies(data, analysis, options);
+  const reference = await deflateReference(data);
+  if (reference) results.push(reference);
+  return results;
+}
+
+// Trabajos del grupo de workers: un bloque suelto, el análisis de un
+// bloque, la unión final, el cifrado, los datos de recuperación o la
+// división en volúmenes de un resultado ya armado como Blob, o un .gz o
+// .zip estándar.
+// Cada bloque devuelve también el CRC de sus datos originales y, con
+// `digest`, su SHA-256
+async function handlePoolJob({ type, id, data, analysis, options, digest, parts, originalSize, fileName, password, metadata, integrity, rows, recovery, volumeSize, blob, entries }) {
+  if (type === 'block') {
+    const originalChecksum = crc32(data);
+    const blockDigest = digest ? await sha256(data) : null;
+    checkAborted(id);
+    const part = compressBlock(data, analysis, options);
+    checkAborted(id);
+    self.postMessage({ type: 'block', id, part, checksum: crc32(part), originalChecksum, digest: blockDigest }, [part.buffer]);
+  } else if (type === 'analyze') {
+    const results = await analyzeBlock(data, analysis, options);
+    checkAborted(id);
+    self.postMessage({ type: 'analyzed', id, originalSize: data.length, results });
+  } else if (type === 'encrypt') {
+    reportProgress(id, 0.5, 'Cifrando');
+    self.postMessage({ type: 'encrypted', id, blob: await encryptBlob(blob, password) });
+  } else if (type === 'protect') {
+    reportProgress(id, 0.5, 'Agregando datos de recuperación');
+    self.postMessage({ type: 'protected', id, blob: await protectBlob(blob, { percent: recovery }) });
+  } else if (type === 'split') {
+    reportProgress(id, 0.5, 'Dividiendo en volúmenes');
+    self.postMessage({ type: 'volumes', id, volumes: await splitBlob(blob, { volumeSize }) });
+  } else if (type === 'gzip') {
+    const onProgress = (progress, stage) => reportProgress(id, progress, stage);
+    self.postMessage({ type: 'gzipped', id, blob: await gzipBlob(blob, { onProgress }) });
+  } else if (type === 'zip') {
+    const onProgress = (progress, stage) => reportProgress(id, progress, stage);
+    self.postMessage({ type: 'zipped', id, blob: await zipBlobs(entries, { onProgress }) });
+  } else {
+    let compressed = assembleBlocks(parts, originalSize, { metadata, integrity, rows });
+    if (password) compressed = await encryptContainer(compressed, password);
+    if (recovery) compressed = await protectContainer(compressed, { percent: recovery });
+    postComplete(id, compressed, originalSize, fileName);
   }
-  
-  const textRatio = textChars / sampleSize;
-  return textRatio > 0.85; // 85% de caracteres de texto
 }
 
 self.onmessage = async (e) => {
-  const { data, fileName, fileSize } = e.data;
-  const startTime = performance.now();
-  
-  // Limitar tamaño máximo para móviles
-  const MAX_MOBILE_SIZE = 50 * 1024 * 1024; // 50MB
-  if (fileSize > MAX_MOBILE_SIZE) {
-    self.postMessage({ 
-      error: `Archivo demasiado grande (${(fileSize/(1024*1024)).toFixed(1)}MB). Límite: 50MB`
-    });
+  const { type, id, data, files, fileName, level, tryAll, chunkSize, entropy, password, metadata, sha256: withDigests, recovery } = e.data;
+
+  if (type === 'abort') {
+    if (running.has(id)) aborted.add(id);
     return;
   }
 
+  running.add(id);
   try {
-    reportProgress(0.05, 'Analizando datos');
-    
-    const useBWT = shouldUseBWT(data);
-    let compressedData;
-    let isSpecialCase = false;
-    let isUncompressed = false;
-
-    if (useBWT) {
-      reportProgress(0.2, 'Aplicando BWT (texto estructurado)');
-      
-      try {
-        const bwtData = bwtProcessor.process(data);
-        reportProgress(0.4, 'Comprimiendo con Huffman');
-        compressedData = huffmanEncoder.encode(bwtData);
-      } catch (error) {
-        console.error("Error en compresión BWT+Huffman:", error);
-        throw new Error("Fallo en compresión para texto estructurado");
-      }
-    } else {
-      reportProgress(0.2, 'Comprimiendo binario');
-      
-      // Verificar si es un caso especial (bytes repetidos)
-      if (isAllSame(data)) {
-        reportProgress(0.3, 'Optimizando bytes repetidos');
-        isSpecialCase = true;
-        compressedData = huffmanEncoder.encode(data);
-      } else {
-        try {
-          compressedData = huffmanEncoder.encode(data);
-        } catch (error) {
-          console.error("Error en compresión Huffman:", error);
-          throw new Error("Fallo en compresión binaria");
-        }
-      }
+    if (type === 'block' || type === 'analyze' || type === 'assemble' || type === 'encrypt' || type === 'protect' || type === 'split'
+      || type === 'gzip' || type === 'zip') {
+      await handlePoolJob(e.data);
+      return;
     }
 
-    // Verificar efectividad de compresión
-    const compressionRatio = compressedData.length / data.length;
-    if (compressionRatio > 0.95) {
-      reportProgress(0.6, 'Compresión mínima, usando datos originales');
-      compressedData = data;
-      isUncompressed = true;
-    }
-
-    reportProgress(0.85, 'Empaquetando resultado');
-
-    // Cabecera optimizada (12 bytes)
-    const header = new Uint8Array(12);
-    const view = new DataView(header.buffer);
-    
-    // Magic number (4 bytes)
-    view.setUint32(0, 0x48533644); // 'HS6D'
-    
-    // Tamaño original (4 bytes)
-    view.setUint32(4, data.length);
-    
-    // Flags (1 byte)
-    let flags = 0;
-    if (useBWT) flags |= 1;
-    if (isSpecialCase) flags |= 2;
-    if (isUncompressed) flags |= 4;
-    view.setUint8(8, flags);
-    
-    // Checksum (4 bytes)
-    const checksum = crc32(compressedData);
-    view.setUint32(9, checksum);
+    const options = {
+      onProgress: (progress, stage) => reportProgress(id, progress, stage),
+      checkpoint: () => checkpoint(id)
+    };
+    if (level) options.level = level;
+    if (tryAll !== undefined) options.tryAll = tryAll;
+    if (chunkSize) options.blockSize = chunkSize;
+    if (entropy) options.entropy = entropy;
+    if (password) options.password = password;
+    if (metadata) options.metadata = metadata;
+    if (withDigests) options.sha256 = true;
+    if (recovery) options.recovery = recovery;
 
-    // Archivo final
-    const finalOutput = new Uint8Array(header.length + compressedData.length);
-    finalOutput.set(header);
-    finalOutput.set(compressedData, header.length);
+    const compressed = files ? await compressFiles(files, options) : await compress(data, options);
+    const originalSize = files
+      ? files.reduce((sum, file) => sum + file.data.length, 0)
+      : data.length;
 
-    reportProgress(1.0, 'Finalizado');
-
-    self.postMessage({
-      type: 'complete',
-      compressed: finalOutput,
-      originalSize: data.length,
-      compressedSize: finalOutput.length,
-      fileName,
-      compressionRatio
-    }, [finalOutput.buffer]);
+    postComplete(id, compressed, originalSize, fileName);
 
   } catch (error) {
+    if (aborted.has(id)) return;
     self.postMessage({ 
       error: `Error en compresión: ${error.message}`,
+      errorName: error.name,
+      id,
       fileName,
       stack: error.stack
     });
+  } finally {
+    running.delete(id);
+    aborted.delete(id);
   }
 };
-
-function isAllSame(data) {
-  if (data.length < 100) return false;
-  const first = data[0];
-  for (let i = 1; i < data.length; i++) {
-    if (data[i] !== first) return false;
-  }
-  return true;
-}
@@ -1,98 +1,206 @@
-import { createBWTProcessor } from '../bwt-engine.js';
-import { createHuffmanEncoder } from '../huffman-engine.js';
+import { open, inspect } from '../hs6d.js';
+import { decompressBlock } from '../hs6d-core.js';
+import { decryptBlob } from '../hs6d-crypto.js';
+import { repairBlob } from '../hs6d-recovery.js';
+import { joinBlobs } from '../hs6d-volumes.js';
+import { gunzipBlob, unzipBlob } from '../hs6d-interop.js';
+import { sha256 } from '../hs6d-integrity.js';
 import { crc32 } from '../utils.js';
 
-const bwtProcessor = createBWTProcessor();
-const huffmanEncoder = createHuffmanEncoder();
+// Trabajos en curso y los que el cliente canceló con un mensaje 'abort':
+// un trabajo cancelado se corta antes de su próximo bloque o aviso de
+// progreso y ya no responde
+const running = new Set();
+const aborted = new Set();
 
-function reportProgress(progress, stage) {
-  self.postMessage({ type: 'progress', progress, stage });
+function checkAborted(id) {
+  if (aborted.has(id)) {
+    throw new DOMException('Trabajo cancelado', 'AbortError');
+  }
 }
 
-self.onmessage = async (e) => {
-  const { data, fileName, fileSize } = e.data;
-  const startTime = performance.now();
-
-  try {
-    reportProgress(0.05, 'Validando archivo');
+// Entre bloques: deja que llegue un mensaje 'abort' pendiente (el núcleo
+// no suelta el hilo mientras codifica) y corta el trabajo si lo canceló
+async function checkpoint(id) {
+  await new Promise(resolve => setTimeout(resolve));
+  checkAborted(id);
+}
 
-    // Validación básica
-    if (data.length < 12) {
-      throw new Error("Archivo inválido: tamaño mínimo 12 bytes");
-    }
+function reportProgress(id, progress, stage) {
+  checkAborted(id);
+  self.postMessage({ type: 'progress', id, progress, stage });
+}
 
-    // Leer cabecera
-    const header = data.slice(0, 12);
-    const view = new DataView(header.buffer);
-    
-    // Magic number
-    if (view.getUint32(0) !== 0x48533644) {
-      throw new Error("Formato de archivo inválido");
-    }
-    
-    const originalSize = view.getUint32(4);
-    const flags = view.getUint8(8);
-    const checksum = view.getUint32(9);
-    
-    const usedBWT = (flags & 1) === 1;
-    const isSpecialCase = (flags & 2) === 2;
-    const isUncompressed = (flags & 4) === 4;
-
-    reportProgress(0.2, 'Verificando integridad');
-
-    // Extraer datos y verificar checksum
-    const compressedData = data.slice(12);
-    if (crc32(compressedData) !== checksum) {
-      throw new Error("Checksum no coincide - archivo corrupto");
-    }
+// Archivos con varias entradas abiertos para extraer, por el id del
+// mensaje que los abrió, hasta que el cliente los cierra con 'close'
+const archives = new Map();
 
-    let originalData;
+// split: con varios bloques, devolverlos para repartirlos entre workers.
+// Abre cabeceras V4 y las V3 de archivos anteriores; `version` dice cuál era.
+// Un archivo cifrado sin contraseña, o con otra, falla con PasswordError:
+// la interfaz la pide y vuelve a enviarlo
+async function openFile(id, data, fileName, split, password) {
+  const onProgress = (progress, stage) => reportProgress(id, progress, stage);
+  const handle = await open(data, { onProgress, password });
 
-    if (isUncompressed) {
-      reportProgress(0.8, 'Datos sin comprimir');
-      originalData = compressedData;
-    } else {
-      reportProgress(0.4, 'Descomprimiendo Huffman');
-      const huffmanData = huffmanEncoder.decode(compressedData);
-      
-      if (usedBWT) {
-        reportProgress(0.7, 'Revirtiendo BWT');
-        originalData = bwtProcessor.inverse(huffmanData);
-      } else {
-        originalData = huffmanData;
-      }
-    }
+  if (handle.entries) {
+    archives.set(id, handle);
 
-    // Manejar caso especial (bytes repetidos)
-    if (isSpecialCase && originalData.length === 1 && originalSize > 1) {
-      const repeated = new Uint8Array(originalSize);
-      repeated.fill(originalData[0]);
-      originalData = repeated;
-    }
+    reportProgress(id, 1.0, 'Directorio leído');
 
-    // Verificar tamaño
-    if (originalData.length !== originalSize) {
-      console.warn(`Tamaño descomprimido (${originalData.length}) no coincide con tamaño original (${originalSize})`);
-      if (originalData.length > originalSize) {
-        originalData = originalData.slice(0, originalSize);
-      }
-    }
+    self.postMessage({
+      type: 'archive',
+      id,
+      archive: id,
+      entries: handle.entries,
+      version: handle.version,
+      metadata: handle.metadata,
+      repaired: handle.repaired,
+      compressedSize: data.length,
+      originalSize: handle.originalSize,
+      fileName
+    });
+    return;
+  }
 
-    reportProgress(1.0, 'Descompresión completada');
+  const blocks = split ? handle.blocks() : null;
+  if (blocks && blocks.length > 1) {
+    reportProgress(id, 0.2, `${blocks.length} bloques`);
 
     self.postMessage({
-      type: 'complete',
-      decompressed: originalData,
+      type: 'blocks',
+      id,
+      blocks,
+      version: handle.version,
+      metadata: handle.metadata,
+      integrity: handle.integrity,
+      repaired: handle.repaired,
       compressedSize: data.length,
-      originalSize: originalData.length,
+      originalSize: handle.originalSize,
       fileName
-    }, [originalData.buffer]);
+    }, blocks.map(block => block.data.buffer));
+    return;
+  }
+
+  const originalData = await handle.decompress({ onProgress, checkpoint: () => checkpoint(id) });
+
+  self.postMessage({
+    type: 'complete',
+    id,
+    decompressed: originalData,
+    version: handle.version,
+    metadata: handle.metadata,
+    repaired: handle.repaired,
+    compressedSize: data.length,
+    originalSize: originalData.length,
+    fileName
+  }, [originalData.buffer]);
+}
 
+// Descomprime sin devolver nada y comprueba los datos originales
+async function verifyFile(id, data, fileName, password) {
+  const onProgress = (progress, stage) => reportProgress(id, progress, stage);
+  const handle = await open(data, { onProgress, password });
+  const result = await handle.verify({ onProgress, checkpoint: () => checkpoint(id) });
+
+  self.postMessage({
+    type: 'verified',
+    id,
+    ...result,
+    version: handle.version,
+    metadata: handle.metadata,
+    compressedSize: data.length,
+    fileName
+  });
+}
+
+// Bloque suelto de otro worker: los datos, su CRC y, si se pide, su SHA-256
+async function decodeBlock(id, block) {
+  const decoded = decompressBlock(block);
+  const checksum = crc32(decoded);
+  const digest = block.digest ? await sha256(decoded) : null;
+  checkAborted(id);
+  self.postMessage({ type: 'block', id, decoded, checksum, digest }, [decoded.buffer]);
+}
+
+// Extrae las entradas pedidas de un archivo abierto con openFile()
+async function extractEntries(id, archive, indices) {
+  const handle = archives.get(archive);
+  if (!handle) {
+    throw new Error("El archivo ya no está abierto: vuelva a descomprimirlo");
+  }
+
+  for (let i = 0; i < indices.length; i++) {
+    const entry = handle.entries[indices[i]];
+    reportProgress(id, i / indices.length, `Extrayendo ${entry ? entry.name : indices[i]}`);
+
+    const decompressed = await handle.extract(indices[i], { checkpoint: () => checkpoint(id) });
+
+    self.postMessage({
+      type: 'entry',
+      id,
+      index: entry.index,
+      name: entry.name,
+      decompressed
+    }, [decompressed.buffer]);
+  }
+
+  reportProgress(id, 1.0, 'Extracción completada');
+  self.postMessage({ type: 'extracted', id, count: indices.length });
+}
+
+self.onmessage = async (e) => {
+  const { type, id, data, fileName, archive, indices, split, block, blob, volumes, password } = e.data;
+
+  if (type === 'abort') {
+    if (running.has(id)) aborted.add(id);
+    return;
+  }
+
+  running.add(id);
+  try {
+    if (type === 'extract') {
+      await extractEntries(id, archive, indices);
+    } else if (type === 'close') {
+      archives.delete(archive);
+      self.postMessage({ type: 'closed', id });
+    } else if (type === 'decrypt') {
+      reportProgress(id, 0.02, 'Descifrando');
+      self.postMessage({ type: 'decrypted', id, blob: await decryptBlob(blob, password) });
+    } else if (type === 'join') {
+      const onProgress = (progress, stage) => reportProgress(id, progress, stage);
+      self.postMessage({ type: 'joined', id, blob: await joinBlobs(volumes, { onProgress }) });
+    } else if (type === 'repair') {
+      const onProgress = (progress, stage) => reportProgress(id, progress, stage);
+      self.postMessage({ type: 'repaired', id, ...await repairBlob(blob, { onProgress }) });
+    } else if (type === 'gunzip') {
+      const onProgress = (progress, stage) => reportProgress(id, progress, stage);
+      self.postMessage({ type: 'gunzipped', id, ...await gunzipBlob(blob, { onProgress }) });
+    } else if (type === 'unzip') {
+      const onProgress = (progress, stage) => reportProgress(id, progress, stage);
+      self.postMessage({ type: 'unzipped', id, ...await unzipBlob(blob, { onProgress }) });
+    } else if (type === 'block') {
+      await decodeBlock(id, block);
+    } else if (type === 'verify') {
+      await verifyFile(id, data, fileName, password);
+    } else if (type === 'inspect') {
+      reportProgress(id, 0.5, 'Leyendo cabecera');
+      self.postMessage({ type: 'inspected', id, ...await inspect(blob), fileName });
+    } else {
+      await openFile(id, data, fileName, split, password);
+    }
   } catch (error) {
+    if (aborted.has(id)) return;
     self.postMessage({
       error: `Error en descompresión: ${error.message}`,
+      errorName: error.name,
+      missing: error.missing,
+      id,
       fileName,
       details: error.stack
     });
+  } finally {
+    running.delete(id);
+    aborted.delete(id);
   }
 };